@@ -1,73 +1,245 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Upload, Download, Film, Scissors, Image, Type, Volume2, VolumeX, Monitor, Smartphone, Maximize2, Play, Pause, RotateCw, Crop, CheckCircle, AlertCircle } from 'lucide-react';
-import { FFmpeg } from '@ffmpeg/ffmpeg';
-import { fetchFile, toBlobURL } from '@ffmpeg/util';
+import { Upload, Download, Layers, Film, Image, Volume2, XCircle, FolderOpen, VolumeX, Play, Pause, SkipBack, SkipForward, RotateCw, Crop, CheckCircle, AlertCircle, Keyboard } from 'lucide-react';
+import Timeline from './components/Timeline';
+import Filmstrip from './components/Filmstrip';
+import SubtitleEditor from './components/SubtitleEditor';
+import VideoPreview from './components/VideoPreview';
+import ExportDialog from './components/ExportDialog';
+import BatchDialog from './components/BatchDialog';
+import RenderQueue from './components/RenderQueue';
+import LogPanel from './components/LogPanel';
+import ProjectPanel from './components/ProjectPanel';
+import BumperPanel from './components/BumperPanel';
+import MediaInfoPanel from './components/MediaInfoPanel';
+import SnapshotPanel from './components/SnapshotPanel';
+import HistoryPanel from './components/HistoryPanel';
+import AudioMixPanel from './components/AudioMixPanel';
+import ColorGradePanel from './components/ColorGradePanel';
+import OverlayLayers from './components/OverlayLayers';
+import OverlayPanel from './components/OverlayPanel';
+import ReframePanel from './components/ReframePanel';
+import CorrectionPanel from './components/CorrectionPanel';
+import CompositePanel from './components/CompositePanel';
+import ShortcutsDialog from './components/ShortcutsDialog';
+import useEditHistory from './hooks/useEditHistory';
+import useRetimedPlayback from './hooks/useRetimedPlayback';
+import useJobRunner from './hooks/useJobRunner';
+import useShortcuts from './hooks/useShortcuts';
+import { DEFAULT_FPS, formatTime, formatTimecode, snapToFrame } from './utils/time';
+import { formatCommand, getDesktopArgs } from './utils/command';
+import { createJobService } from './utils/jobService';
+import { createWasmBackend } from './utils/wasmBackend';
+import { VIDEO_ACCEPT, readDroppedFiles, readVideoMetadata, readAudioMetadata, estimateFrameRate, detectAudioTrack, getFileExtension, isVideoFile, snapFrameRate } from './utils/media';
+import { clampTrim, createClip, createMissingClip, getClipOffset, getConcatTarget, getTimelineDuration, moveClip, relinkClip, splitClip, toTimelineTime } from './utils/clips';
+import { createProjectDocument, createProjectId, findMediaMatch, fingerprintFile, parseProjectDocument } from './utils/project';
+import { deleteBumper, deleteProject, listBumpers, listProjects, saveBumper, saveProject } from './utils/projectStore';
+import { getActiveCue } from './utils/subtitles';
+import { isGradeActive } from './utils/color';
+import { setLayerState } from './utils/overlays';
+import { isRetimed } from './utils/retime';
+import { NO_BUMPERS, TRANSITIONS, createBumper, getSequence, hasTransitions } from './utils/sequence';
+import { createMusicTrack, isAudioMixActive } from './utils/audio';
+import { downloadBlob } from './utils/download';
+import { createZip, getUniqueNames } from './utils/zip';
+import { createBatchId, createBatchItem, createRecipe, getBatchEdit } from './utils/batch';
+import { DEFAULT_PRESETS, EXPORT_FORMATS, withDefaultPresets } from './utils/exportPresets';
+import { CROP_ASPECT_LOCKS, FULL_CROP, describeAspect, fitCropToRatio, getCropPixels, getOrientedSize, isCropActive, normalizeRotation } from './utils/crop';
+import { GRADE_LUT_NAME, getOutputFrameSize, usesGradeLut } from './utils/filters';
+import { getPreviewFill, setPanAt } from './utils/reframe';
+import { FILTER_LIST_ARGS, getCorrectionPreviewKey, getCorrectionPreviewPlan, isCorrectionActive, parseFilterList } from './utils/correction';
+import { buildRenderPlan } from './utils/renderPlan';
+import { formatKey, formatShuttleRate, getShuttleRate, loadBindings } from './utils/shortcuts';
+import { getDetectArgs, parseDetection } from './utils/detect';
+import { STILL_FORMATS, getContactSheetArgs, getContactSheetTimes, getFrameGrabArgs } from './utils/stills';
+
+// Every source file a document refers to, for relinking and URL cleanup
+const getDocumentMedia = (document) =>
+  [...document.clips, document.music, document.bumpers.intro, document.bumpers.outro, document.secondVideo].filter(Boolean);
+
+// Bumpers and the second source always play in full, so their trim is not
+// saved with the project
+const createMissingWholeClip = (media) =>
+  createMissingClip({ ...media, trimStart: 0, trimEnd: media.duration, retimes: [] });
+
+// History labels for clip edits, by the first field the patch changes
+const CLIP_EDIT_LABELS = {
+  trimStart: 'Trim start',
+  trimEnd: 'Trim end',
+  retimes: 'Retime',
+  splits: 'Split',
+  cuts: 'Cut segment'
+};
+
+// Settings from the last render seed a fresh edit
+const loadSavedSettings = () => {
+  const savedSettings = localStorage.getItem('videoEditorSettings');
+  if (!savedSettings) return {};
+  const settings = JSON.parse(savedSettings);
+  const keys = ['flipHorizontal', 'flipVertical', 'audioMode', 'audioMix', 'aspectRatio', 'rotation', 'cropSettings', 'subtitleMode'];
+  return Object.fromEntries(keys.filter((key) => settings[key] !== undefined).map((key) => [key, settings[key]]));
+};
 
 export default function VideoEditor() {
-  const [videoFile, setVideoFile] = useState(null);
-  const [videoUrl, setVideoUrl] = useState('');
-  const [isProcessing, setIsProcessing] = useState(false);
+  const history = useEditHistory(loadSavedSettings());
+  const { edit, update: updateEdit } = history;
+  const { clips, bumpers, transitions, flipHorizontal, flipVertical, audioMode, audioMix, music, secondVideo, composite, aspectRatio, reframe, aspectSizes, correction, cropSettings, grade, subtitleCues, subtitleMode, overlays, rotation } = edit;
+  const [selectedClipId, setSelectedClipId] = useState(null);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [trimStart, setTrimStart] = useState(0);
-  const [trimEnd, setTrimEnd] = useState(100);
-  const [progress, setProgress] = useState(0);
+  // 0 when stopped, otherwise the J/K/L shuttle rate, negative for backwards
+  const [shuttle, setShuttle] = useState(0);
+  const isPlaying = shuttle !== 0;
   const [progressMessage, setProgressMessage] = useState('');
+  // Cancelling a running job terminates the engine, so a fresh one is loaded
+  // once the cancellation is recorded
+  const jobRunner = useJobRunner({ onMessage: setProgressMessage, onCancelled: () => loadFFmpeg() });
+  const { isProcessing, progress, eta, renderLog, setRenderLog, getJobHandlers } = jobRunner;
   const [ffmpegLoaded, setFfmpegLoaded] = useState(false);
   const [loadingFFmpeg, setLoadingFFmpeg] = useState(false);
+  const [multiThreaded, setMultiThreaded] = useState(false);
   const [error, setError] = useState('');
+  const [shortcutBindings, setShortcutBindings] = useState(() => loadBindings(JSON.parse(localStorage.getItem('videoEditorShortcuts') || 'null')));
+  const [showShortcuts, setShowShortcuts] = useState(false);
   
   // Video settings
-  const [flipHorizontal, setFlipHorizontal] = useState(false);
-  const [flipVertical, setFlipVertical] = useState(false);
-  const [audioMode, setAudioMode] = useState('stereo');
-  const [aspectRatio, setAspectRatio] = useState('original');
-  const [cropSettings, setCropSettings] = useState({ x: 0, y: 0, width: 100, height: 100 });
-  const [subtitles, setSubtitles] = useState('');
-  const [rotation, setRotation] = useState(0);
+  const [isCropEditing, setIsCropEditing] = useState(false);
+  const [cropAspectLock, setCropAspectLock] = useState('free');
+  const [selectedLayerId, setSelectedLayerId] = useState(null);
+
+  // Export
+  const [exportPresets, setExportPresets] = useState(() => {
+    const saved = localStorage.getItem('videoEditorExportPresets');
+    return saved ? withDefaultPresets(JSON.parse(saved)) : DEFAULT_PRESETS;
+  });
+  const [renderQueue, setRenderQueue] = useState([]);
+  const [showExportDialog, setShowExportDialog] = useState(false);
+  // Files waiting for or run through the batch recipe; once a batch starts,
+  // each item points at its render job
+  const [batchItems, setBatchItems] = useState([]);
+  const [batchId, setBatchId] = useState(null);
+  const [showBatchDialog, setShowBatchDialog] = useState(false);
+
+  // Project
+  const [projectId, setProjectId] = useState(createProjectId);
+  const [projectName, setProjectName] = useState('Untitled Project');
+  const [recentProjects, setRecentProjects] = useState([]);
+  const [bumperLibrary, setBumperLibrary] = useState([]);
+  // ffprobe results by file fingerprint; they describe files, not edits
+  const [probes, setProbes] = useState({});
+  // Silences and scene cuts found in each source file, by fingerprint
+  const [detections, setDetections] = useState({});
+  // Filters the engine was built with, once it has listed them
+  const [engineFilters, setEngineFilters] = useState(null);
+  // The latest corrections-only render of a clip's trimmed range, and where
+  // the before/after split sits while comparing (null when not)
+  const [correctionPreview, setCorrectionPreview] = useState(null);
+  const [compareSplit, setCompareSplit] = useState(null);
+  const [lastAutosave, setLastAutosave] = useState(null);
+  const [restoreCandidate, setRestoreCandidate] = useState(null);
   
   const videoRef = useRef(null);
-  const ffmpegRef = useRef(null);
+  const musicRef = useRef(null);
   const fileInputRef = useRef(null);
+  const jobCounterRef = useRef(0);
+  const [jobService] = useState(() => createJobService(createWasmBackend()));
+
+  // Undo can remove the selected clip, so fall back to the first one
+  const selectedClip = clips.find((clip) => clip.id === selectedClipId) || clips[0] || null;
+  const vidstab = engineFilters ? engineFilters.has('vidstabdetect') && engineFilters.has('vidstabtransform') : null;
+  const correctionPreviewState = !correctionPreview || correctionPreview.clipId !== selectedClip?.id
+    ? null
+    : correctionPreview.key === getCorrectionPreviewKey(selectedClip, correction) ? 'ready' : 'stale';
+  const playhead = toTimelineTime(edit, selectedClip?.id, currentTime);
+  // The second source is timed from the start of the clips, after any intro,
+  // as the render lays it onto them before the bumpers join
+  const clipsStart = clips.length > 0 ? getClipOffset(edit, clips[0].id) : 0;
+  // The second source's time for a time in the selected clip. A window is
+  // only there while the source plays; a split frame holds its last frame.
+  const getSecondVideoTime = (sourceTime) => {
+    const time = toTimelineTime(edit, selectedClip?.id, sourceTime) - clipsStart - composite.offset;
+    if (time < 0) return null;
+    if (time <= secondVideo.duration) return time;
+    return composite.layout === 'pip' ? null : secondVideo.duration;
+  };
+  const activeCue = getActiveCue(subtitleCues, playhead);
+
+  // Frame size entering the flip/rotate/crop chain: the clip itself, or the
+  // common size every clip is normalised to before concat
+  const sourceFrame = clips.length > 1 ? getConcatTarget(clips) : selectedClip || clips[0] || {};
+  const cropFrame = getOrientedSize(sourceFrame.width || 1920, sourceFrame.height || 1080, rotation);
+  const cropPixels = getCropPixels(cropSettings, cropFrame.width, cropFrame.height);
+  const outputFrame = getOutputFrameSize(aspectRatio, cropPixels, aspectSizes);
+  const missingMedia = getDocumentMedia(edit).filter((media) => media.missing);
+  const sequence = getSequence(edit);
+  // Stream copy is only possible when nothing has to be re-encoded
+  const canFastTrim =
+    sequence.length === 1 &&
+    !isRetimed(sequence[0]) &&
+    !hasTransitions(sequence, transitions) &&
+    !flipHorizontal &&
+    !flipVertical &&
+    normalizeRotation(rotation) === 0 &&
+    !isCropActive(cropSettings) &&
+    !isGradeActive(grade) &&
+    !isCorrectionActive(correction) &&
+    audioMode !== 'mono' &&
+    !isAudioMixActive(audioMix, music) &&
+    !secondVideo &&
+    !subtitleCues.some((cue) => cue.text.trim()) &&
+    overlays.length === 0;
 
   useEffect(() => {
     loadFFmpeg();
-    const savedSettings = localStorage.getItem('videoEditorSettings');
-    if (savedSettings) {
-      const settings = JSON.parse(savedSettings);
-      setFlipHorizontal(settings.flipHorizontal || false);
-      setFlipVertical(settings.flipVertical || false);
-      setAudioMode(settings.audioMode || 'stereo');
-      setAspectRatio(settings.aspectRatio || 'original');
-    }
+    listProjects()
+      .then((projects) => {
+        setRecentProjects(projects);
+        if (projects.length > 0) setRestoreCandidate(projects[0]);
+      })
+      .catch((err) => console.warn('Could not read autosaved projects:', err));
+    listBumpers()
+      .then(setBumperLibrary)
+      .catch((err) => console.warn('Could not read saved bumpers:', err));
   }, []);
 
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.volume = Math.min(1, audioMix.sourceVolume);
+    }
+  }, [audioMix.sourceVolume, selectedClip?.url]);
+
+  const { blank: previewBlank, holdingRef } = useRetimedPlayback(videoRef, selectedClip, shuttle, () => setShuttle(0));
+
+  // The music preview follows the timeline playhead rather than keeping its
+  // own clock, re-seeking whenever it drifts or the clip changes
+  useEffect(() => {
+    const audio = musicRef.current;
+    if (!audio || !music?.url || !music.duration) return;
+    audio.volume = Math.min(1, audioMix.musicVolume);
+    audio.muted = audioMode === 'mute';
+    const target = (audioMix.musicStart + playhead) % music.duration;
+    if (Math.abs(audio.currentTime - target) > 0.3) {
+      audio.currentTime = target;
+    }
+    // Music has no backwards, so it rests while shuttling back
+    audio.playbackRate = Math.max(shuttle, 1);
+    if (shuttle > 0 && audio.paused) {
+      audio.play().catch(() => {});
+    } else if (shuttle <= 0 && !audio.paused) {
+      audio.pause();
+    }
+  }, [shuttle, playhead, music, audioMix, audioMode]);
+
   const loadFFmpeg = async () => {
     try {
+      setFfmpegLoaded(false);
       setLoadingFFmpeg(true);
       setProgressMessage('Loading video processing engine...');
-      
-      const ffmpeg = new FFmpeg();
-      ffmpegRef.current = ffmpeg;
-
-      ffmpeg.on('log', ({ message }) => {
-        console.log(message);
-      });
-
-      ffmpeg.on('progress', ({ progress: prog, time }) => {
-        setProgress(Math.round(prog * 100));
-        if (isProcessing) {
-          setProgressMessage(`Processing: ${Math.round(prog * 100)}%`);
-        }
-      });
-
-      const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/umd';
-      await ffmpeg.load({
-        coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-        wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-      });
 
+      const { multiThreaded } = await jobService.load();
+      setMultiThreaded(multiThreaded);
+      // Probes that failed, say because a cancel stopped the engine, get
+      // another go on the fresh one
+      setProbes((prev) => Object.fromEntries(Object.entries(prev).filter(([, probe]) => probe.status !== 'error')));
       setFfmpegLoaded(true);
       setLoadingFFmpeg(false);
       setProgressMessage('Ready to edit!');
@@ -83,24 +255,311 @@ export default function VideoEditor() {
       flipHorizontal,
       flipVertical,
       audioMode,
+      audioMix,
       aspectRatio,
       rotation,
       cropSettings,
-      trimStart,
-      trimEnd
+      subtitleMode
     };
     localStorage.setItem('videoEditorSettings', JSON.stringify(settings));
   };
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (file && file.type.startsWith('video/')) {
-      setVideoFile(file);
-      const url = URL.createObjectURL(file);
-      setVideoUrl(url);
-      setTrimStart(0);
-      setTrimEnd(100);
+  // Clips, music, bumpers and the second source are stored as project media,
+  // not in its edit settings
+  const getEditDocument = () => {
+    const { clips: _clips, music: _music, bumpers: _bumpers, secondVideo: _secondVideo, ...settings } = edit;
+    return settings;
+  };
+
+  // Autosave shortly after the last change so a refresh never loses work
+  useEffect(() => {
+    if (clips.length === 0) return;
+    const timer = setTimeout(() => {
+      const project = createProjectDocument({ id: projectId, name: projectName, clips, music, bumpers, secondVideo, edit: getEditDocument() });
+      saveProject(project)
+        .then(() => {
+          setLastAutosave(project.savedAt);
+          return listProjects();
+        })
+        .then(setRecentProjects)
+        .catch((err) => console.warn('Autosave failed:', err));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [edit, projectId, projectName]);
+
+  // Replaces the whole document and its history; removed clips stay in
+  // history for undo, so their object URLs are only released here
+  const resetDocument = (document, label) => {
+    const urls = new Set(history.entries.flatMap((entry) => getDocumentMedia(entry.document).map((media) => media.url)));
+    urls.forEach((url) => url && URL.revokeObjectURL(url));
+    history.reset(document, label);
+    setSelectedClipId(document.clips?.[0]?.id || null);
+    setShuttle(0);
+    setCurrentTime(0);
+  };
+
+  const openProject = (project) => {
+    resetDocument({
+      ...project.edit,
+      clips: project.media.map(createMissingClip),
+      music: project.music ? createMissingClip(project.music) : null,
+      bumpers: {
+        intro: project.bumpers.intro && createMissingWholeClip(project.bumpers.intro),
+        outro: project.bumpers.outro && createMissingWholeClip(project.bumpers.outro)
+      },
+      secondVideo: project.secondVideo && createMissingWholeClip(project.secondVideo)
+    }, 'Open project');
+    setProjectId(project.id || createProjectId());
+    setProjectName(project.name || 'Untitled Project');
+    setLastAutosave(null);
+    setRestoreCandidate(null);
+    setIsCropEditing(false);
+    setError('');
+    setProgressMessage(`Opened "${project.name}". Relink the source files to continue editing.`);
+  };
+
+  const handleOpenProjectFile = async (file) => {
+    try {
+      openProject(parseProjectDocument(await file.text()));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const exportProject = () => {
+    const project = createProjectDocument({ id: projectId, name: projectName, clips, music, bumpers, secondVideo, edit: getEditDocument() });
+    const filename = `${projectName.trim().replace(/[^\w-]+/g, '_') || 'project'}.json`;
+    downloadBlob(new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' }), filename);
+  };
+
+  const newProject = () => {
+    resetDocument({}, 'New project');
+    setProjectId(createProjectId());
+    setProjectName('Untitled Project');
+    setLastAutosave(null);
+    setRestoreCandidate(null);
+  };
+
+  const removeRecentProject = async (id) => {
+    await deleteProject(id);
+    setRecentProjects(await listProjects());
+  };
+
+  const relinkMedia = async (files) => {
+    let remaining = missingMedia;
+    const unmatched = [];
+    const relinked = {};
+    for (const file of files) {
+      const match = findMediaMatch(remaining, file, await fingerprintFile(file));
+      if (match) {
+        relinked[match.id] = file;
+        remaining = remaining.filter((media) => media.id !== match.id);
+      } else {
+        unmatched.push(file.name);
+      }
+    }
+    const relink = (media) => (media && relinked[media.id] ? relinkClip(media, relinked[media.id]) : media);
+    history.amendAll((document) => ({
+      ...document,
+      clips: document.clips.map(relink),
+      music: relink(document.music),
+      bumpers: { intro: relink(document.bumpers.intro), outro: relink(document.bumpers.outro) },
+      secondVideo: relink(document.secondVideo)
+    }));
+    setError(unmatched.length > 0 ? `These files do not match any missing media: ${unmatched.join(', ')}` : '');
+  };
+
+  // Analyse every source file once the engine is loaded and idle. The probe
+  // also replaces the browser's guesses: the measured frame rate, and the
+  // display size where FFmpeg sees the coded, rotated frame instead.
+  useEffect(() => {
+    if (!ffmpegLoaded || isProcessing) return;
+    const pending = [...clips, secondVideo].filter((clip) => clip?.file && !probes[clip.hash]);
+    if (pending.length === 0) return;
+    setProbes((prev) => ({ ...prev, ...Object.fromEntries(pending.map((clip) => [clip.hash, { status: 'probing' }])) }));
+    pending.forEach(({ hash, file }) => {
+      jobService.probe(file)
+        .then((info) => {
+          setProbes((prev) => ({ ...prev, [hash]: { status: 'done', info } }));
+          if (!info.video) return;
+          const corrected = {
+            width: info.video.width,
+            height: info.video.height,
+            ...(info.video.fps > 0 ? { fps: snapFrameRate(info.video.fps) } : {})
+          };
+          const correct = (clip) => (clip?.hash === hash ? { ...clip, ...corrected } : clip);
+          history.amendAll((document) => ({
+            ...document,
+            clips: document.clips.map(correct),
+            secondVideo: correct(document.secondVideo)
+          }));
+        })
+        .catch((err) => setProbes((prev) => ({ ...prev, [hash]: { status: 'error', error: err.message } })));
+    });
+  }, [clips, secondVideo, probes, ffmpegLoaded, isProcessing]);
+
+  // Containers the browser cannot play are still editable and renderable,
+  // with their metadata read by ffprobe instead
+  const readClipMetadata = async (file) => {
+    try {
+      return { ...await readVideoMetadata(file), fps: await estimateFrameRate(file) };
+    } catch (err) {
+      if (!ffmpegLoaded) throw err;
+      const info = await jobService.probe(file);
+      if (!info.video || !info.duration) throw err;
+      return { duration: info.duration, width: info.video.width, height: info.video.height, fps: snapFrameRate(info.video.fps || DEFAULT_FPS) };
+    }
+  };
+
+  const handleFileUpload = async (e) => {
+    const files = Array.from(e.target.files).filter(isVideoFile);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      const newClips = [];
+      for (const file of files) {
+        newClips.push(createClip(file, {
+          ...await readClipMetadata(file),
+          hash: await fingerprintFile(file)
+        }));
+      }
+      updateEdit(newClips.length === 1 ? `Add ${newClips[0].name}` : `Add ${newClips.length} clips`, (doc) => ({ clips: [...doc.clips, ...newClips] }));
+      if (!selectedClip) {
+        setSelectedClipId(newClips[0].id);
+      }
+      setError('');
+    } catch (err) {
+      console.error('Failed to add clip:', err);
+      setError(err.message);
+    }
+  };
+
+  const addMusic = async (file) => {
+    try {
+      const metadata = await readAudioMetadata(file);
+      const track = createMusicTrack(file, { ...metadata, hash: await fingerprintFile(file) });
+      updateEdit(`Add music ${track.name}`, (doc) => ({ music: track, audioMix: { ...doc.audioMix, musicStart: 0 } }));
       setError('');
+    } catch (err) {
+      console.error('Failed to add music:', err);
+      setError(err.message);
+    }
+  };
+
+  // The second source plays from its start, lined up by the composite offset
+  const addSecondVideo = async (file) => {
+    try {
+      const video = createClip(file, { ...await readClipMetadata(file), hash: await fingerprintFile(file) });
+      updateEdit(`Add second source ${video.name}`, { secondVideo: video });
+      setError('');
+    } catch (err) {
+      console.error('Failed to add second source:', err);
+      setError(err.message);
+    }
+  };
+
+  const placeBumper = (slot, bumper) => {
+    updateEdit(`Add ${slot} ${bumper.name}`, (doc) => ({ bumpers: { ...doc.bumpers, [slot]: bumper } }));
+  };
+
+  const addBumper = async (slot, file) => {
+    try {
+      const metadata = {
+        ...await readVideoMetadata(file),
+        fps: await estimateFrameRate(file),
+        hasAudio: await detectAudioTrack(file),
+        hash: await fingerprintFile(file)
+      };
+      placeBumper(slot, createBumper(file, metadata));
+      setError('');
+      // The library is a convenience, so failing to store the file only warns
+      saveBumper({ ...metadata, name: file.name, file })
+        .then(listBumpers)
+        .then(setBumperLibrary)
+        .catch((err) => console.warn('Could not save bumper:', err));
+    } catch (err) {
+      console.error('Failed to add bumper:', err);
+      setError(err.message);
+    }
+  };
+
+  const placeSavedBumper = (slot, entry) => {
+    const file = new File([entry.file], entry.name, { type: entry.file.type });
+    placeBumper(slot, createBumper(file, entry));
+  };
+
+  const removeBumper = (slot) => {
+    updateEdit(`Remove ${slot}`, (doc) => ({ bumpers: { ...doc.bumpers, [slot]: null } }));
+  };
+
+  const deleteSavedBumper = async (hash) => {
+    await deleteBumper(hash);
+    setBumperLibrary(await listBumpers());
+  };
+
+  const updateTransition = (key, transition, coalesceKey) => {
+    const label = transition ? `${TRANSITIONS[transition.type].label} transition` : 'Remove transition';
+    updateEdit(label, (doc) => ({
+      transitions: key === 'start' || key === 'end'
+        ? { ...doc.transitions, [key]: transition }
+        : { ...doc.transitions, joins: { ...doc.transitions.joins, [key]: transition } }
+    }), coalesceKey);
+  };
+
+  const updateAudioMix = (patch, label, coalesceKey) => {
+    updateEdit(label, (doc) => ({ audioMix: { ...doc.audioMix, ...patch } }), coalesceKey);
+  };
+
+  const updateOverlays = (layers, label, coalesceKey) => {
+    updateEdit(label, { overlays: layers }, coalesceKey);
+  };
+
+  const moveLayer = (id, position) => {
+    updateEdit('Move layer', (doc) => ({
+      overlays: doc.overlays.map((layer) => (layer.id === id ? setLayerState(layer, playhead, position) : layer))
+    }), `Move layer:${id}`);
+  };
+
+  const movePanWindow = (position) => {
+    updateEdit('Move pan window', (doc) => ({ reframe: setPanAt(doc.reframe, playhead, position) }), 'pan');
+  };
+
+  const updateClip = (id, patch) => {
+    const label = CLIP_EDIT_LABELS[Object.keys(patch).find((key) => key in CLIP_EDIT_LABELS)] || 'Edit clip';
+    updateEdit(label, (doc) => ({
+      clips: doc.clips.map((clip) => (clip.id === id ? { ...clip, ...patch, ...clampTrim(clip, patch) } : clip))
+    }), `${label}:${id}`);
+  };
+
+  const stepFrames = (count) => {
+    const video = videoRef.current;
+    if (!video || !selectedClip) return;
+    const fps = selectedClip.fps || DEFAULT_FPS;
+    video.pause();
+    setShuttle(0);
+    video.currentTime = Math.min(Math.max(0, snapToFrame(video.currentTime, fps) + count / fps), video.duration || 0);
+  };
+
+  const removeClip = (id) => {
+    const index = clips.findIndex((clip) => clip.id === id);
+    const remaining = clips.filter((clip) => clip.id !== id);
+    updateEdit(`Remove ${clips[index].name}`, { clips: remaining });
+    if (id === selectedClip?.id) {
+      const neighbour = remaining[Math.min(index, remaining.length - 1)];
+      setSelectedClipId(neighbour ? neighbour.id : null);
+      setShuttle(0);
+    }
+  };
+
+  const reorderClips = (fromIndex, toIndex) => {
+    updateEdit('Reorder clips', (doc) => ({ clips: moveClip(doc.clips, fromIndex, toIndex) }));
+  };
+
+  const selectClip = (id) => {
+    if (id !== selectedClip?.id) {
+      setSelectedClipId(id);
+      setShuttle(0);
     }
   };
 
@@ -113,197 +572,487 @@ export default function VideoEditor() {
   const handleLoadedMetadata = () => {
     if (videoRef.current) {
       setDuration(videoRef.current.duration);
-      setTrimEnd(100);
     }
   };
 
+  // The element drives the playback state, so a native pause or the end of
+  // the video stops the shuttle too; pauses made to emulate retimes or play
+  // backwards are not a stop
+  const handlePlay = () => setShuttle((rate) => (rate > 0 ? rate : 1));
+
+  const handlePause = () => {
+    if (!holdingRef.current) setShuttle(0);
+  };
+
   const togglePlayPause = () => {
     if (videoRef.current) {
-      if (isPlaying) {
-        videoRef.current.pause();
-      } else {
-        videoRef.current.play();
-      }
-      setIsPlaying(!isPlaying);
+      setShuttle(isPlaying ? 0 : 1);
     }
   };
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  const seekTo = (time) => {
+    const video = videoRef.current;
+    if (!video || !selectedClip) return;
+    video.currentTime = Math.min(Math.max(0, time), video.duration || 0);
   };
 
-  const getAspectRatioStyles = () => {
-    const ratios = {
-      'original': 'aspect-video',
-      '16:9': 'aspect-video',
-      '9:16': 'aspect-[9/16]',
-      '1:1': 'aspect-square',
-      '4:3': 'aspect-[4/3]'
-    };
-    return ratios[aspectRatio] || 'aspect-video';
+  // Holding J or L down would otherwise race through the speeds
+  const shuttleBy = (direction) => (e) => {
+    if (!e.repeat && selectedClip) setShuttle((rate) => getShuttleRate(rate, direction));
   };
 
+  const markAtPlayhead = (key) => {
+    if (selectedClip && videoRef.current) updateClip(selectedClip.id, { [key]: videoRef.current.currentTime });
+  };
+
+  useShortcuts(shortcutBindings, {
+    playPause: (e) => !e.repeat && togglePlayPause(),
+    shuttleReverse: shuttleBy(-1),
+    shuttleStop: () => setShuttle(0),
+    shuttleForward: shuttleBy(1),
+    previousFrame: () => stepFrames(-1),
+    nextFrame: () => stepFrames(1),
+    backTenFrames: () => stepFrames(-10),
+    forwardTenFrames: () => stepFrames(10),
+    goToStart: () => seekTo(0),
+    goToEnd: () => seekTo(videoRef.current?.duration || 0),
+    goToIn: () => seekTo(selectedClip?.trimStart),
+    goToOut: () => seekTo(selectedClip?.trimEnd),
+    markIn: () => markAtPlayhead('trimStart'),
+    markOut: () => markAtPlayhead('trimEnd'),
+    split: () => {
+      if (!selectedClip || !videoRef.current) return;
+      const patch = splitClip(selectedClip, videoRef.current.currentTime);
+      if (patch) updateClip(selectedClip.id, patch);
+    },
+    undo: history.undo,
+    redo: history.redo,
+    showShortcuts: () => setShowShortcuts((shown) => !shown)
+  });
+
+  const updateShortcutBindings = (next) => {
+    setShortcutBindings(next);
+    localStorage.setItem('videoEditorShortcuts', JSON.stringify(next));
+  };
+
+  // The first key bound to an action, for labels and tooltips
+  const shortcutLabel = (actionId) => (shortcutBindings[actionId].length > 0 ? formatKey(shortcutBindings[actionId][0]) : null);
+  const shortcutHint = (actionId) => (shortcutLabel(actionId) ? ` (${shortcutLabel(actionId)})` : '');
+
+  // Written right to left in CSS: flip first, then rotate, as the filters do
   const getTransformStyles = () => {
     let transform = '';
+    const turn = normalizeRotation(rotation);
+    if (turn !== 0) transform += `rotate(${turn}deg) `;
     if (flipHorizontal) transform += 'scaleX(-1) ';
     if (flipVertical) transform += 'scaleY(-1) ';
-    if (rotation !== 0) transform += `rotate(${rotation}deg) `;
     return transform;
   };
 
-  const getAspectRatioFilter = () => {
-    const ratios = {
-      'original': null,
-      '16:9': 'scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2',
-      '9:16': 'scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2',
-      '1:1': 'scale=1080:1080:force_original_aspect_ratio=decrease,pad=1080:1080:(ow-iw)/2:(oh-ih)/2',
-      '4:3': 'scale=1440:1080:force_original_aspect_ratio=decrease,pad=1440:1080:(ow-iw)/2:(oh-ih)/2'
-    };
-    return ratios[aspectRatio];
+  const changeCropAspectLock = (lock) => {
+    setCropAspectLock(lock);
+    updateEdit(`Crop lock ${lock}`, (doc) => ({
+      cropSettings: fitCropToRatio(doc.cropSettings, CROP_ASPECT_LOCKS[lock], cropFrame.width, cropFrame.height)
+    }));
   };
 
-  const handleRender = async () => {
-    if (!videoFile || !ffmpegLoaded) {
-      setError('Please wait for the video processing engine to load and select a video file.');
+  const updatePresets = (next) => {
+    setExportPresets(next);
+    localStorage.setItem('videoEditorExportPresets', JSON.stringify(next));
+  };
+
+  const updateJob = (id, patch) => {
+    setRenderQueue((prev) => prev.map((job) => (job.id === id ? { ...job, ...patch } : job)));
+  };
+
+  // Each job snapshots the edit when it is queued, so the edit can keep
+  // changing while earlier jobs are still waiting to render
+  const queueRenders = (targets) => {
+    if (clips.length === 0) {
+      setError('Please select a video file first.');
+      return;
+    }
+    if (missingMedia.length > 0) {
+      setError('Relink the missing source files before exporting.');
+      return;
+    }
+    const audioOnly = targets.some(({ preset }) => !EXPORT_FORMATS[preset.format].video);
+    if (audioOnly && audioMode === 'mute') {
+      setError('Audio-only exports need audio. Switch the audio mode away from mute.');
       return;
     }
-    
-    try {
-      setIsProcessing(true);
-      setProgress(0);
-      setError('');
-      setProgressMessage('Preparing video...');
-      saveSettings();
-
-      const ffmpeg = ffmpegRef.current;
-      
-      // Write input file
-      await ffmpeg.writeFile('input.mp4', await fetchFile(videoFile));
-      setProgressMessage('Building filter pipeline...');
-
-      // Build filter complex
-      let filters = [];
-      
-      // Flip filters
-      if (flipHorizontal && flipVertical) {
-        filters.push('hflip,vflip');
-      } else if (flipHorizontal) {
-        filters.push('hflip');
-      } else if (flipVertical) {
-        filters.push('vflip');
-      }
 
-      // Rotation filter
-      if (rotation === 90) {
-        filters.push('transpose=1');
-      } else if (rotation === 180) {
-        filters.push('transpose=1,transpose=1');
-      } else if (rotation === 270) {
-        filters.push('transpose=2');
-      }
+    saveSettings();
+    const edit = {
+      clips,
+      bumpers,
+      transitions,
+      flipHorizontal,
+      flipVertical,
+      rotation,
+      cropSettings,
+      cropPixels,
+      grade,
+      audioMode,
+      audioMix,
+      music,
+      secondVideo,
+      composite,
+      subtitleCues,
+      subtitleMode,
+      overlays,
+      reframe,
+      aspectSizes,
+      correction
+    };
+    const jobs = targets.map(({ preset, aspectRatio: targetRatio }) => ({
+      id: `job-${Date.now()}-${jobCounterRef.current++}`,
+      preset: { ...preset },
+      aspectRatio: targetRatio,
+      edit,
+      mediaInfo: { probes, vidstab },
+      status: 'queued'
+    }));
+    setRenderQueue((prev) => [...prev, ...jobs]);
+    setShowExportDialog(false);
+    setError('');
+  };
 
-      // Crop filter
-      if (cropSettings.width !== 100 || cropSettings.height !== 100) {
-        filters.push(`crop=iw*${cropSettings.width/100}:ih*${cropSettings.height/100}`);
-      }
+  const cancelRender = () => {
+    if (jobRunner.cancel()) setProgressMessage('Cancelling render...');
+  };
 
-      // Aspect ratio filter
-      const aspectFilter = getAspectRatioFilter();
-      if (aspectFilter) {
-        filters.push(aspectFilter);
-      }
+  const removeJob = (id) => {
+    const job = renderQueue.find((j) => j.id === id);
+    if (job?.url) URL.revokeObjectURL(job.url);
+    setRenderQueue((prev) => prev.filter((j) => j.id !== id));
+  };
+
+  // Batch renders stay until their batch is cleared, for the ZIP
+  const clearFinishedJobs = () => {
+    renderQueue.filter((job) => !job.batchId && job.status === 'done' && job.url).forEach((job) => URL.revokeObjectURL(job.url));
+    setRenderQueue((prev) => prev.filter((job) => job.batchId || job.status === 'queued' || job.status === 'rendering'));
+  };
+
+  const updateBatchItem = (id, patch) => {
+    setBatchItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  };
 
-      // Subtitle filter
-      if (subtitles.trim()) {
-        // Create subtitle file
-        const subContent = `1
-00:00:00,000 --> 00:00:10,000
-${subtitles}`;
-        await ffmpeg.writeFile('subtitles.srt', subContent);
-        filters.push("subtitles=subtitles.srt:force_style='FontSize=24,PrimaryColour=&HFFFFFF&,OutlineColour=&H000000&,BorderStyle=3'");
+  const addBatchFiles = async (entries) => {
+    const items = entries.filter(({ file }) => isVideoFile(file)).map(({ file, path }) => createBatchItem(file, path));
+    if (items.length === 0) return;
+    setBatchItems((prev) => [...prev, ...items]);
+    for (const item of items) {
+      try {
+        // The fingerprint lets the render probe the file for audio first
+        updateBatchItem(item.id, { status: 'ready', metadata: { ...await readClipMetadata(item.file), hash: await fingerprintFile(item.file) } });
+      } catch (err) {
+        updateBatchItem(item.id, { status: 'error', error: err.message });
       }
+    }
+  };
 
-      const filterComplex = filters.join(',');
+  const startBatch = (preset, targetRatio) => {
+    saveSettings();
+    const id = createBatchId();
+    const recipe = createRecipe(edit, preset, targetRatio);
+    const jobs = batchItems
+      .filter((item) => item.status === 'ready')
+      .map((item) => ({
+        id: `job-${Date.now()}-${jobCounterRef.current++}`,
+        batchId: id,
+        itemId: item.id,
+        preset: { ...recipe.preset },
+        aspectRatio: targetRatio,
+        edit: getBatchEdit(recipe, item),
+        mediaInfo: { probes, vidstab },
+        status: 'queued'
+      }));
+    setBatchItems((prev) => prev.map((item) => ({ ...item, jobId: jobs.find((job) => job.itemId === item.id)?.id ?? null })));
+    setRenderQueue((prev) => [...prev, ...jobs]);
+    setBatchId(id);
+    setError('');
+  };
 
-      // Build ffmpeg command
-      const args = ['-i', 'input.mp4'];
+  const batchJobs = batchId ? renderQueue.filter((job) => job.batchId === batchId) : [];
 
-      // Trim
-      const startTime = (trimStart / 100) * duration;
-      const endTime = (trimEnd / 100) * duration;
-      if (startTime > 0) {
-        args.push('-ss', startTime.toString());
-      }
-      if (endTime < duration) {
-        args.push('-t', (endTime - startTime).toString());
-      }
+  // Stopping leaves the unrendered files cancelled, so resuming picks up
+  // exactly where the batch stopped
+  const stopBatch = () => {
+    setRenderQueue((prev) => prev.map((job) => (job.batchId === batchId && job.status === 'queued' ? { ...job, status: 'cancelled' } : job)));
+    if (batchJobs.some((job) => job.status === 'rendering')) {
+      cancelRender();
+    }
+  };
+
+  const resumeBatch = () => {
+    setRenderQueue((prev) => prev.map((job) =>
+      job.batchId === batchId && (job.status === 'error' || job.status === 'cancelled') ? { ...job, status: 'queued', error: null } : job
+    ));
+  };
 
-      // Apply filters
-      if (filterComplex) {
-        args.push('-vf', filterComplex);
+  // Outputs keep the folders they were dropped in
+  const downloadBatchZip = async () => {
+    const done = batchJobs.filter((job) => job.status === 'done');
+    const names = getUniqueNames(done.map((job) => {
+      const { path } = batchItems.find((item) => item.id === job.itemId);
+      return `${path.slice(0, path.lastIndexOf('/') + 1)}${job.filename}`;
+    }));
+    try {
+      setProgressMessage('Packing ZIP...');
+      const entries = [];
+      for (const [i, job] of done.entries()) {
+        const response = await fetch(job.url);
+        entries.push({ name: names[i], data: new Uint8Array(await response.arrayBuffer()) });
       }
+      downloadBlob(createZip(entries), `batch_${new Date().toISOString().slice(0, 10)}.zip`);
+      setProgressMessage(`✨ ${entries.length} files packed into a ZIP!`);
+    } catch (err) {
+      console.error('ZIP error:', err);
+      setError(`Failed to pack the ZIP: ${err.message}`);
+      setProgressMessage('');
+    }
+  };
+
+  const clearBatch = () => {
+    batchJobs.filter((job) => job.url).forEach((job) => URL.revokeObjectURL(job.url));
+    setRenderQueue((prev) => prev.filter((job) => !job.batchId || job.batchId !== batchId));
+    setBatchItems([]);
+    setBatchId(null);
+  };
+
+  useEffect(() => {
+    if (!ffmpegLoaded || isProcessing) return;
+    const next = renderQueue.find((job) => job.status === 'queued');
+    if (next) {
+      renderJob(next);
+    }
+  }, [renderQueue, isProcessing, ffmpegLoaded]);
+
+  // Which optional filters the engine has only shows in its filter list,
+  // so it is asked once; without an answer it is taken to have none
+  useEffect(() => {
+    if (!ffmpegLoaded || engineFilters) return;
+    jobService.submit({ args: FILTER_LIST_ARGS, files: [] }).result
+      .then(({ log }) => setEngineFilters(parseFilterList(log)))
+      .catch(() => setEngineFilters(new Set()));
+  }, [ffmpegLoaded]);
+
+  // A stabilised plan's analysis runs first, and its output is handed to the
+  // render; onHandle gets each job's handle so either can be cancelled
+  const runPlan = async (plan, label, onHandle) => {
+    let { files } = plan;
+    if (plan.analysis) {
+      const analysis = jobService.submit(plan.analysis, getJobHandlers(label, 'Analysing motion in'));
+      onHandle(analysis);
+      const { blob } = await analysis.result;
+      files = [...files, { name: plan.analysis.outputName, file: blob }];
+    }
+    const handle = jobService.submit({ ...plan, files }, getJobHandlers(label));
+    onHandle(handle);
+    return handle.result;
+  };
+
+  // Both passes of a two-pass plan, as one pasteable command
+  const getPlanCommands = (plan) => {
+    const steps = [plan.analysis, plan].filter(Boolean);
+    return {
+      command: steps.map((step) => formatCommand(step.args)).join(' && '),
+      desktopCommand: steps.map((step) => `ffmpeg ${formatCommand(getDesktopArgs(step))}`).join(' && ')
+    };
+  };
+
+  // Stills skip the render queue: they take a moment and are downloaded as
+  // soon as they are done
+  const renderStill = async ({ label, inputs, args, outputName, mimeType, filename }) => {
+    if (!ffmpegLoaded || isProcessing) return;
+    if (missingMedia.length > 0) {
+      setError('Relink the missing source files before exporting.');
+      return;
+    }
+    await jobRunner.run(async (track) => {
+      setError('');
+      setProgressMessage(`Rendering ${label}...`);
+      const files = [...inputs, ...(usesGradeLut(edit) ? [{ name: GRADE_LUT_NAME, data: grade.lut.text }] : [])];
+      setRenderLog({ title: `FFmpeg Log: ${label}`, command: formatCommand(args), desktopCommand: `ffmpeg ${formatCommand(getDesktopArgs({ args, files }))}`, lines: [] });
 
-      // Audio handling
-      if (audioMode === 'mute') {
-        args.push('-an');
-      } else if (audioMode === 'mono') {
-        args.push('-ac', '1');
+      const handle = jobService.submit({ args, files, outputName, mimeType, duration: 0 }, getJobHandlers(label));
+      track(handle);
+      const { blob } = await handle.result;
+      downloadBlob(blob, filename);
+      setProgressMessage(`✨ ${label} saved!`);
+    }, {
+      onCancel: () => setProgressMessage(`${label} cancelled.`),
+      onError: (err) => {
+        console.error('Still export error:', err);
+        setError(`Failed to render ${label}: ${err.message}`);
+        setProgressMessage('');
       }
+    });
+  };
+
+  // Analysis runs through the engine like a still, but only reads the log
+  const detectCuts = async (clip, settings) => {
+    if (!ffmpegLoaded || isProcessing || !clip.file) return;
+    const key = clip.hash || clip.id;
+    const label = clip.name;
+    const inputName = `detect.${getFileExtension(clip.name)}`;
+    const args = getDetectArgs({ inputName, ...settings, audio: probes[clip.hash]?.info?.audio.length !== 0 });
+    setDetections((prev) => ({ ...prev, [key]: { status: 'analysing', settings } }));
 
-      // Output settings
-      args.push('-c:v', 'libx264', '-preset', 'fast', '-crf', '22');
-      if (audioMode !== 'mute') {
-        args.push('-c:a', 'aac', '-b:a', '128k');
+    await jobRunner.run(async (track) => {
+      setError('');
+      setProgressMessage(`Preparing to analyse ${label}...`);
+      setRenderLog({ title: `FFmpeg Log: analysis of ${label}`, command: formatCommand(args), desktopCommand: `ffmpeg ${formatCommand(getDesktopArgs({ args, files: [{ name: inputName, file: clip.file }] }))}`, lines: [] });
+
+      const handle = jobService.submit({ args, files: [{ name: inputName, file: clip.file }], duration: clip.duration }, getJobHandlers(label, 'Analysing'));
+      track(handle);
+      const { log } = await handle.result;
+      setDetections((prev) => ({ ...prev, [key]: { status: 'done', settings, ...parseDetection(log, clip.duration) } }));
+      setProgressMessage(`✨ Finished analysing ${label}.`);
+    }, {
+      onCancel: () => {
+        setDetections((prev) => ({ ...prev, [key]: undefined }));
+        setProgressMessage(`Analysis of ${label} cancelled.`);
+      },
+      onError: (err) => {
+        console.error('Analysis error:', err);
+        setDetections((prev) => ({ ...prev, [key]: { status: 'error', settings, error: err.message } }));
+        setError(`Failed to analyse ${label}: ${err.message}`);
+        setProgressMessage('');
       }
-      args.push('output.mp4');
-
-      setProgressMessage('Processing video...');
-      console.log('FFmpeg command:', args.join(' '));
-
-      // Execute ffmpeg
-      await ffmpeg.exec(args);
-
-      setProgressMessage('Finalizing...');
-
-      // Read output file
-      const data = await ffmpeg.readFile('output.mp4');
-      
-      // Create download link
-      const blob = new Blob([data.buffer], { type: 'video/mp4' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `edited_${videoFile.name}`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-
-      // Cleanup
-      await ffmpeg.deleteFile('input.mp4');
-      await ffmpeg.deleteFile('output.mp4');
-      if (subtitles.trim()) {
-        await ffmpeg.deleteFile('subtitles.srt');
+    });
+  };
+
+  // Corrections cannot be previewed live, so the selected clip's trimmed
+  // range is rendered with only them applied, to split against the source
+  const renderCorrectionPreview = async () => {
+    const clip = selectedClip;
+    if (!ffmpegLoaded || isProcessing || !clip?.file) return;
+    const label = `corrections preview of ${clip.name}`;
+    const plan = getCorrectionPreviewPlan(clip, correction, { vidstab });
+    const previous = correctionPreview;
+
+    await jobRunner.run(async (track) => {
+      setError('');
+      setProgressMessage(`Preparing ${label}...`);
+      setRenderLog({ title: `FFmpeg Log: ${label}`, ...getPlanCommands(plan), lines: [] });
+
+      const { blob } = await runPlan(plan, label, track);
+      if (previous) URL.revokeObjectURL(previous.url);
+      setCorrectionPreview({
+        clipId: clip.id,
+        key: getCorrectionPreviewKey(clip, correction),
+        url: URL.createObjectURL(blob),
+        start: clip.trimStart,
+        end: clip.trimEnd
+      });
+      setCompareSplit(0.5);
+      setProgressMessage(`✨ ${label} ready to compare.`);
+    }, {
+      onCancel: () => setProgressMessage(`${label} cancelled.`),
+      onError: (err) => {
+        console.error('Correction preview error:', err);
+        setError(`Failed to render ${label}: ${err.message}`);
+        setProgressMessage('');
       }
+    });
+  };
 
-      setProgressMessage('✨ Video rendered successfully!');
-      setProgress(100);
-      
-      setTimeout(() => {
-        setIsProcessing(false);
-        setProgress(0);
-        setProgressMessage('Ready to edit!');
-      }, 2000);
+  const grabFrame = (format) => {
+    if (!selectedClip) return;
+    const { extension, mimeType } = STILL_FORMATS[format];
+    const inputName = `still.${getFileExtension(selectedClip.name)}`;
+    const outputName = `frame.${extension}`;
+    renderStill({
+      label: 'frame grab',
+      inputs: [{ name: inputName, file: selectedClip.file }],
+      args: getFrameGrabArgs({ edit: { ...edit, cropPixels }, aspectRatio, time: currentTime, timelineTime: playhead, format, inputName, outputName }),
+      outputName,
+      mimeType,
+      filename: `${selectedClip.name.replace(/\.[^.]+$/, '')}_${formatTimecode(playhead).replace(/[:.]/g, '-')}.${extension}`
+    });
+  };
 
-    } catch (err) {
-      console.error('Rendering error:', err);
-      setError(`Failed to render video: ${err.message}`);
-      setIsProcessing(false);
-      setProgressMessage('');
-      setProgress(0);
-    }
+  const exportContactSheet = ({ count, columns, format }) => {
+    const samples = getContactSheetTimes(clips, count);
+    if (samples.length === 0) return;
+    const { extension, mimeType } = STILL_FORMATS[format];
+    const sampled = clips.filter((clip) => samples.some((sample) => sample.clip === clip));
+    const inputs = sampled.map((clip, i) => ({ id: clip.id, name: `sheet${i}.${getFileExtension(clip.name)}`, file: clip.file }));
+    const outputName = `sheet.${extension}`;
+    renderStill({
+      label: 'contact sheet',
+      inputs,
+      args: getContactSheetArgs({
+        edit: { ...edit, cropPixels },
+        aspectRatio,
+        samples,
+        columns,
+        format,
+        inputNames: Object.fromEntries(inputs.map((input) => [input.id, input.name])),
+        outputName
+      }),
+      outputName,
+      mimeType,
+      filename: `${projectName}_contact_sheet.${extension}`
+    });
+  };
+
+  // The saved GIF or WebP preset, at the size and rate picked for this loop
+  const queueAnimation = ({ format, resolution, fps }) => {
+    const preset = exportPresets.find((p) => p.id === format) || DEFAULT_PRESETS.find((p) => p.id === format);
+    queueRenders([{ preset: { ...preset, resolution, fps }, aspectRatio }]);
+  };
+
+  // Whether each source has audio shapes the graph, so a plan waits for any
+  // source whose background probe is still pending or failed instead of
+  // guessing; a source that still cannot be probed fails the render
+  const withSourceProbes = async (edit, mediaInfo) => {
+    const known = mediaInfo.probes || {};
+    const pending = [...edit.clips, edit.secondVideo].filter((media) => media?.file && media.hash && known[media.hash]?.status !== 'done');
+    if (pending.length === 0) return mediaInfo;
+    const fresh = Object.fromEntries(await Promise.all(pending.map(async ({ hash, file }) => [hash, { status: 'done', info: await jobService.probe(file) }])));
+    setProbes((prev) => ({ ...prev, ...fresh }));
+    return { ...mediaInfo, probes: { ...known, ...fresh } };
+  };
+
+  const renderJob = async (job) => {
+    const { preset } = job;
+    const label = `${preset.name} (${job.aspectRatio})${job.batchId ? ` for ${job.edit.clips[0].name}` : ''}`;
+    const log = await jobRunner.run(async (track) => {
+      updateJob(job.id, { status: 'rendering' });
+      setError('');
+      setProgressMessage(`Preparing ${label}...`);
+
+      const mediaInfo = await withSourceProbes(job.edit, job.mediaInfo);
+      const plan = buildRenderPlan({ ...job.edit, preset, aspectRatio: job.aspectRatio }, mediaInfo);
+      const { command, desktopCommand } = getPlanCommands(plan);
+      setRenderLog({ title: `FFmpeg Log: ${label}`, command, desktopCommand, lines: [] });
+      updateJob(job.id, { command, desktopCommand });
+
+      // The service writes the plan's files, runs it and cleans up after it
+      const { blob } = await runPlan(plan, label, track);
+
+      updateJob(job.id, {
+        status: 'done',
+        url: URL.createObjectURL(blob),
+        filename: plan.filename
+      });
+      setProgressMessage(`✨ ${label} rendered successfully!`);
+    }, {
+      onCancel: () => {
+        updateJob(job.id, { status: 'cancelled' });
+        setProgressMessage(`${label} cancelled.`);
+      },
+      onError: (err) => {
+        console.error('Rendering error:', err);
+        updateJob(job.id, { status: 'error', error: err.message });
+        setError(`Failed to render ${label}: ${err.message}`);
+        setProgressMessage('');
+      }
+    });
+    updateJob(job.id, { log });
   };
 
   return (
@@ -321,32 +1070,64 @@ ${subtitles}`;
                   Pro Video Editor
                 </h1>
                 <p className="text-xs text-purple-300">
-                  {loadingFFmpeg ? 'Loading engine...' : ffmpegLoaded ? '✓ Ready for editing' : '⚠ Engine not loaded'}
+                  {loadingFFmpeg ? 'Loading engine...' : ffmpegLoaded ? `✓ Ready for editing${multiThreaded ? ' • multithreaded' : ''}` : '⚠ Engine not loaded'}
                 </p>
               </div>
             </div>
-            <button
-              onClick={handleRender}
-              disabled={!videoFile || isProcessing || !ffmpegLoaded}
-              className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-purple-600 to-pink-600 rounded-xl font-semibold hover:from-purple-500 hover:to-pink-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-purple-500/50"
-            >
-              {isProcessing ? (
-                <>
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                  {progress > 0 ? `${progress}%` : 'Processing...'}
-                </>
-              ) : (
-                <>
-                  <Download className="w-5 h-5" />
-                  Render & Download
-                </>
-              )}
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowBatchDialog(true)}
+                disabled={!ffmpegLoaded}
+                className="flex items-center gap-2 px-4 py-3 bg-purple-600/30 hover:bg-purple-600/50 rounded-xl font-semibold disabled:opacity-50 disabled:cursor-not-allowed transition-all"
+              >
+                <Layers className="w-5 h-5" />
+                Batch
+              </button>
+              <button
+                onClick={() => setShowExportDialog(true)}
+                disabled={clips.length === 0 || !ffmpegLoaded}
+                className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-purple-600 to-pink-600 rounded-xl font-semibold hover:from-purple-500 hover:to-pink-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all shadow-lg shadow-purple-500/50"
+              >
+                {isProcessing ? (
+                  <>
+                    <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                    {progress > 0 ? `${progress}%${eta !== null ? ` • ${formatTime(eta)}` : ''}` : 'Processing...'}
+                  </>
+                ) : (
+                  <>
+                    <Download className="w-5 h-5" />
+                    Export
+                  </>
+                )}
+              </button>
+            </div>
           </div>
         </div>
       </div>
 
       <div className="container mx-auto px-6 py-8">
+        {/* Autosave Restore */}
+        {restoreCandidate && clips.length === 0 && (
+          <div className="mb-6 p-4 rounded-xl border bg-purple-900/20 border-purple-500/50 text-purple-300 flex items-center gap-3">
+            <FolderOpen className="w-5 h-5 flex-shrink-0" />
+            <p className="flex-1 text-sm">
+              Restore <span className="font-semibold">{restoreCandidate.name}</span> from your last session?
+            </p>
+            <button
+              onClick={() => openProject(parseProjectDocument(restoreCandidate))}
+              className="px-3 py-2 bg-purple-600 hover:bg-purple-500 rounded-lg transition-all text-xs font-medium"
+            >
+              Restore
+            </button>
+            <button
+              onClick={() => setRestoreCandidate(null)}
+              className="px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Progress/Error Messages */}
         {(progressMessage || error) && (
           <div className={`mb-6 p-4 rounded-xl border ${
@@ -371,6 +1152,15 @@ ${subtitles}`;
                   </div>
                 )}
               </div>
+              {isProcessing && (
+                <button
+                  onClick={cancelRender}
+                  className="flex items-center gap-1 px-3 py-2 bg-red-600/30 hover:bg-red-600/50 rounded-lg transition-all text-xs font-medium text-red-200"
+                >
+                  <XCircle className="w-4 h-4" />
+                  Cancel
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -379,57 +1169,130 @@ ${subtitles}`;
           {/* Main Video Preview */}
           <div className="lg:col-span-2 space-y-4">
             <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
-              {!videoFile ? (
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={VIDEO_ACCEPT}
+                multiple
+                onChange={handleFileUpload}
+                className="hidden"
+              />
+              {!selectedClip ? (
                 <div
                   onClick={() => fileInputRef.current?.click()}
                   className="aspect-video bg-gradient-to-br from-purple-900/20 to-pink-900/20 rounded-xl border-2 border-dashed border-purple-500/30 flex flex-col items-center justify-center cursor-pointer hover:border-purple-500/60 transition-all"
                 >
                   <Upload className="w-16 h-16 text-purple-400 mb-4" />
                   <p className="text-xl font-semibold text-purple-300">Upload Video</p>
-                  <p className="text-sm text-purple-400/60 mt-2">MP4, MOV, WebM supported</p>
-                  <input
-                    ref={fileInputRef}
-                    type="file"
-                    accept="video/*"
-                    onChange={handleFileUpload}
-                    className="hidden"
-                  />
+                  <p className="text-sm text-purple-400/60 mt-2">MP4, MOV, WebM supported • Select several to build a timeline</p>
                 </div>
               ) : (
                 <div className="space-y-4">
-                  <div className={`relative ${getAspectRatioStyles()} bg-black rounded-xl overflow-hidden mx-auto max-w-full`}>
-                    <video
-                      ref={videoRef}
-                      src={videoUrl}
-                      className="w-full h-full object-contain"
-                      style={{ transform: getTransformStyles() }}
-                      onTimeUpdate={handleTimeUpdate}
-                      onLoadedMetadata={handleLoadedMetadata}
-                      muted={audioMode === 'mute'}
-                    />
-                    {subtitles && (
+                  <VideoPreview
+                    videoRef={videoRef}
+                    src={selectedClip.url}
+                    className=""
+                    style={{ aspectRatio: `${outputFrame.width} / ${outputFrame.height}` }}
+                    frameWidth={sourceFrame.width}
+                    frameHeight={sourceFrame.height}
+                    rotation={rotation}
+                    transform={getTransformStyles()}
+                    grade={grade}
+                    crop={cropSettings}
+                    onCropChange={(crop) => updateEdit('Adjust crop', { cropSettings: crop }, 'crop')}
+                    isCropEditing={isCropEditing}
+                    cropAspectLock={CROP_ASPECT_LOCKS[cropAspectLock]}
+                    fill={aspectRatio !== 'original' ? getPreviewFill(reframe, playhead) : null}
+                    backdrop={aspectRatio !== 'original' && reframe.mode === 'blur'}
+                    onPanChange={aspectRatio !== 'original' && reframe.mode === 'pan' ? movePanWindow : null}
+                    compare={compareSplit !== null && correctionPreviewState === 'ready' ? { ...correctionPreview, src: correctionPreview.url, split: compareSplit } : null}
+                    onCompareSplitChange={setCompareSplit}
+                    composite={secondVideo?.url ? {
+                      settings: composite,
+                      source: secondVideo,
+                      mapTime: getSecondVideoTime,
+                      muted: audioMode === 'mute' || composite.audio === 'main'
+                    } : null}
+                    onCompositeChange={(next, label, coalesceKey) => updateEdit(label, { composite: next }, coalesceKey)}
+                    muted={audioMode === 'mute' || (Boolean(secondVideo) && composite.audio === 'second')}
+                    overlays={
+                      <>
+                        {previewBlank && <div className="absolute inset-0 bg-black" />}
+                        <OverlayLayers
+                          layers={overlays}
+                          time={playhead}
+                          selectedLayerId={selectedLayerId}
+                          onSelect={setSelectedLayerId}
+                          onMove={moveLayer}
+                        />
+                      </>
+                    }
+                    onTimeUpdate={handleTimeUpdate}
+                    onLoadedMetadata={handleLoadedMetadata}
+                    onPlay={handlePlay}
+                    onPause={handlePause}
+                    onEnded={() => setShuttle(0)}
+                  >
+                    {music?.url && <audio ref={musicRef} src={music.url} preload="auto" className="hidden" />}
+                    {activeCue && (
                       <div className="absolute bottom-4 left-0 right-0 text-center">
-                        <p className="bg-black/80 text-white px-4 py-2 rounded-lg inline-block text-sm">
-                          {subtitles}
+                        <p className="bg-black/80 text-white px-4 py-2 rounded-lg inline-block text-sm whitespace-pre-line">
+                          {activeCue.text}
                         </p>
                       </div>
                     )}
-                  </div>
+                    {selectedClip.missing && (
+                      <div className="absolute inset-0 flex flex-col items-center justify-center text-center p-6 bg-black/80">
+                        <AlertCircle className="w-10 h-10 text-yellow-400 mb-3" />
+                        <p className="font-semibold text-yellow-200">Source file missing</p>
+                        <p className="text-sm text-purple-300 mt-1">{selectedClip.name}</p>
+                        <p className="text-xs text-purple-400 mt-2">Relink it from the Project panel.</p>
+                      </div>
+                    )}
+                  </VideoPreview>
 
                   {/* Video Controls */}
                   <div className="space-y-3">
                     <div className="flex items-center gap-4">
-                      <button
-                        onClick={togglePlayPause}
-                        className="bg-purple-600 hover:bg-purple-500 p-3 rounded-xl transition-all"
-                      >
-                        {isPlaying ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
-                      </button>
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => stepFrames(-1)}
+                          className="bg-purple-600/30 hover:bg-purple-600/50 p-2 rounded-lg transition-all"
+                          title={`Previous frame${shortcutHint('previousFrame')}`}
+                        >
+                          <SkipBack className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={togglePlayPause}
+                          className="bg-purple-600 hover:bg-purple-500 p-3 rounded-xl transition-all"
+                          title={`${isPlaying ? 'Pause' : 'Play'}${shortcutHint('playPause')}`}
+                        >
+                          {isPlaying ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+                        </button>
+                        <button
+                          onClick={() => stepFrames(1)}
+                          className="bg-purple-600/30 hover:bg-purple-600/50 p-2 rounded-lg transition-all"
+                          title={`Next frame${shortcutHint('nextFrame')}`}
+                        >
+                          <SkipForward className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setShowShortcuts(true)}
+                          className="bg-purple-600/30 hover:bg-purple-600/50 p-2 rounded-lg transition-all"
+                          title={`Keyboard shortcuts${shortcutHint('showShortcuts')}`}
+                        >
+                          <Keyboard className="w-4 h-4" />
+                        </button>
+                        {shuttle !== 0 && shuttle !== 1 && (
+                          <span className="ml-1 px-2 py-1 rounded bg-purple-600/40 text-xs font-mono">{formatShuttleRate(shuttle)}</span>
+                        )}
+                      </div>
                       <div className="flex-1 space-y-1">
                         <input
                           type="range"
                           min="0"
                           max={duration || 100}
+                          step="any"
                           value={currentTime}
                           onChange={(e) => {
                             if (videoRef.current) {
@@ -441,52 +1304,82 @@ ${subtitles}`;
                             background: `linear-gradient(to right, #a855f7 0%, #a855f7 ${(currentTime / duration) * 100}%, #4c1d95 ${(currentTime / duration) * 100}%, #4c1d95 100%)`
                           }}
                         />
-                        <div className="flex justify-between text-xs text-purple-300">
-                          <span>{formatTime(currentTime)}</span>
-                          <span>{formatTime(duration)}</span>
+                        <Filmstrip clip={selectedClip} currentTime={currentTime} />
+                        <div className="flex justify-between text-xs text-purple-300 font-mono">
+                          <span>{formatTimecode(currentTime)}</span>
+                          <span>{formatTimecode(duration)}</span>
                         </div>
                       </div>
                     </div>
 
-                    {/* Trim Controls */}
-                    <div className="bg-purple-900/30 p-4 rounded-xl">
-                      <div className="flex items-center gap-2 mb-2">
-                        <Scissors className="w-4 h-4 text-purple-400" />
-                        <span className="text-sm font-semibold text-purple-300">Trim Timeline</span>
-                      </div>
-                      <div className="space-y-2">
-                        <div>
-                          <label className="text-xs text-purple-400">Start: {formatTime((trimStart / 100) * duration)}</label>
-                          <input
-                            type="range"
-                            min="0"
-                            max="100"
-                            value={trimStart}
-                            onChange={(e) => setTrimStart(Number(e.target.value))}
-                            className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
-                          />
-                        </div>
-                        <div>
-                          <label className="text-xs text-purple-400">End: {formatTime((trimEnd / 100) * duration)}</label>
-                          <input
-                            type="range"
-                            min="0"
-                            max="100"
-                            value={trimEnd}
-                            onChange={(e) => setTrimEnd(Number(e.target.value))}
-                            className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
-                          />
-                        </div>
-                      </div>
-                    </div>
+                    <Timeline
+                      clips={clips}
+                      bumpers={bumpers}
+                      transitions={transitions}
+                      music={music}
+                      musicStart={audioMix.musicStart}
+                      selectedClipId={selectedClip?.id}
+                      currentTime={currentTime}
+                      shortcuts={{ markIn: shortcutLabel('markIn'), markOut: shortcutLabel('markOut'), split: shortcutLabel('split') }}
+                      detection={selectedClip && detections[selectedClip.hash || selectedClip.id]}
+                      canDetect={ffmpegLoaded && !isProcessing && Boolean(selectedClip?.file)}
+                      onSelectClip={selectClip}
+                      onReorderClips={reorderClips}
+                      onRemoveClip={removeClip}
+                      onUpdateClip={updateClip}
+                      onUpdateTransition={updateTransition}
+                      onRemoveBumper={removeBumper}
+                      onAddClips={() => fileInputRef.current?.click()}
+                      onDetect={detectCuts}
+                      onSeek={seekTo}
+                    />
                   </div>
                 </div>
               )}
             </div>
+
+            <RenderQueue
+              jobs={renderQueue.filter((job) => !job.batchId)}
+              progress={progress}
+              onRemove={removeJob}
+              onRetry={(id) => updateJob(id, { status: 'queued', error: null })}
+              onCancel={cancelRender}
+              onShowLog={(job) => setRenderLog({ title: `FFmpeg Log: ${job.preset.name} (${job.aspectRatio})`, command: job.command || '', desktopCommand: job.desktopCommand || '', lines: job.log || [] })}
+              onClearFinished={clearFinishedJobs}
+            />
+
+            <LogPanel title={renderLog.title} command={renderLog.command} desktopCommand={renderLog.desktopCommand} lines={renderLog.lines} />
           </div>
 
           {/* Controls Panel */}
           <div className="space-y-4">
+            {/* History */}
+            <HistoryPanel
+              entries={history.entries}
+              index={history.index}
+              canUndo={history.canUndo}
+              canRedo={history.canRedo}
+              onUndo={history.undo}
+              onRedo={history.redo}
+              onJump={history.jumpTo}
+            />
+
+            {/* Project */}
+            <ProjectPanel
+              projectId={projectId}
+              projectName={projectName}
+              onNameChange={setProjectName}
+              onNew={newProject}
+              onExport={exportProject}
+              onOpenFile={handleOpenProjectFile}
+              recentProjects={recentProjects}
+              onOpenRecent={(id) => openProject(parseProjectDocument(recentProjects.find((project) => project.id === id)))}
+              onDeleteRecent={removeRecentProject}
+              missingMedia={missingMedia}
+              onRelink={relinkMedia}
+              lastAutosave={lastAutosave}
+            />
+
             {/* Browse */}
             <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
               <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
@@ -497,15 +1390,30 @@ ${subtitles}`;
                 onClick={() => fileInputRef.current?.click()}
                 className="w-full px-4 py-3 bg-purple-600/50 hover:bg-purple-600 rounded-xl transition-all text-sm font-medium"
               >
-                Choose Video File
+                {clips.length > 0 ? 'Add Video Clips' : 'Choose Video Files'}
               </button>
-              {videoFile && (
+              {selectedClip && (
                 <p className="text-xs text-purple-400 mt-2 truncate">
-                  {videoFile.name}
+                  {selectedClip.name}
                 </p>
               )}
             </div>
 
+            {/* Media Info */}
+            {selectedClip && !selectedClip.missing && (
+              <MediaInfoPanel clip={selectedClip} probe={probes[selectedClip.hash]} />
+            )}
+
+            {/* Intro & Outro */}
+            <BumperPanel
+              bumpers={bumpers}
+              library={bumperLibrary}
+              onAdd={addBumper}
+              onUseSaved={placeSavedBumper}
+              onRemove={removeBumper}
+              onDeleteSaved={deleteSavedBumper}
+            />
+
             {/* Flip Controls */}
             <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
               <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
@@ -514,7 +1422,7 @@ ${subtitles}`;
               </h3>
               <div className="space-y-3">
                 <button
-                  onClick={() => setFlipHorizontal(!flipHorizontal)}
+                  onClick={() => updateEdit('Flip horizontal', { flipHorizontal: !flipHorizontal })}
                   className={`w-full px-4 py-3 rounded-xl transition-all text-sm font-medium ${
                     flipHorizontal ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
                   }`}
@@ -522,7 +1430,7 @@ ${subtitles}`;
                   Flip Horizontal
                 </button>
                 <button
-                  onClick={() => setFlipVertical(!flipVertical)}
+                  onClick={() => updateEdit('Flip vertical', { flipVertical: !flipVertical })}
                   className={`w-full px-4 py-3 rounded-xl transition-all text-sm font-medium ${
                     flipVertical ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
                   }`}
@@ -530,20 +1438,50 @@ ${subtitles}`;
                   Flip Vertical
                 </button>
                 <div>
-                  <label className="text-xs text-purple-400 mb-1 block">Rotation: {rotation}°</label>
+                  <label className="text-xs text-purple-400 mb-1 block">Rotation: {normalizeRotation(rotation)}°</label>
                   <input
                     type="range"
                     min="0"
-                    max="360"
+                    max="270"
                     step="90"
-                    value={rotation}
-                    onChange={(e) => setRotation(Number(e.target.value))}
+                    value={normalizeRotation(rotation)}
+                    onChange={(e) => updateEdit('Rotate', { rotation: Number(e.target.value) }, 'rotation')}
                     className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
                   />
                 </div>
               </div>
             </div>
 
+            {/* Corrections */}
+            <CorrectionPanel
+              correction={correction}
+              vidstab={vidstab}
+              onChange={(next, label, coalesceKey) => updateEdit(label, { correction: next }, coalesceKey)}
+              preview={correctionPreviewState}
+              comparing={compareSplit !== null && correctionPreviewState === 'ready'}
+              canRenderPreview={ffmpegLoaded && !isProcessing && Boolean(selectedClip?.file)}
+              onRenderPreview={renderCorrectionPreview}
+              onCompareChange={(on) => setCompareSplit(on ? 0.5 : null)}
+            />
+
+            {/* Color & Effects */}
+            <ColorGradePanel
+              grade={grade}
+              onChange={(next, label, coalesceKey) => updateEdit(label, { grade: next }, coalesceKey)}
+              onError={setError}
+            />
+
+            {/* Stills & Loops */}
+            {clips.length > 0 && (
+              <SnapshotPanel
+                disabled={!ffmpegLoaded || isProcessing}
+                playhead={playhead}
+                onGrabFrame={grabFrame}
+                onContactSheet={exportContactSheet}
+                onQueueAnimation={queueAnimation}
+              />
+            )}
+
             {/* Audio Controls */}
             <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
               <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
@@ -554,7 +1492,7 @@ ${subtitles}`;
                 {['stereo', 'mono', 'mute'].map((mode) => (
                   <button
                     key={mode}
-                    onClick={() => setAudioMode(mode)}
+                    onClick={() => updateEdit(`Audio ${mode}`, { audioMode: mode })}
                     className={`w-full px-4 py-3 rounded-xl transition-all text-sm font-medium capitalize ${
                       audioMode === mode ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
                     }`}
@@ -566,48 +1504,58 @@ ${subtitles}`;
               </div>
             </div>
 
+            {/* Audio Mix */}
+            <AudioMixPanel
+              mix={audioMix}
+              music={music}
+              onChange={updateAudioMix}
+              onAddMusic={addMusic}
+              onRemoveMusic={() => updateEdit(`Remove music ${music.name}`, { music: null })}
+            />
+
+            {/* Second Source */}
+            <CompositePanel
+              secondVideo={secondVideo}
+              composite={composite}
+              clipsDuration={getTimelineDuration({ ...edit, bumpers: NO_BUMPERS })}
+              clipTime={Math.max(0, playhead - clipsStart)}
+              onAdd={addSecondVideo}
+              onRemove={() => updateEdit(`Remove second source ${secondVideo.name}`, { secondVideo: null })}
+              onChange={(next, label, coalesceKey) => updateEdit(label, { composite: next }, coalesceKey)}
+            />
+
             {/* Aspect Ratio */}
-            <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
-              <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
-                <Maximize2 className="w-5 h-5" />
-                Aspect Ratio
-              </h3>
-              <div className="grid grid-cols-2 gap-2">
-                {[
-                  { value: 'original', label: 'Original', icon: Monitor },
-                  { value: '16:9', label: '16:9', icon: Monitor },
-                  { value: '9:16', label: '9:16', icon: Smartphone },
-                  { value: '1:1', label: '1:1', icon: Maximize2 },
-                  { value: '4:3', label: '4:3', icon: Monitor }
-                ].map(({ value, label, icon: Icon }) => (
-                  <button
-                    key={value}
-                    onClick={() => setAspectRatio(value)}
-                    className={`px-3 py-2 rounded-lg transition-all text-xs font-medium flex items-center justify-center gap-1 ${
-                      aspectRatio === value ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
-                    }`}
-                  >
-                    <Icon className="w-3 h-3" />
-                    {label}
-                  </button>
-                ))}
-              </div>
-            </div>
+            <ReframePanel
+              aspectRatio={aspectRatio}
+              originalLabel={clips.length > 0 ? `Original (${describeAspect(cropPixels.width, cropPixels.height)})` : 'Original'}
+              sourceAspect={cropPixels.width / cropPixels.height}
+              reframe={reframe}
+              aspectSizes={aspectSizes}
+              playhead={playhead}
+              onChange={(patch, label, coalesceKey) => updateEdit(label, patch, coalesceKey)}
+            />
 
             {/* Subtitles */}
-            <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
-              <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
-                <Type className="w-5 h-5" />
-                Subtitles/CC
-              </h3>
-              <textarea
-                value={subtitles}
-                onChange={(e) => setSubtitles(e.target.value)}
-                placeholder="Enter subtitle text..."
-                className="w-full px-4 py-3 bg-purple-900/30 rounded-xl text-sm resize-none focus:outline-none focus:ring-2 focus:ring-purple-500"
-                rows="3"
-              />
-            </div>
+            <SubtitleEditor
+              cues={subtitleCues}
+              onChange={(cues, label, coalesceKey) => updateEdit(label, { subtitleCues: cues }, coalesceKey)}
+              playhead={playhead}
+              activeCueId={activeCue?.id}
+              mode={subtitleMode}
+              onModeChange={(mode) => updateEdit(mode === 'soft' ? 'Soft subtitles' : 'Burn-in subtitles', { subtitleMode: mode })}
+              onError={setError}
+            />
+
+            {/* Overlays */}
+            <OverlayPanel
+              layers={overlays}
+              selectedLayerId={selectedLayerId}
+              onSelect={setSelectedLayerId}
+              playhead={playhead}
+              duration={getTimelineDuration(edit)}
+              onChange={updateOverlays}
+              onError={setError}
+            />
 
             {/* Crop */}
             <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
@@ -615,35 +1563,89 @@ ${subtitles}`;
                 <Crop className="w-5 h-5" />
                 Crop
               </h3>
-              <div className="space-y-2">
-                <div>
-                  <label className="text-xs text-purple-400">Width: {cropSettings.width}%</label>
-                  <input
-                    type="range"
-                    min="10"
-                    max="100"
-                    value={cropSettings.width}
-                    onChange={(e) => setCropSettings({ ...cropSettings, width: Number(e.target.value) })}
-                    className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
-                  />
-                </div>
+              <div className="space-y-3">
+                <button
+                  onClick={() => setIsCropEditing(!isCropEditing)}
+                  disabled={!selectedClip}
+                  className={`w-full px-4 py-3 rounded-xl transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed ${
+                    isCropEditing ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                  }`}
+                >
+                  {isCropEditing ? 'Done Adjusting' : 'Adjust Crop Box'}
+                </button>
                 <div>
-                  <label className="text-xs text-purple-400">Height: {cropSettings.height}%</label>
-                  <input
-                    type="range"
-                    min="10"
-                    max="100"
-                    value={cropSettings.height}
-                    onChange={(e) => setCropSettings({ ...cropSettings, height: Number(e.target.value) })}
-                    className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
-                  />
+                  <label className="text-xs text-purple-400 mb-1 block">Aspect Lock</label>
+                  <div className="grid grid-cols-5 gap-1">
+                    {Object.keys(CROP_ASPECT_LOCKS).map((lock) => (
+                      <button
+                        key={lock}
+                        onClick={() => changeCropAspectLock(lock)}
+                        className={`px-1 py-2 rounded-lg transition-all text-[10px] font-medium capitalize ${
+                          cropAspectLock === lock ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                        }`}
+                      >
+                        {lock}
+                      </button>
+                    ))}
+                  </div>
                 </div>
+                {isCropActive(cropSettings) && (
+                  <div className="flex items-center justify-between text-xs text-purple-400">
+                    <span>{cropPixels.width}×{cropPixels.height} at {cropPixels.x},{cropPixels.y}</span>
+                    <button
+                      onClick={() => updateEdit('Reset crop', { cropSettings: FULL_CROP })}
+                      className="px-2 py-1 bg-purple-600/30 hover:bg-purple-600/50 rounded"
+                    >
+                      Reset
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           </div>
         </div>
       </div>
 
+      {showExportDialog && (
+        <ExportDialog
+          presets={exportPresets}
+          onPresetsChange={updatePresets}
+          currentAspectRatio={aspectRatio}
+          canFastTrim={canFastTrim}
+          onQueue={queueRenders}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
+
+      {showShortcuts && (
+        <ShortcutsDialog
+          bindings={shortcutBindings}
+          onChange={updateShortcutBindings}
+          onClose={() => setShowShortcuts(false)}
+        />
+      )}
+
+      {showBatchDialog && (
+        <BatchDialog
+          edit={edit}
+          presets={exportPresets.filter((preset) => !EXPORT_FORMATS[preset.format].streamCopy)}
+          items={batchItems}
+          jobs={batchJobs}
+          started={Boolean(batchId)}
+          progress={progress}
+          canStart={ffmpegLoaded}
+          onAddFiles={addBatchFiles}
+          onDropFiles={(dataTransfer) => readDroppedFiles(dataTransfer).then(addBatchFiles).catch((err) => setError(err.message))}
+          onRemoveItem={(id) => setBatchItems((prev) => prev.filter((item) => item.id !== id))}
+          onStart={startBatch}
+          onResume={resumeBatch}
+          onCancel={stopBatch}
+          onDownloadZip={downloadBatchZip}
+          onClear={clearBatch}
+          onClose={() => setShowBatchDialog(false)}
+        />
+      )}
+
       {/* Footer */}
       <div className="border-t border-purple-500/20 bg-black/20 backdrop-blur-xl mt-12">
         <div className="container mx-auto px-6 py-4 text-center text-sm text-purple-400">
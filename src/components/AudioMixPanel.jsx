@@ -0,0 +1,96 @@
+import React, { useRef } from 'react';
+import { SlidersHorizontal, Music, Trash2 } from 'lucide-react';
+import { formatTime } from '../utils/time';
+
+const MAX_FADE = 5;
+
+export default function AudioMixPanel({ mix, music, onChange, onAddMusic, onRemoveMusic }) {
+  const musicInputRef = useRef(null);
+
+  // Slider drags coalesce into one undo step per control
+  const slider = (key, label, { min, max, step, format }) => (
+    <div key={key}>
+      <label className="text-xs text-purple-400 mb-1 block">{label}: {format(mix[key])}</label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={mix[key]}
+        onChange={(e) => onChange({ [key]: Number(e.target.value) }, label, `audio:${key}`)}
+        className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+      />
+    </div>
+  );
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const seconds = (value) => `${value.toFixed(1)}s`;
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <SlidersHorizontal className="w-5 h-5" />
+        Audio Mix
+      </h3>
+      <div className="space-y-3">
+        {slider('sourceVolume', 'Clip volume', { min: 0, max: 2, step: 0.05, format: percent })}
+
+        {music ? (
+          <div className="p-3 rounded-xl bg-purple-900/30 space-y-3">
+            <div className="flex items-center gap-2 text-xs">
+              <Music className="w-4 h-4 text-pink-300 flex-shrink-0" />
+              <span className="truncate flex-1">{music.name}</span>
+              <button onClick={onRemoveMusic} className="p-1 hover:text-red-300" title="Remove music">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+            {slider('musicVolume', 'Music volume', { min: 0, max: 2, step: 0.05, format: percent })}
+            {slider('musicStart', 'Music starts at', { min: 0, max: Math.max(0, Math.floor(music.duration)), step: 0.5, format: formatTime })}
+            <button
+              onClick={() => onChange({ ducking: !mix.ducking }, mix.ducking ? 'Ducking off' : 'Ducking on')}
+              className={`w-full px-3 py-2 rounded-lg transition-all text-xs font-medium ${
+                mix.ducking ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+              }`}
+              title="Lower the music automatically while the clips have sound"
+            >
+              Duck Music Under Speech
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => musicInputRef.current?.click()}
+            className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-purple-600/30 hover:bg-purple-600/50 rounded-xl transition-all text-sm font-medium"
+          >
+            <Music className="w-4 h-4" />
+            Add Background Music
+          </button>
+        )}
+        <input
+          ref={musicInputRef}
+          type="file"
+          accept="audio/*"
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onAddMusic(file);
+          }}
+          className="hidden"
+        />
+
+        <div className="grid grid-cols-2 gap-3">
+          {slider('fadeIn', 'Fade in', { min: 0, max: MAX_FADE, step: 0.1, format: seconds })}
+          {slider('fadeOut', 'Fade out', { min: 0, max: MAX_FADE, step: 0.1, format: seconds })}
+        </div>
+
+        <button
+          onClick={() => onChange({ loudnorm: !mix.loudnorm }, mix.loudnorm ? 'Loudness normalisation off' : 'Loudness normalisation on')}
+          className={`w-full px-3 py-2 rounded-lg transition-all text-xs font-medium ${
+            mix.loudnorm ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+          }`}
+          title="Normalise the export to -16 LUFS (EBU R128)"
+        >
+          Normalise Loudness on Export
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+import React, { useRef, useState } from 'react';
+import { Layers, X, Upload, FolderInput, Play, RotateCcw, FileArchive, CheckCircle, AlertCircle, Clock, Ban, Trash2 } from 'lucide-react';
+import { ASPECT_TARGETS, EXPORT_FORMATS } from '../utils/exportPresets';
+import { createRecipe, describeRecipe, getBatchProgress } from '../utils/batch';
+import { formatTime } from '../utils/time';
+
+// Many files through one recipe: the current flip, rotate, crop, grade and
+// audio settings plus a preset and aspect target. Files are rendered one by
+// one on the render queue; failed ones can be resumed without redoing the
+// rest, and everything finished downloads as one ZIP.
+export default function BatchDialog({ edit, presets, items, jobs, started, progress, canStart, onAddFiles, onDropFiles, onRemoveItem, onStart, onResume, onCancel, onDownloadZip, onClear, onClose }) {
+  const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const [presetId, setPresetId] = useState(presets[0].id);
+  const [aspectRatio, setAspectRatio] = useState(edit.aspectRatio);
+  const [dragging, setDragging] = useState(false);
+
+  const preset = presets.find((p) => p.id === presetId) || presets[0];
+  const format = EXPORT_FORMATS[preset.format];
+  const audioOnlyMuted = !format.video && edit.audioMode === 'mute';
+  const readyCount = items.filter((item) => item.status === 'ready').length;
+  const counts = getBatchProgress(jobs);
+  const jobFor = (item) => jobs.find((job) => job.id === item.jobId);
+
+  const pickFiles = (e) => {
+    // Folder picks carry each file's path inside the folder
+    const entries = Array.from(e.target.files).map((file) => ({ file, path: file.webkitRelativePath || file.name }));
+    e.target.value = '';
+    onAddFiles(entries);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!started) onDropFiles(e.dataTransfer);
+  };
+
+  const statusIcon = (status) => {
+    switch (status) {
+      case 'done': return <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />;
+      case 'error': return <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0" />;
+      case 'cancelled': return <Ban className="w-4 h-4 text-purple-400 flex-shrink-0" />;
+      case 'queued': return <Clock className="w-4 h-4 text-purple-400 flex-shrink-0" />;
+      case 'ready': return <CheckCircle className="w-4 h-4 text-purple-400 flex-shrink-0" />;
+      default: return <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white flex-shrink-0"></div>;
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-slate-900 border border-purple-500/30 rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col shadow-2xl shadow-purple-500/20">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-purple-500/20">
+          <h2 className="font-semibold text-purple-300 flex items-center gap-2">
+            <Layers className="w-5 h-5" />
+            Batch Processing
+          </h2>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-purple-600/30">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          {!started && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <div>
+                  <label className="text-xs text-purple-400 mb-1 block">Preset</label>
+                  <select
+                    value={preset.id}
+                    onChange={(e) => setPresetId(e.target.value)}
+                    className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {presets.map((p) => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                </div>
+                {format.video && (
+                  <div>
+                    <label className="text-xs text-purple-400 mb-1 block">Aspect</label>
+                    <div className="grid grid-cols-5 gap-1">
+                      {ASPECT_TARGETS.map((target) => (
+                        <button
+                          key={target}
+                          onClick={() => setAspectRatio(target)}
+                          className={`px-1 py-2 rounded-lg transition-all text-[10px] font-medium capitalize ${
+                            aspectRatio === target ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                          }`}
+                        >
+                          {target}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+              <p className="text-xs text-purple-400">
+                Recipe: {describeRecipe(createRecipe(edit, preset, format.video ? aspectRatio : 'original'))}
+              </p>
+              {audioOnlyMuted && (
+                <p className="text-xs text-red-300">Audio-only presets need audio. Switch the audio mode away from mute.</p>
+              )}
+
+              <div
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragging(true);
+                }}
+                onDragLeave={() => setDragging(false)}
+                onDrop={handleDrop}
+                className={`p-6 rounded-xl border-2 border-dashed text-center transition-all ${
+                  dragging ? 'border-pink-400 bg-purple-600/20' : 'border-purple-500/40'
+                }`}
+              >
+                <p className="text-sm text-purple-300 mb-3">Drop video files or folders here</p>
+                <div className="flex justify-center gap-2">
+                  <button
+                    onClick={() => fileInputRef.current?.click()}
+                    className="flex items-center gap-1 px-3 py-2 rounded-lg bg-purple-600/30 hover:bg-purple-600/50 text-xs font-medium"
+                  >
+                    <Upload className="w-3 h-3" />
+                    Choose Files
+                  </button>
+                  <button
+                    onClick={() => folderInputRef.current?.click()}
+                    className="flex items-center gap-1 px-3 py-2 rounded-lg bg-purple-600/30 hover:bg-purple-600/50 text-xs font-medium"
+                  >
+                    <FolderInput className="w-3 h-3" />
+                    Choose Folder
+                  </button>
+                </div>
+                <input ref={fileInputRef} type="file" accept="video/*" multiple onChange={pickFiles} className="hidden" />
+                <input ref={folderInputRef} type="file" webkitdirectory="" onChange={pickFiles} className="hidden" />
+              </div>
+            </>
+          )}
+
+          {started && (
+            <p className="text-sm text-purple-300">
+              {counts.done} of {counts.total} done
+              {counts.failed > 0 && <span className="text-red-300"> • {counts.failed} failed</span>}
+              {counts.pending > 0 && <span className="text-purple-400"> • {counts.pending} to go</span>}
+            </p>
+          )}
+
+          {items.length > 0 && (
+            <div className="space-y-1">
+              {items.map((item) => {
+                const job = jobFor(item);
+                const status = job ? job.status : item.status;
+                return (
+                  <div key={item.id} className="bg-purple-900/30 px-3 py-2 rounded-lg">
+                    <div className="flex items-center gap-2 text-xs">
+                      {statusIcon(status)}
+                      <span className="flex-1 truncate" title={item.path}>{item.path}</span>
+                      {item.metadata && (
+                        <span className="text-purple-400">{item.metadata.width}×{item.metadata.height} • {formatTime(item.metadata.duration)}</span>
+                      )}
+                      {!started && (
+                        <button onClick={() => onRemoveItem(item.id)} className="p-1 hover:text-red-300" title="Remove from batch">
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      )}
+                    </div>
+                    {status === 'rendering' && (
+                      <div className="mt-2 w-full bg-purple-900/50 rounded-full h-1.5">
+                        <div
+                          className="bg-gradient-to-r from-purple-500 to-pink-500 h-1.5 rounded-full transition-all duration-300"
+                          style={{ width: `${progress}%` }}
+                        />
+                      </div>
+                    )}
+                    {(job?.error || item.error) && (
+                      <p className="text-[10px] text-red-300 mt-1">{job?.error || item.error}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-purple-500/20">
+          <button
+            onClick={onClear}
+            disabled={counts.pending > 0}
+            className="mr-auto px-4 py-2 rounded-xl bg-purple-600/30 hover:bg-purple-600/50 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {started ? 'New Batch' : 'Clear'}
+          </button>
+          {started ? (
+            <>
+              {counts.pending > 0 && (
+                <button
+                  onClick={onCancel}
+                  className="flex items-center gap-1 px-4 py-2 rounded-xl bg-purple-600/30 hover:bg-red-600/50 transition-all text-sm font-medium"
+                >
+                  <Ban className="w-4 h-4" />
+                  Stop
+                </button>
+              )}
+              <button
+                onClick={onResume}
+                disabled={counts.failed === 0}
+                className="flex items-center gap-1 px-4 py-2 rounded-xl bg-purple-600/30 hover:bg-purple-600/50 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Resume Failed
+              </button>
+              <button
+                onClick={onDownloadZip}
+                disabled={counts.done === 0}
+                className="flex items-center gap-1 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 transition-all text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <FileArchive className="w-4 h-4" />
+                Download ZIP ({counts.done})
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => onStart(preset, format.video ? aspectRatio : 'original')}
+              disabled={!canStart || readyCount === 0 || audioOnlyMuted}
+              className="flex items-center gap-1 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 transition-all text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Play className="w-4 h-4" />
+              Process {readyCount} {readyCount === 1 ? 'File' : 'Files'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
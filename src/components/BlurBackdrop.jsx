@@ -0,0 +1,31 @@
+import React, { useEffect, useRef } from 'react';
+
+// Blurring hides all detail, so a small copy of the frame is plenty
+const BACKDROP_WIDTH = 160;
+
+// Copies the <video> frame onto a small canvas for the blurred background
+// of blur-fill reframing; the caller lays it out and blurs it with CSS
+export default function BlurBackdrop({ videoRef, className, style }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas.getContext('2d');
+    let frame;
+    let drawnTime = -1;
+    const draw = () => {
+      frame = requestAnimationFrame(draw);
+      const video = videoRef.current;
+      if (!video || video.readyState < 2 || !video.videoWidth) return;
+      if (video.currentTime === drawnTime && video.paused) return;
+      canvas.width = BACKDROP_WIDTH;
+      canvas.height = Math.max(1, Math.round((BACKDROP_WIDTH * video.videoHeight) / video.videoWidth));
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      drawnTime = video.currentTime;
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [videoRef]);
+
+  return <canvas ref={canvasRef} className={`${className} pointer-events-none`} style={style} />;
+}
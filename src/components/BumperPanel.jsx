@@ -0,0 +1,102 @@
+import React, { useRef, useState } from 'react';
+import { Clapperboard, Upload, Trash2 } from 'lucide-react';
+import { formatTime } from '../utils/time';
+
+const SLOTS = [
+  { slot: 'intro', label: 'Intro' },
+  { slot: 'outro', label: 'Outro' }
+];
+
+// Intro and outro clips played around the edit. Every bumper added is kept
+// in a library in the browser, so a sting or end card can be reused in any
+// project without picking the file again.
+export default function BumperPanel({ bumpers, library, onAdd, onUseSaved, onRemove, onDeleteSaved }) {
+  const inputRef = useRef(null);
+  const [pickingSlot, setPickingSlot] = useState(null);
+
+  const pickFile = (slot) => {
+    setPickingSlot(slot);
+    inputRef.current?.click();
+  };
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <Clapperboard className="w-5 h-5" />
+        Intro & Outro
+      </h3>
+      <div className="space-y-3">
+        {SLOTS.map(({ slot, label }) => {
+          const bumper = bumpers[slot];
+          return (
+            <div key={slot} className="p-3 rounded-xl bg-purple-900/30 space-y-2">
+              <div className="flex items-center gap-2 text-xs">
+                <span className="font-semibold text-purple-300 w-10">{label}</span>
+                {bumper ? (
+                  <>
+                    <span className={`truncate flex-1 ${bumper.missing ? 'text-yellow-300' : ''}`}>{bumper.name}</span>
+                    <span className="text-purple-400">{formatTime(bumper.duration)}</span>
+                    <button onClick={() => onRemove(slot)} className="p-1 hover:text-red-300" title={`Remove ${slot}`}>
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    onClick={() => pickFile(slot)}
+                    className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 text-[10px]"
+                  >
+                    <Upload className="w-3 h-3" />
+                    Add File
+                  </button>
+                )}
+              </div>
+              {!bumper && library.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => {
+                    const entry = library.find((saved) => saved.hash === e.target.value);
+                    if (entry) onUseSaved(slot, entry);
+                  }}
+                  className="w-full px-2 py-1 bg-purple-900/50 rounded text-xs"
+                >
+                  <option value="">Use a saved bumper...</option>
+                  {library.map((entry) => (
+                    <option key={entry.hash} value={entry.hash}>{entry.name} ({formatTime(entry.duration)})</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          );
+        })}
+        <input
+          ref={inputRef}
+          type="file"
+          accept="video/*"
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file && pickingSlot) onAdd(pickingSlot, file);
+          }}
+          className="hidden"
+        />
+
+        {library.length > 0 && (
+          <div>
+            <p className="text-xs text-purple-400 mb-1">Saved bumpers</p>
+            <div className="space-y-1 max-h-32 overflow-y-auto">
+              {library.map((entry) => (
+                <div key={entry.hash} className="flex items-center gap-2 text-[10px] px-2 py-1 rounded bg-purple-900/30">
+                  <span className="truncate flex-1">{entry.name}</span>
+                  <span className="text-purple-400">{formatTime(entry.duration)}</span>
+                  <button onClick={() => onDeleteSaved(entry.hash)} className="p-0.5 hover:text-red-300" title="Delete from library">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
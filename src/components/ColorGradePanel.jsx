@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { Palette, FileUp, Trash2, RotateCcw } from 'lucide-react';
+import { DEFAULT_GRADE, isGradeActive, parseCubeLut } from '../utils/color';
+
+const SLIDERS = [
+  { key: 'brightness', label: 'Brightness', min: -0.5, max: 0.5, step: 0.01 },
+  { key: 'contrast', label: 'Contrast', min: 0.5, max: 2, step: 0.01 },
+  { key: 'saturation', label: 'Saturation', min: 0, max: 3, step: 0.01 },
+  { key: 'gamma', label: 'Gamma', min: 0.5, max: 2.5, step: 0.01 },
+  { key: 'temperature', label: 'Temperature', min: -1, max: 1, step: 0.01 },
+  { key: 'tint', label: 'Tint', min: -1, max: 1, step: 0.01 },
+  { key: 'sharpen', label: 'Sharpen', min: 0, max: 3, step: 0.05 },
+  { key: 'blur', label: 'Blur', min: 0, max: 10, step: 0.1 },
+  { key: 'denoise', label: 'Denoise', min: 0, max: 10, step: 0.1 }
+];
+
+export default function ColorGradePanel({ grade, onChange, onError }) {
+  const lutInputRef = useRef(null);
+
+  const handleLutImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    try {
+      parseCubeLut(text);
+    } catch (err) {
+      onError(`${file.name}: ${err.message}`);
+      return;
+    }
+    onChange({ ...grade, lut: { name: file.name, text } }, `Apply LUT ${file.name}`);
+  };
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold flex items-center gap-2 text-purple-300">
+          <Palette className="w-5 h-5" />
+          Color & Effects
+        </h3>
+        <button
+          onClick={() => onChange(DEFAULT_GRADE, 'Reset grade')}
+          disabled={!isGradeActive(grade)}
+          className="flex items-center gap-1 text-xs text-purple-400 hover:text-purple-200 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <RotateCcw className="w-3 h-3" />
+          Reset
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        {SLIDERS.map(({ key, label, min, max, step }) => (
+          <div key={key}>
+            <div className="flex justify-between text-xs text-purple-400 mb-1">
+              <label>{label}</label>
+              <button
+                onDoubleClick={() => onChange({ ...grade, [key]: DEFAULT_GRADE[key] }, `Reset ${label.toLowerCase()}`)}
+                className="font-mono"
+                title="Double-click to reset"
+              >
+                {grade[key].toFixed(2)}
+              </button>
+            </div>
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={grade[key]}
+              onChange={(e) => onChange({ ...grade, [key]: Number(e.target.value) }, label, `grade:${key}`)}
+              className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+        ))}
+
+        {grade.lut ? (
+          <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-purple-900/30 text-xs">
+            <span className="text-purple-400">LUT</span>
+            <span className="flex-1 truncate">{grade.lut.name}</span>
+            <button
+              onClick={() => onChange({ ...grade, lut: null }, 'Remove LUT')}
+              className="p-1 hover:text-red-300"
+              title="Remove LUT"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ) : (
+          <button
+            onClick={() => lutInputRef.current?.click()}
+            className="w-full flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+          >
+            <FileUp className="w-3 h-3" />
+            Import LUT (.cube)
+          </button>
+        )}
+        <input
+          ref={lutInputRef}
+          type="file"
+          accept=".cube"
+          onChange={handleLutImport}
+          className="hidden"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useRef } from 'react';
+import SyncedVideo from './SyncedVideo';
+import { clampPipPosition, getPipRect, getSplitRects } from '../utils/composite';
+
+const MIN_SPLIT = 0.1;
+
+// The second source on the edited frame, laid out as the render lays it:
+// a bordered picture-in-picture window dragged into place, or the other part
+// of a split frame with a divider to drag. frame is the edited frame size
+// and scale the preview pixels per frame pixel.
+export default function CompositeLayer({ videoRef, composite, source, frame, scale, mapTime, muted, onChange }) {
+  const layerRef = useRef(null);
+  const dragRef = useRef(null);
+  const video = (
+    <SyncedVideo
+      videoRef={videoRef}
+      src={source.url}
+      mapTime={mapTime}
+      muted={muted}
+      className="absolute inset-0 w-full h-full object-cover"
+    />
+  );
+
+  if (composite.layout === 'pip') {
+    const rect = getPipRect(composite, frame, source);
+    const radius = Math.min(composite.radius, Math.floor(Math.min(rect.outerWidth, rect.outerHeight) / 2));
+
+    const startDrag = (e) => {
+      e.stopPropagation();
+      dragRef.current = { startX: e.clientX, startY: e.clientY, x: rect.x / frame.width, y: rect.y / frame.height };
+      e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handleDrag = (e) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+      const position = clampPipPosition(composite, frame, source, {
+        x: drag.x + (e.clientX - drag.startX) / (frame.width * scale),
+        y: drag.y + (e.clientY - drag.startY) / (frame.height * scale)
+      });
+      onChange({ ...composite, ...position }, 'Move picture-in-picture', 'composite:move');
+    };
+
+    return (
+      <div
+        className="absolute overflow-hidden cursor-move touch-none"
+        style={{
+          left: rect.x * scale,
+          top: rect.y * scale,
+          width: rect.innerWidth * scale,
+          height: rect.innerHeight * scale,
+          boxSizing: 'content-box',
+          border: `${composite.border * scale}px solid ${composite.borderColor}`,
+          borderRadius: radius * scale
+        }}
+        onPointerDown={startDrag}
+        onPointerMove={handleDrag}
+        onPointerUp={() => { dragRef.current = null; }}
+        onPointerCancel={() => { dragRef.current = null; }}
+      >
+        {video}
+      </div>
+    );
+  }
+
+  const across = composite.layout === 'side';
+  const { main, second } = getSplitRects(composite, frame);
+  const boundary = composite.swap ? second : main;
+  const toBox = ({ x, y, width, height }) => ({ left: x * scale, top: y * scale, width: width * scale, height: height * scale });
+
+  // The divider follows the pointer; the main source's share is on the side
+  // it sits on
+  const moveDivider = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const bounds = layerRef.current.getBoundingClientRect();
+    const share = across ? (e.clientX - bounds.left) / bounds.width : (e.clientY - bounds.top) / bounds.height;
+    const split = Math.min(Math.max(composite.swap ? 1 - share : share, MIN_SPLIT), 1 - MIN_SPLIT);
+    onChange({ ...composite, split }, 'Move split', 'composite:split');
+  };
+
+  return (
+    <div ref={layerRef} className="absolute inset-0 pointer-events-none">
+      <div className="absolute overflow-hidden bg-black" style={toBox(second)}>
+        {video}
+      </div>
+      <div
+        className={`absolute touch-none pointer-events-auto flex justify-center items-center ${
+          across ? 'top-0 bottom-0 w-4 -ml-2 cursor-ew-resize' : 'left-0 right-0 h-4 -mt-2 cursor-ns-resize flex-col'
+        }`}
+        style={across ? { left: boundary.width * scale } : { top: boundary.height * scale }}
+        onPointerDown={(e) => {
+          e.stopPropagation();
+          e.currentTarget.setPointerCapture(e.pointerId);
+        }}
+        onPointerMove={moveDivider}
+      >
+        <div className={across ? 'w-0.5 h-full bg-white/80' : 'h-0.5 w-full bg-white/80'} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useRef } from 'react';
+import { PictureInPicture2, Film, Trash2, ArrowLeftRight, RotateCcw } from 'lucide-react';
+import { COMPOSITE_AUDIO, COMPOSITE_LAYOUTS, DEFAULT_COMPOSITE } from '../utils/composite';
+import { VIDEO_ACCEPT } from '../utils/media';
+import { formatTime } from '../utils/time';
+
+const PIP_SLIDERS = [
+  { key: 'width', label: 'Size', min: 0.1, max: 0.6, step: 0.01, format: (value) => `${Math.round(value * 100)}%` },
+  { key: 'border', label: 'Border', min: 0, max: 20, step: 1, format: (value) => `${value}px` },
+  { key: 'radius', label: 'Corner radius', min: 0, max: 80, step: 1, format: (value) => `${value}px` }
+];
+
+const formatOffset = (value) => `${value < 0 ? '-' : '+'}${formatTime(Math.abs(value))}`;
+
+// A second video source over or beside the edit. The window is placed by
+// dragging it in the preview; offset lines the two sources up, and the
+// audio can come from either or both. The offset, clipTime (the playhead)
+// and clipsDuration count from the start of the clips, after any intro.
+export default function CompositePanel({ secondVideo, composite, clipsDuration, clipTime, onAdd, onRemove, onChange }) {
+  const inputRef = useRef(null);
+
+  const slider = ({ key, label, min, max, step, format }) => (
+    <div key={key}>
+      <div className="flex justify-between text-xs text-purple-400 mb-1">
+        <label>{label}</label>
+        <button
+          onDoubleClick={() => onChange({ ...composite, [key]: DEFAULT_COMPOSITE[key] }, `Reset ${label.toLowerCase()}`)}
+          className="font-mono"
+          title="Double-click to reset"
+        >
+          {format(composite[key])}
+        </button>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={composite[key]}
+        onChange={(e) => onChange({ ...composite, [key]: Number(e.target.value) }, `Picture-in-picture ${label.toLowerCase()}`, `composite:${key}`)}
+        className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+      />
+    </div>
+  );
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold flex items-center gap-2 text-purple-300">
+          <PictureInPicture2 className="w-5 h-5" />
+          Second Source
+        </h3>
+        {secondVideo && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_COMPOSITE, layout: composite.layout }, 'Reset second source')}
+            className="flex items-center gap-1 text-xs text-purple-400 hover:text-purple-200"
+          >
+            <RotateCcw className="w-3 h-3" />
+            Reset
+          </button>
+        )}
+      </div>
+
+      {secondVideo ? (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2 text-xs p-3 rounded-xl bg-purple-900/30">
+            <Film className="w-4 h-4 text-pink-300 flex-shrink-0" />
+            <span className="truncate flex-1">{secondVideo.name}</span>
+            <button onClick={onRemove} className="p-1 hover:text-red-300" title="Remove second source">
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-3 gap-1">
+            {COMPOSITE_LAYOUTS.map((layout) => (
+              <button
+                key={layout.id}
+                onClick={() => onChange({ ...composite, layout: layout.id }, layout.label)}
+                className={`px-2 py-1.5 rounded-lg transition-all text-[10px] font-medium ${
+                  composite.layout === layout.id ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                }`}
+              >
+                {layout.label}
+              </button>
+            ))}
+          </div>
+
+          {composite.layout === 'pip' ? (
+            <>
+              {PIP_SLIDERS.map(slider)}
+              <div className="flex items-center justify-between text-xs text-purple-400">
+                <label>Border colour</label>
+                <input
+                  type="color"
+                  value={composite.borderColor}
+                  onChange={(e) => onChange({ ...composite, borderColor: e.target.value }, 'Picture-in-picture border colour', 'composite:borderColor')}
+                  className="w-8 h-6 bg-transparent rounded cursor-pointer"
+                />
+              </div>
+              <p className="text-[10px] text-purple-400">Drag the window in the preview to place it.</p>
+            </>
+          ) : (
+            <button
+              onClick={() => onChange({ ...composite, swap: !composite.swap }, 'Swap sides')}
+              className="w-full flex items-center justify-center gap-2 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+              title="Put the second source first; drag the divider in the preview to resize"
+            >
+              <ArrowLeftRight className="w-3 h-3" />
+              Swap Sides
+            </button>
+          )}
+
+          <div>
+            <div className="flex justify-between text-xs text-purple-400 mb-1">
+              <label>Starts at</label>
+              <span className="font-mono">{formatOffset(composite.offset)}</span>
+            </div>
+            <input
+              type="range"
+              min={-Math.floor(secondVideo.duration)}
+              max={Math.max(0, Math.ceil(clipsDuration))}
+              step={0.1}
+              value={composite.offset}
+              onChange={(e) => onChange({ ...composite, offset: Number(e.target.value) }, 'Second source offset', 'composite:offset')}
+              className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+            />
+            <button
+              onClick={() => onChange({ ...composite, offset: clipTime }, 'Start second source at playhead')}
+              className="mt-2 w-full px-3 py-1.5 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-[10px] font-medium"
+            >
+              Start at Playhead ({formatTime(clipTime)})
+            </button>
+          </div>
+
+          <div>
+            <label className="text-xs text-purple-400 mb-1 block">Audio from</label>
+            <div className="grid grid-cols-3 gap-1">
+              {COMPOSITE_AUDIO.map((option) => (
+                <button
+                  key={option.id}
+                  onClick={() => onChange({ ...composite, audio: option.id }, `Audio from ${option.label.toLowerCase()}`)}
+                  className={`px-2 py-1.5 rounded-lg transition-all text-[10px] font-medium ${
+                    composite.audio === option.id ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => inputRef.current?.click()}
+          className="w-full flex items-center justify-center gap-2 px-4 py-3 bg-purple-600/30 hover:bg-purple-600/50 rounded-xl transition-all text-sm font-medium"
+        >
+          <Film className="w-4 h-4" />
+          Add Second Video
+        </button>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept={VIDEO_ACCEPT}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = '';
+          if (file) onAdd(file);
+        }}
+        className="hidden"
+      />
+    </div>
+  );
+}
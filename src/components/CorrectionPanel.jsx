@@ -0,0 +1,133 @@
+import React from 'react';
+import { Aperture, RotateCcw, SplitSquareHorizontal, RefreshCw } from 'lucide-react';
+import { DEFAULT_CORRECTION, LENS_PRESETS, findLensPreset, isCorrectionActive } from '../utils/correction';
+
+const STABILISE_SLIDERS = [
+  { key: 'strength', label: 'Strength', min: 0, max: 1, step: 0.05, format: (value) => `${Math.round(value * 100)}%` },
+  { key: 'zoom', label: 'Zoom', min: 0, max: 20, step: 1, format: (value) => `${value}%` }
+];
+
+const LENS_SLIDERS = [
+  { key: 'k1', label: 'Distortion', min: -0.8, max: 0.4, step: 0.01 },
+  { key: 'k2', label: 'Edge distortion', min: -0.2, max: 0.4, step: 0.01 }
+];
+
+// Stabilisation and lens correction for the whole edit. Neither can be shown
+// live, so a corrected copy of the selected clip's trimmed range is rendered
+// and split against the source in the preview. vidstab is null until the
+// engine has said which filters it has.
+export default function CorrectionPanel({ correction, vidstab, onChange, preview, comparing, canRenderPreview, onRenderPreview, onCompareChange }) {
+  const lensPreset = findLensPreset(correction);
+
+  const slider = ({ key, label, min, max, step, format = (value) => value.toFixed(2) }, coalescePrefix) => (
+    <div key={key}>
+      <div className="flex justify-between text-xs text-purple-400 mb-1">
+        <label>{label}</label>
+        <button
+          onDoubleClick={() => onChange({ ...correction, [key]: DEFAULT_CORRECTION[key] }, `Reset ${label.toLowerCase()}`)}
+          className="font-mono"
+          title="Double-click to reset"
+        >
+          {format(correction[key])}
+        </button>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={correction[key]}
+        onChange={(e) => onChange({ ...correction, [key]: Number(e.target.value) }, `${coalescePrefix} ${label.toLowerCase()}`, `correction:${key}`)}
+        className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+      />
+    </div>
+  );
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold flex items-center gap-2 text-purple-300">
+          <Aperture className="w-5 h-5" />
+          Corrections
+        </h3>
+        <button
+          onClick={() => onChange(DEFAULT_CORRECTION, 'Reset corrections')}
+          disabled={!isCorrectionActive(correction)}
+          className="flex items-center gap-1 text-xs text-purple-400 hover:text-purple-200 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          <RotateCcw className="w-3 h-3" />
+          Reset
+        </button>
+      </div>
+
+      <div className="space-y-3">
+        <button
+          onClick={() => onChange({ ...correction, stabilise: !correction.stabilise }, correction.stabilise ? 'Stabilisation off' : 'Stabilisation on')}
+          className={`w-full px-3 py-2 rounded-lg transition-all text-xs font-medium ${
+            correction.stabilise ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+          }`}
+        >
+          Stabilise
+        </button>
+        {correction.stabilise && (
+          <>
+            {STABILISE_SLIDERS.map((config) => slider(config, 'Stabilisation'))}
+            <p className="text-[10px] text-purple-400">
+              {vidstab === null
+                ? 'Checking which stabiliser the engine has...'
+                : vidstab
+                  ? 'Two passes with vidstab: the motion is analysed before each render.'
+                  : 'This engine has no vidstab, so the single-pass deshake filter is used.'}
+            </p>
+          </>
+        )}
+
+        <div>
+          <label className="text-xs text-purple-400 mb-1 block">Lens</label>
+          <div className="grid grid-cols-2 gap-1">
+            {LENS_PRESETS.map((preset) => (
+              <button
+                key={preset.id}
+                onClick={() => onChange({ ...correction, k1: preset.k1, k2: preset.k2 }, `Lens ${preset.label}`)}
+                className={`px-2 py-1.5 rounded-lg transition-all text-[10px] font-medium ${
+                  lensPreset?.id === preset.id ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                }`}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        {LENS_SLIDERS.map((config) => slider(config, 'Lens'))}
+
+        <div className="pt-3 border-t border-purple-500/20">
+          <div className="grid grid-cols-2 gap-2">
+            <button
+              onClick={onRenderPreview}
+              disabled={!canRenderPreview || !isCorrectionActive(correction)}
+              className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Render the corrected trimmed range of the selected clip"
+            >
+              <RefreshCw className="w-3 h-3" />
+              {preview ? 'Update Preview' : 'Render Preview'}
+            </button>
+            <button
+              onClick={() => onCompareChange(!comparing)}
+              disabled={preview !== 'ready'}
+              className={`flex items-center justify-center gap-1 px-3 py-2 rounded-lg transition-all text-xs font-medium disabled:opacity-40 disabled:cursor-not-allowed ${
+                comparing ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+              }`}
+              title="Split the preview into the source and the corrected render"
+            >
+              <SplitSquareHorizontal className="w-3 h-3" />
+              Before / After
+            </button>
+          </div>
+          {preview === 'stale' && (
+            <p className="text-[10px] text-yellow-300 mt-2">The corrections or trim changed since the preview was rendered.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useRef } from 'react';
+import { moveCrop, resizeCrop } from '../utils/crop';
+
+const HANDLES = [
+  { id: 'nw', className: '-left-1.5 -top-1.5 cursor-nwse-resize' },
+  { id: 'n', className: 'left-1/2 -translate-x-1/2 -top-1.5 cursor-ns-resize' },
+  { id: 'ne', className: '-right-1.5 -top-1.5 cursor-nesw-resize' },
+  { id: 'e', className: '-right-1.5 top-1/2 -translate-y-1/2 cursor-ew-resize' },
+  { id: 'se', className: '-right-1.5 -bottom-1.5 cursor-nwse-resize' },
+  { id: 's', className: 'left-1/2 -translate-x-1/2 -bottom-1.5 cursor-ns-resize' },
+  { id: 'sw', className: '-left-1.5 -bottom-1.5 cursor-nesw-resize' },
+  { id: 'w', className: '-left-1.5 top-1/2 -translate-y-1/2 cursor-ew-resize' }
+];
+
+// Drawn over the oriented frame; all coordinates are percentages of it.
+export default function CropOverlay({ crop, onChange, aspectLock, frameWidth, frameHeight }) {
+  const boxRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const startDrag = (e, handle) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const bounds = boxRef.current.getBoundingClientRect();
+    dragRef.current = { handle, startX: e.clientX, startY: e.clientY, start: crop, bounds };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = ((e.clientX - drag.startX) / drag.bounds.width) * 100;
+    const dy = ((e.clientY - drag.startY) / drag.bounds.height) * 100;
+    onChange(
+      drag.handle === 'move'
+        ? moveCrop(drag.start, dx, dy)
+        : resizeCrop(drag.start, drag.handle, dx, dy, aspectLock, frameWidth, frameHeight)
+    );
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div ref={boxRef} className="absolute inset-0 touch-none">
+      <div
+        className="absolute border-2 border-pink-400 cursor-move shadow-[0_0_0_9999px_rgba(0,0,0,0.55)]"
+        style={{ left: `${crop.x}%`, top: `${crop.y}%`, width: `${crop.width}%`, height: `${crop.height}%` }}
+        onPointerDown={(e) => startDrag(e, 'move')}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+      >
+        <div className="absolute inset-0 grid grid-cols-3 grid-rows-3 pointer-events-none">
+          {Array.from({ length: 9 }).map((_, i) => (
+            <div key={i} className="border border-white/20" />
+          ))}
+        </div>
+        {HANDLES.map(({ id, className }) => (
+          <div
+            key={id}
+            className={`absolute w-3 h-3 bg-white border-2 border-pink-500 rounded-sm ${className}`}
+            onPointerDown={(e) => startDrag(e, id)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
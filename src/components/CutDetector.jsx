@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Radar, VolumeX, Scissors, Split, RefreshCw } from 'lucide-react';
+import { formatTime, formatTimecode } from '../utils/time';
+import { DEFAULT_DETECT_SETTINGS, getLongSilences, getSceneSplitPatch, getSilenceCuts, getSilenceRemovalPatch, getSpeechTrim, needsReanalysis } from '../utils/detect';
+
+// Silences and scene cuts found by an FFmpeg pass over the source, drawn on
+// the same 0-to-duration scale as the trim sliders above. Markers seek the
+// preview, so each can be checked before any suggested edit is applied.
+export default function CutDetector({ clip, detection, currentTime, canAnalyse, onAnalyse, onSeek, onChange }) {
+  const [settings, setSettings] = useState(DEFAULT_DETECT_SETTINGS);
+  const done = detection?.status === 'done';
+  const silences = done ? detection.silences : [];
+  const scenes = done ? detection.scenes : [];
+  const longSilences = getLongSilences(silences, settings.minSilence);
+  const removable = getSilenceCuts(clip, silences, settings);
+  const removablePatch = done ? getSilenceRemovalPatch(clip, silences, settings) : null;
+  const speechTrim = done ? getSpeechTrim(clip, silences, settings) : null;
+  const scenePatch = done ? getSceneSplitPatch(clip, scenes) : null;
+  const stale = done && needsReanalysis(detection, settings);
+  const share = (time) => (clip.duration > 0 ? (time / clip.duration) * 100 : 0);
+
+  const slider = (key, label, min, max, step, format) => (
+    <label key={key} className="block">
+      <span className="flex justify-between text-[10px] text-purple-400">
+        <span>{label}</span>
+        <span className="font-mono">{format(settings[key])}</span>
+      </span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={settings[key]}
+        onChange={(e) => setSettings({ ...settings, [key]: Number(e.target.value) })}
+        className="w-full h-1.5 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+      />
+    </label>
+  );
+
+  const button = (label, Icon, onClick, { disabled = false, title } = {}) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      className="flex items-center gap-1 px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 disabled:opacity-40 disabled:hover:bg-purple-600/30 text-[10px]"
+    >
+      <Icon className="w-3 h-3" />
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Radar className="w-4 h-4 text-purple-400" />
+        <span className="text-sm font-semibold text-purple-300">Cut Detection</span>
+        <div className="ml-auto">
+          {button(done ? 'Analyse Again' : 'Analyse', RefreshCw, () => onAnalyse(settings), {
+            disabled: !canAnalyse || detection?.status === 'analysing',
+            title: 'Find silences and scene changes in the source file'
+          })}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-3 gap-y-1 mb-2">
+        {slider('noise', 'Silence below', -60, -20, 1, (value) => `${value} dB`)}
+        {slider('sceneThreshold', 'Scene sensitivity', 0.1, 0.9, 0.05, (value) => `${Math.round((1 - value) * 100)}%`)}
+        {slider('minSilence', 'Shortest silence', 0.1, 5, 0.1, (value) => `${value.toFixed(1)}s`)}
+        {slider('padding', 'Keep either side', 0, 0.5, 0.05, (value) => `${value.toFixed(2)}s`)}
+      </div>
+
+      {detection?.status === 'analysing' && <p className="text-[10px] text-purple-400">Analysing {clip.name}...</p>}
+      {detection?.status === 'error' && <p className="text-[10px] text-red-300">Analysis failed: {detection.error}</p>}
+      {stale && <p className="text-[10px] text-yellow-300">Analyse again to apply the new silence level or scene sensitivity.</p>}
+
+      {done && (
+        <>
+          <div className="relative h-6 rounded bg-purple-900/50 overflow-hidden">
+            <div
+              className="absolute top-0 bottom-0 bg-purple-600/30"
+              style={{ left: `${share(clip.trimStart)}%`, width: `${share(clip.trimEnd - clip.trimStart)}%` }}
+            />
+            {silences.map((silence) => {
+              const long = longSilences.includes(silence);
+              return (
+                <button
+                  key={silence.start}
+                  onClick={() => onSeek(silence.start)}
+                  className={`absolute top-1 bottom-1 min-w-[2px] rounded-sm ${long ? 'bg-yellow-400/70 hover:bg-yellow-300' : 'bg-yellow-400/25 hover:bg-yellow-400/50'}`}
+                  style={{ left: `${share(silence.start)}%`, width: `${share(silence.end - silence.start)}%` }}
+                  title={`Silence ${formatTimecode(silence.start)} – ${formatTimecode(silence.end)} (${formatTime(silence.end - silence.start)})`}
+                />
+              );
+            })}
+            {scenes.map((time) => (
+              <button
+                key={time}
+                onClick={() => onSeek(time)}
+                className="absolute top-0 bottom-0 w-1 -ml-0.5 bg-sky-400/80 hover:bg-sky-300"
+                style={{ left: `${share(time)}%` }}
+                title={`Scene cut at ${formatTimecode(time)}`}
+              />
+            ))}
+            <div className="absolute top-0 bottom-0 w-0.5 bg-pink-400 pointer-events-none" style={{ left: `${share(currentTime)}%` }} />
+          </div>
+          <p className="text-[10px] text-purple-400 mt-1">
+            {longSilences.length} silence{longSilences.length === 1 ? '' : 's'} of {settings.minSilence.toFixed(1)}s or more
+            {removable.length > 0 ? ` • ${formatTime(removable.reduce((total, cut) => total + cut.end - cut.start, 0))} removable in the trim` : ''}
+            {` • ${scenes.length} scene cut${scenes.length === 1 ? '' : 's'}`}
+          </p>
+          <div className="flex flex-wrap gap-1 mt-2">
+            {button('Remove Silences', VolumeX, () => onChange(removablePatch), {
+              disabled: !removablePatch,
+              title: 'Split around each long silence and ripple delete it'
+            })}
+            {button('Trim to Sound', Scissors, () => onChange(speechTrim), {
+              disabled: !speechTrim || (speechTrim.trimStart === clip.trimStart && speechTrim.trimEnd === clip.trimEnd),
+              title: 'Set the in and out points to the first and last moments that are not silent'
+            })}
+            {button('Split at Scenes', Split, () => onChange(scenePatch), {
+              disabled: !scenePatch,
+              title: 'Add a split at every scene cut inside the trim'
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
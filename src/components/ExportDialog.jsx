@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { Download, X, RotateCcw, Zap } from 'lucide-react';
+import { ASPECT_TARGETS, DEFAULT_PRESETS, EXPORT_FORMATS, FAST_TRIM_PRESET, FRAME_RATES, RESOLUTIONS, describePreset, isAnimatedImage } from '../utils/exportPresets';
+
+export default function ExportDialog({ presets, onPresetsChange, currentAspectRatio, canFastTrim, onQueue, onClose }) {
+  const [selectedPresetId, setSelectedPresetId] = useState(presets[0].id);
+  const [aspectTargets, setAspectTargets] = useState([currentAspectRatio]);
+
+  const preset = presets.find((p) => p.id === selectedPresetId);
+  const format = EXPORT_FORMATS[preset.format];
+
+  const updatePreset = (patch) => {
+    onPresetsChange(presets.map((p) => (p.id === preset.id ? { ...p, ...patch } : p)));
+  };
+
+  const resetPreset = () => {
+    const original = DEFAULT_PRESETS.find((p) => p.id === preset.id);
+    if (original) updatePreset(original);
+  };
+
+  const toggleAspectTarget = (target) => {
+    setAspectTargets((prev) =>
+      prev.includes(target) ? prev.filter((t) => t !== target) : [...prev, target]
+    );
+  };
+
+  const targets = format.video ? aspectTargets : ['original'];
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-slate-900 border border-purple-500/30 rounded-2xl w-full max-w-2xl shadow-2xl shadow-purple-500/20">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-purple-500/20">
+          <h2 className="font-semibold text-purple-300 flex items-center gap-2">
+            <Download className="w-5 h-5" />
+            Export
+          </h2>
+          <button onClick={onClose} className="p-1 rounded-lg hover:bg-purple-600/30">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 p-6">
+          {/* Presets */}
+          <div className="space-y-2">
+            {presets.map((p) => (
+              <button
+                key={p.id}
+                onClick={() => setSelectedPresetId(p.id)}
+                className={`w-full text-left px-3 py-2 rounded-lg transition-all text-sm font-medium ${
+                  p.id === selectedPresetId ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                }`}
+              >
+                {p.name}
+              </button>
+            ))}
+          </div>
+
+          {/* Preset Settings */}
+          <div className="md:col-span-2 space-y-3">
+            <p className="text-xs text-purple-400">{describePreset(preset)}</p>
+
+            {format.video && (
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="text-xs text-purple-400 mb-1 block">Resolution</label>
+                  <select
+                    value={preset.resolution}
+                    onChange={(e) => updatePreset({ resolution: e.target.value })}
+                    className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {RESOLUTIONS.map((r) => (
+                      <option key={r} value={r}>{r === 'source' ? 'Source' : `${r}p`}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-xs text-purple-400 mb-1 block">Frame Rate</label>
+                  <select
+                    value={preset.fps}
+                    onChange={(e) => updatePreset({ fps: e.target.value })}
+                    className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    {FRAME_RATES.map((r) => (
+                      <option key={r} value={r}>{r === 'source' ? 'Source' : `${r} fps`}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
+            {preset.format === 'webp' && (
+              <div>
+                <label className="text-xs text-purple-400">Quality: {preset.quality ?? 75} (higher is better quality)</label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={preset.quality ?? 75}
+                  onChange={(e) => updatePreset({ quality: Number(e.target.value) })}
+                  className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+                />
+              </div>
+            )}
+
+            {format.video && !isAnimatedImage(preset.format) && (
+              <div>
+                <div className="flex gap-2 mb-2">
+                  {[
+                    { value: 'crf', label: 'Quality (CRF)' },
+                    { value: 'bitrate', label: 'Bitrate' }
+                  ].map(({ value, label }) => (
+                    <button
+                      key={value}
+                      onClick={() => updatePreset({ rateControl: value })}
+                      className={`flex-1 px-3 py-2 rounded-lg transition-all text-xs font-medium ${
+                        preset.rateControl === value ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                {preset.rateControl === 'crf' ? (
+                  <div>
+                    <label className="text-xs text-purple-400">CRF: {preset.crf} (lower is better quality)</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max={preset.format === 'webm' ? 63 : 51}
+                      value={preset.crf}
+                      onChange={(e) => updatePreset({ crf: Number(e.target.value) })}
+                      className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+                    />
+                  </div>
+                ) : (
+                  <input
+                    type="text"
+                    value={preset.videoBitrate}
+                    onChange={(e) => updatePreset({ videoBitrate: e.target.value })}
+                    placeholder="e.g. 5M or 2500k"
+                    className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                )}
+              </div>
+            )}
+
+            {format.audio && (
+              <div>
+                <label className="text-xs text-purple-400 mb-1 block">Audio Bitrate</label>
+                <select
+                  value={preset.audioBitrate}
+                  onChange={(e) => updatePreset({ audioBitrate: e.target.value })}
+                  className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {['96k', '128k', '192k', '256k', '320k'].map((b) => (
+                    <option key={b} value={b}>{b}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {format.video && (
+              <div>
+                <label className="text-xs text-purple-400 mb-1 block">Targets (one render each)</label>
+                <div className="grid grid-cols-5 gap-1">
+                  {ASPECT_TARGETS.map((target) => (
+                    <button
+                      key={target}
+                      onClick={() => toggleAspectTarget(target)}
+                      className={`px-1 py-2 rounded-lg transition-all text-[10px] font-medium capitalize ${
+                        aspectTargets.includes(target) ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                      }`}
+                    >
+                      {target}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={resetPreset}
+              className="flex items-center gap-1 text-xs text-purple-400 hover:text-purple-200"
+            >
+              <RotateCcw className="w-3 h-3" />
+              Reset preset
+            </button>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-purple-500/20">
+          <button
+            onClick={() => onQueue([{ preset: FAST_TRIM_PRESET, aspectRatio: 'original' }])}
+            disabled={!canFastTrim}
+            className="mr-auto flex items-center gap-1 px-4 py-2 rounded-xl bg-purple-600/30 hover:bg-purple-600/50 transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            title={canFastTrim
+              ? 'Copy the trimmed range without re-encoding; cuts snap to the nearest keyframes'
+              : 'Fast trim needs a single clip with no flips, rotation, crop, mono audio or subtitles'}
+          >
+            <Zap className="w-4 h-4" />
+            Fast Trim
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-xl bg-purple-600/30 hover:bg-purple-600/50 transition-all text-sm font-medium"
+          >
+            Close
+          </button>
+          <button
+            onClick={() => onQueue(targets.map((aspectRatio) => ({ preset, aspectRatio })))}
+            disabled={targets.length === 0}
+            className="px-4 py-2 rounded-xl bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-500 hover:to-pink-500 transition-all text-sm font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Add {targets.length} to Queue
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
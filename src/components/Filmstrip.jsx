@@ -0,0 +1,53 @@
+import React, { useEffect, useState } from 'react';
+import { captureFrames } from '../utils/media';
+
+const THUMBNAIL_COUNT = 12;
+// Thumbnails depend only on the source, so they survive clip switches
+const thumbnailCache = new Map();
+
+// Thumbnails of the whole clip with the trimmed-away parts dimmed
+export default function Filmstrip({ clip, currentTime }) {
+  const [frames, setFrames] = useState(() => thumbnailCache.get(clip.url) || []);
+
+  useEffect(() => {
+    if (!clip.url) {
+      setFrames([]);
+      return;
+    }
+    const cached = thumbnailCache.get(clip.url);
+    if (cached) {
+      setFrames(cached);
+      return;
+    }
+
+    let cancelled = false;
+    setFrames([]);
+    const times = Array.from({ length: THUMBNAIL_COUNT }, (_, i) => ((i + 0.5) * clip.duration) / THUMBNAIL_COUNT);
+    captureFrames(clip.url, times)
+      .then((captured) => {
+        thumbnailCache.set(clip.url, captured);
+        if (!cancelled) setFrames(captured);
+      })
+      .catch((err) => console.warn('Filmstrip unavailable:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [clip.url, clip.duration]);
+
+  const toPercent = (seconds) => (clip.duration > 0 ? (seconds / clip.duration) * 100 : 0);
+
+  return (
+    <div className="relative h-12 rounded-lg overflow-hidden bg-purple-950/60 flex">
+      {frames.map((src, i) => (
+        <img key={i} src={src} alt="" className="h-full flex-1 min-w-0 object-cover" draggable={false} />
+      ))}
+      <div className="absolute inset-y-0 left-0 bg-black/70" style={{ width: `${toPercent(clip.trimStart)}%` }} />
+      <div className="absolute inset-y-0 right-0 bg-black/70" style={{ width: `${100 - toPercent(clip.trimEnd)}%` }} />
+      <div
+        className="absolute inset-y-0 border-x-2 border-pink-400 pointer-events-none"
+        style={{ left: `${toPercent(clip.trimStart)}%`, width: `${toPercent(clip.trimEnd) - toPercent(clip.trimStart)}%` }}
+      />
+      <div className="absolute inset-y-0 w-0.5 bg-white pointer-events-none" style={{ left: `${toPercent(currentTime)}%` }} />
+    </div>
+  );
+}
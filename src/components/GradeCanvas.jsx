@@ -0,0 +1,59 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { parseCubeLut } from '../utils/color';
+import { createGradeRenderer } from '../utils/gradeRenderer';
+
+// Draws the graded frame over the <video>, redrawing whenever the frame or
+// the grade changes; the video underneath keeps handling playback and sound
+export default function GradeCanvas({ videoRef, grade, className, style }) {
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  const gradeRef = useRef(grade);
+  gradeRef.current = grade;
+
+  const lut = useMemo(() => {
+    if (!grade.lut) return null;
+    try {
+      return parseCubeLut(grade.lut.text);
+    } catch (err) {
+      console.warn('LUT preview unavailable:', err);
+      return null;
+    }
+  }, [grade.lut]);
+
+  useEffect(() => {
+    try {
+      rendererRef.current = createGradeRenderer(canvasRef.current);
+    } catch (err) {
+      console.warn('Grade preview unavailable:', err);
+    }
+    if (!rendererRef.current) return;
+
+    let frame;
+    let drawnTime = -1;
+    let drawnGrade = null;
+    const draw = () => {
+      frame = requestAnimationFrame(draw);
+      const video = videoRef.current;
+      if (!video || video.readyState < 2) return;
+      if (video.currentTime === drawnTime && gradeRef.current === drawnGrade && video.paused) return;
+      rendererRef.current.render(video, gradeRef.current);
+      drawnTime = video.currentTime;
+      drawnGrade = gradeRef.current;
+    };
+    frame = requestAnimationFrame(draw);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      rendererRef.current.dispose();
+      rendererRef.current = null;
+    };
+  }, [videoRef]);
+
+  useEffect(() => {
+    rendererRef.current?.setLut(lut);
+    // Force a redraw with the new LUT even while paused
+    gradeRef.current = { ...gradeRef.current };
+  }, [lut]);
+
+  return <canvas ref={canvasRef} className={`${className} pointer-events-none`} style={style} />;
+}
@@ -0,0 +1,50 @@
+import React from 'react';
+import { History, Undo2, Redo2 } from 'lucide-react';
+
+export default function HistoryPanel({ entries, index, canUndo, canRedo, onUndo, onRedo, onJump }) {
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold flex items-center gap-2 text-purple-300">
+          <History className="w-5 h-5" />
+          History
+        </h3>
+        <div className="flex gap-1">
+          <button
+            onClick={onUndo}
+            disabled={!canUndo}
+            className="p-2 rounded-lg bg-purple-600/30 hover:bg-purple-600/50 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Undo (Ctrl+Z)"
+          >
+            <Undo2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onRedo}
+            disabled={!canRedo}
+            className="p-2 rounded-lg bg-purple-600/30 hover:bg-purple-600/50 transition-all disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            <Redo2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      <div className="space-y-1 max-h-48 overflow-y-auto">
+        {entries.map((entry, i) => (
+          <button
+            key={i}
+            onClick={() => onJump(i)}
+            className={`w-full text-left px-3 py-1.5 rounded-lg text-xs transition-all ${
+              i === index
+                ? 'bg-purple-600 font-medium'
+                : i > index
+                  ? 'text-purple-400/60 hover:bg-purple-600/30'
+                  : 'hover:bg-purple-600/30'
+            }`}
+          >
+            {entry.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Terminal, ChevronDown, ChevronRight, Copy, ClipboardCopy } from 'lucide-react';
+
+export default function LogPanel({ title, command, desktopCommand, lines }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen && scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [lines, isOpen]);
+
+  if (!command && lines.length === 0) return null;
+
+  const copyLog = () => {
+    navigator.clipboard?.writeText([`$ ffmpeg ${command}`, ...lines].join('\n'));
+  };
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl border border-purple-500/20">
+      <div className="flex items-center justify-between px-6 py-4">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="font-semibold flex items-center gap-2 text-purple-300"
+        >
+          {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          <Terminal className="w-5 h-5" />
+          {title}
+        </button>
+        <div className="flex items-center gap-3">
+          {desktopCommand && (
+            <button
+              onClick={() => navigator.clipboard?.writeText(desktopCommand)}
+              className="flex items-center gap-1 text-xs text-purple-400 hover:text-purple-200"
+              title="Copy the command with the source file names, to run with desktop ffmpeg"
+            >
+              <ClipboardCopy className="w-3 h-3" />
+              Copy command
+            </button>
+          )}
+          {isOpen && (
+            <button onClick={copyLog} className="flex items-center gap-1 text-xs text-purple-400 hover:text-purple-200">
+              <Copy className="w-3 h-3" />
+              Copy
+            </button>
+          )}
+        </div>
+      </div>
+      {isOpen && (
+        <div
+          ref={scrollRef}
+          className="mx-6 mb-6 p-3 bg-black/60 rounded-xl font-mono text-[11px] leading-relaxed text-purple-200 max-h-72 overflow-auto whitespace-pre-wrap break-all"
+        >
+          {command && <p className="text-pink-300 mb-2">$ ffmpeg {command}</p>}
+          {lines.map((line, i) => (
+            <p key={i} className={/error|invalid|failed/i.test(line) ? 'text-red-300' : ''}>{line}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
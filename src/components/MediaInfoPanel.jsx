@@ -0,0 +1,100 @@
+import React from 'react';
+import { Info, AlertTriangle, AlertCircle, Loader2 } from 'lucide-react';
+import { formatTime } from '../utils/time';
+import { getProbeWarnings, isVariableFrameRate } from '../utils/probe';
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+const formatBitrate = (bitsPerSecond) => {
+  if (!bitsPerSecond) return '—';
+  return bitsPerSecond >= 1e6 ? `${(bitsPerSecond / 1e6).toFixed(1)} Mb/s` : `${Math.round(bitsPerSecond / 1000)} kb/s`;
+};
+
+const WARNING_STYLES = {
+  error: { icon: AlertCircle, className: 'text-red-300' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-300' },
+  info: { icon: Info, className: 'text-purple-300' }
+};
+
+// What ffprobe found in the selected clip's file, with warnings about
+// anything likely to make renders slow or fail
+export default function MediaInfoPanel({ clip, probe }) {
+  const row = (label, value) => (
+    <div key={label} className="flex justify-between gap-2">
+      <span className="text-purple-400">{label}</span>
+      <span className="text-right truncate">{value}</span>
+    </div>
+  );
+
+  const renderBody = () => {
+    if (!probe || probe.status === 'probing') {
+      return (
+        <p className="flex items-center gap-2 text-xs text-purple-400">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          {probe ? 'Analysing streams...' : 'Waiting for the video engine...'}
+        </p>
+      );
+    }
+    if (probe.status === 'error') {
+      return <p className="text-xs text-red-300">Could not analyse this file: {probe.error}</p>;
+    }
+
+    const { info } = probe;
+    const { video } = info;
+    return (
+      <div className="space-y-3 text-xs">
+        <div className="space-y-1">
+          {row('Container', info.container)}
+          {row('Size', formatBytes(clip.size))}
+          {info.duration !== null && row('Duration', formatTime(info.duration))}
+          {row('Bitrate', formatBitrate(info.bitrate))}
+          {row('Streams', info.streamCount)}
+        </div>
+        {video && (
+          <div className="space-y-1 p-2 rounded-lg bg-purple-900/30">
+            {row('Video', `${video.codec.toUpperCase()}${video.profile ? ` ${video.profile}` : ''}`)}
+            {row('Resolution', `${video.width}×${video.height}${video.sampleAspect !== 1 ? ` (SAR ${video.sampleAspect.toFixed(3)})` : ''}`)}
+            {row('Frame rate', `${video.fps.toFixed(3).replace(/\.?0+$/, '')} fps${isVariableFrameRate(info) ? ' (variable)' : ''}`)}
+            {row('Pixel format', `${video.pixelFormat || '—'} • ${video.bitDepth}-bit`)}
+            {row('Video bitrate', formatBitrate(video.bitrate))}
+            {video.rotation !== 0 && row('Rotation', `${video.rotation}°`)}
+          </div>
+        )}
+        {info.audio.map((audio, i) => (
+          <div key={i} className="space-y-1 p-2 rounded-lg bg-purple-900/30">
+            {row(info.audio.length > 1 ? `Audio ${i + 1}` : 'Audio', `${audio.codec.toUpperCase()}${audio.language ? ` (${audio.language})` : ''}`)}
+            {row('Channels', `${audio.channels}${audio.channelLayout ? ` • ${audio.channelLayout}` : ''}`)}
+            {audio.sampleRate && row('Sample rate', `${(audio.sampleRate / 1000).toFixed(1)} kHz`)}
+            {row('Audio bitrate', formatBitrate(audio.bitrate))}
+          </div>
+        ))}
+        {info.subtitleCount > 0 && row('Subtitle tracks', info.subtitleCount)}
+
+        {getProbeWarnings(info, clip.size).map(({ level, message }) => {
+          const { icon: Icon, className } = WARNING_STYLES[level];
+          return (
+            <p key={message} className={`flex gap-2 ${className}`}>
+              <Icon className="w-3 h-3 flex-shrink-0 mt-0.5" />
+              {message}
+            </p>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <Info className="w-5 h-5" />
+        Media Info
+      </h3>
+      <p className="text-xs font-medium truncate mb-3">{clip.name}</p>
+      {renderBody()}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { OVERLAY_FONTS, loadPreviewFonts } from '../utils/fonts';
+import { getLayerState, getTextFontSize, isLayerVisible } from '../utils/overlays';
+
+const hexToRgba = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+// Layers drawn over the output frame at the playhead, sized from the frame
+// height the same way drawtext and overlay are; dragging a layer moves it
+export default function OverlayLayers({ layers, time, selectedLayerId, onSelect, onMove }) {
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+  const [frameSize, setFrameSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    loadPreviewFonts();
+    const observer = new ResizeObserver(([entry]) => {
+      setFrameSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(frameRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const startDrag = (e, layer) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onSelect(layer.id);
+    dragRef.current = { id: layer.id, startX: e.clientX, startY: e.clientY, start: getLayerState(layer, time) };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !frameSize.width) return;
+    onMove(drag.id, {
+      x: Math.min(Math.max(drag.start.x + (e.clientX - drag.startX) / frameSize.width, 0), 1),
+      y: Math.min(Math.max(drag.start.y + (e.clientY - drag.startY) / frameSize.height, 0), 1)
+    });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div ref={frameRef} className="absolute inset-0 overflow-hidden">
+      {layers.filter((layer) => isLayerVisible(layer, time)).map((layer) => {
+        const state = getLayerState(layer, time);
+        const fontSize = layer.type === 'text' ? getTextFontSize(layer, frameSize.height) : 0;
+        const outline = Math.round(layer.outline * fontSize);
+        return (
+          <div
+            key={layer.id}
+            className={`absolute cursor-move touch-none select-none ${layer.id === selectedLayerId ? 'ring-1 ring-pink-400' : ''}`}
+            style={{
+              left: state.x * frameSize.width,
+              top: state.y * frameSize.height,
+              opacity: state.opacity,
+              transform: `translate(${-layer.anchorX * 100}%, ${-layer.anchorY * 100}%)`
+            }}
+            onPointerDown={(e) => startDrag(e, layer)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+          >
+            {layer.type === 'text' ? (
+              <p
+                className="whitespace-pre leading-none"
+                style={{
+                  fontFamily: (OVERLAY_FONTS[layer.font] || OVERLAY_FONTS.sans).family,
+                  fontSize,
+                  color: layer.color,
+                  // drawtext borders sit outside the glyph, so the stroke is
+                  // doubled and painted under the fill
+                  WebkitTextStroke: outline > 0 ? `${outline * 2}px ${layer.outlineColor}` : undefined,
+                  paintOrder: 'stroke fill',
+                  background: layer.box ? hexToRgba(layer.boxColor, layer.boxOpacity) : undefined,
+                  padding: layer.box ? Math.round(fontSize * 0.25) : 0
+                }}
+              >
+                {layer.text}
+              </p>
+            ) : (
+              <img
+                src={layer.image.dataUrl}
+                alt={layer.name}
+                draggable={false}
+                style={{ width: layer.width * frameSize.width }}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
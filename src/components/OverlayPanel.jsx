@@ -0,0 +1,343 @@
+import React, { useRef } from 'react';
+import { Layers, Type, ImagePlus, Stamp, Trash2, ChevronUp, ChevronDown, Diamond, X } from 'lucide-react';
+import TimecodeInput from './TimecodeInput';
+import { OVERLAY_FONTS } from '../utils/fonts';
+import {
+  WATERMARK_CORNERS,
+  addKeyframe,
+  createImageLayer,
+  createTextLayer,
+  createWatermarkLayer,
+  findKeyframe,
+  getLayerState,
+  readImageFile,
+  removeKeyframe,
+  setLayerState
+} from '../utils/overlays';
+import { formatTimecode } from '../utils/time';
+
+export default function OverlayPanel({ layers, selectedLayerId, onSelect, playhead, duration, onChange, onError }) {
+  const imageInputRef = useRef(null);
+  const imageModeRef = useRef('image');
+
+  const layer = layers.find((l) => l.id === selectedLayerId) || null;
+
+  // The coalesce key keeps a slider drag or typing on one layer to a single
+  // undo step
+  const updateLayer = (id, change, label, coalesceKey) => {
+    onChange(
+      layers.map((l) => (l.id === id ? (typeof change === 'function' ? change(l) : { ...l, ...change }) : l)),
+      label,
+      coalesceKey && `${coalesceKey}:${id}`
+    );
+  };
+
+  const addLayer = (created, label) => {
+    onChange([...layers, created], label);
+    onSelect(created.id);
+  };
+
+  const pickImage = (mode) => {
+    imageModeRef.current = mode;
+    imageInputRef.current?.click();
+  };
+
+  const handleImage = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const image = await readImageFile(file);
+      if (imageModeRef.current === 'watermark') {
+        addLayer(createWatermarkLayer(image, duration), `Add watermark ${file.name}`);
+      } else {
+        addLayer(createImageLayer(image, playhead, duration - playhead), `Add image ${file.name}`);
+      }
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const moveLayer = (index, direction) => {
+    const next = [...layers];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + direction, 0, moved);
+    onChange(next, direction > 0 ? 'Bring layer forward' : 'Send layer back');
+  };
+
+  const state = layer ? getLayerState(layer, playhead) : null;
+  const keyframeHere = layer ? findKeyframe(layer, playhead) : null;
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <Layers className="w-5 h-5" />
+        Overlays
+      </h3>
+
+      <div className="grid grid-cols-3 gap-2 mb-3">
+        <button
+          onClick={() => addLayer(createTextLayer(playhead, duration - playhead), 'Add title')}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/50 hover:bg-purple-600 rounded-lg transition-all text-xs font-medium"
+        >
+          <Type className="w-3 h-3" />
+          Title
+        </button>
+        <button
+          onClick={() => pickImage('image')}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+        >
+          <ImagePlus className="w-3 h-3" />
+          Image
+        </button>
+        <button
+          onClick={() => pickImage('watermark')}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+          title="Logo in the corner for the whole video"
+        >
+          <Stamp className="w-3 h-3" />
+          Logo
+        </button>
+      </div>
+      <input
+        ref={imageInputRef}
+        type="file"
+        accept="image/png,image/jpeg,image/webp"
+        onChange={handleImage}
+        className="hidden"
+      />
+
+      {/* Layer list, topmost first */}
+      <div className="space-y-1 max-h-40 overflow-y-auto">
+        {layers.map((l, index) => ({ l, index })).reverse().map(({ l, index }) => (
+          <div
+            key={l.id}
+            onClick={() => onSelect(l.id)}
+            className={`flex items-center gap-2 px-3 py-2 rounded-lg text-xs cursor-pointer ${
+              l.id === selectedLayerId ? 'bg-purple-600' : 'bg-purple-900/30 hover:bg-purple-600/40'
+            }`}
+          >
+            {l.type === 'text' ? <Type className="w-3 h-3 flex-shrink-0" /> : <ImagePlus className="w-3 h-3 flex-shrink-0" />}
+            <span className="flex-1 truncate">{l.type === 'text' ? l.text || 'Empty title' : l.name}</span>
+            <span className="text-[10px] text-purple-300 font-mono">{formatTimecode(l.start).slice(3, 8)}</span>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                moveLayer(index, 1);
+              }}
+              disabled={index === layers.length - 1}
+              className="p-0.5 disabled:opacity-30"
+              title="Bring forward"
+            >
+              <ChevronUp className="w-3 h-3" />
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                moveLayer(index, -1);
+              }}
+              disabled={index === 0}
+              className="p-0.5 disabled:opacity-30"
+              title="Send back"
+            >
+              <ChevronDown className="w-3 h-3" />
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onChange(layers.filter((other) => other.id !== l.id), `Delete ${l.type === 'text' ? 'title' : l.name}`);
+              }}
+              className="p-0.5 hover:text-red-300"
+              title="Delete layer"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {layer && (
+        <div className="mt-4 space-y-3">
+          <div className="flex items-center gap-2 text-xs text-purple-400">
+            <span className="w-10">Show</span>
+            <TimecodeInput
+              value={layer.start}
+              onChange={(seconds) => updateLayer(layer.id, { start: Math.min(Math.max(0, seconds), layer.end) }, 'Layer start')}
+              className="flex-1"
+            />
+            <span>→</span>
+            <TimecodeInput
+              value={layer.end}
+              onChange={(seconds) => updateLayer(layer.id, { end: Math.max(seconds, layer.start) }, 'Layer end')}
+              className="flex-1"
+            />
+          </div>
+
+          {layer.type === 'text' ? (
+            <>
+              <textarea
+                value={layer.text}
+                onChange={(e) => updateLayer(layer.id, { text: e.target.value }, 'Edit title', 'text')}
+                className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-purple-500"
+                rows="2"
+              />
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={layer.font}
+                  onChange={(e) => updateLayer(layer.id, { font: e.target.value }, 'Title font')}
+                  className="px-2 py-1 bg-purple-900/30 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {Object.entries(OVERLAY_FONTS).map(([key, font]) => (
+                    <option key={key} value={key}>{font.label}</option>
+                  ))}
+                </select>
+                <div className="flex items-center gap-1 text-[10px] text-purple-400">
+                  <input
+                    type="color"
+                    value={layer.color}
+                    onChange={(e) => updateLayer(layer.id, { color: e.target.value }, 'Title colour', 'color')}
+                    className="w-6 h-6 bg-transparent"
+                    title="Text colour"
+                  />
+                  <input
+                    type="color"
+                    value={layer.outlineColor}
+                    onChange={(e) => updateLayer(layer.id, { outlineColor: e.target.value }, 'Outline colour', 'outlineColor')}
+                    className="w-6 h-6 bg-transparent"
+                    title="Outline colour"
+                  />
+                  <input
+                    type="color"
+                    value={layer.boxColor}
+                    onChange={(e) => updateLayer(layer.id, { boxColor: e.target.value }, 'Box colour', 'boxColor')}
+                    className="w-6 h-6 bg-transparent"
+                    title="Box colour"
+                  />
+                </div>
+              </div>
+              {[
+                { key: 'fontSize', label: 'Size', min: 0.02, max: 0.3, step: 0.005 },
+                { key: 'outline', label: 'Outline', min: 0, max: 0.2, step: 0.01 }
+              ].map(({ key, label, min, max, step }) => (
+                <div key={key}>
+                  <label className="text-xs text-purple-400 mb-1 block">{label}</label>
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={layer[key]}
+                    onChange={(e) => updateLayer(layer.id, { [key]: Number(e.target.value) }, `Title ${label.toLowerCase()}`, key)}
+                    className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+              ))}
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => updateLayer(layer.id, { box: !layer.box }, layer.box ? 'Hide title box' : 'Show title box')}
+                  className={`px-3 py-2 rounded-lg transition-all text-xs font-medium ${
+                    layer.box ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                  }`}
+                >
+                  Background Box
+                </button>
+                {layer.box && (
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={layer.boxOpacity}
+                    onChange={(e) => updateLayer(layer.id, { boxOpacity: Number(e.target.value) }, 'Box opacity', 'boxOpacity')}
+                    className="flex-1 h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+                    title="Box opacity"
+                  />
+                )}
+              </div>
+            </>
+          ) : (
+            <div>
+              <label className="text-xs text-purple-400 mb-1 block">Width: {Math.round(layer.width * 100)}% of frame</label>
+              <input
+                type="range"
+                min="0.02"
+                max="1"
+                step="0.01"
+                value={layer.width}
+                onChange={(e) => updateLayer(layer.id, { width: Number(e.target.value) }, 'Image size', 'width')}
+                className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="text-xs text-purple-400 mb-1 block">
+              Opacity: {Math.round(state.opacity * 100)}%{layer.keyframes.length > 0 ? ' at playhead' : ''}
+            </label>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={state.opacity}
+              onChange={(e) => updateLayer(layer.id, (l) => setLayerState(l, playhead, { opacity: Number(e.target.value) }), 'Layer opacity', 'opacity')}
+              className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+            />
+          </div>
+
+          <div>
+            <label className="text-xs text-purple-400 mb-1 block">Corner</label>
+            <div className="grid grid-cols-4 gap-1">
+              {Object.entries(WATERMARK_CORNERS).map(([corner, { x, y, anchorX, anchorY }]) => (
+                <button
+                  key={corner}
+                  onClick={() => updateLayer(layer.id, (l) => setLayerState({ ...l, anchorX, anchorY }, playhead, { x, y }), `Move layer ${corner}`)}
+                  className="px-1 py-2 rounded-lg bg-purple-600/30 hover:bg-purple-600/50 transition-all text-[10px] font-medium capitalize"
+                >
+                  {corner}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Keyframes */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-xs text-purple-400">Keyframes (position & opacity)</label>
+              <button
+                onClick={() => updateLayer(layer.id, (l) => addKeyframe(l, playhead), 'Add keyframe')}
+                disabled={Boolean(keyframeHere)}
+                className="flex items-center gap-1 px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 text-[10px] disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <Diamond className="w-3 h-3" />
+                At playhead
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              {layer.keyframes.map((keyframe) => (
+                <span
+                  key={keyframe.id}
+                  className={`flex items-center gap-1 px-2 py-0.5 rounded text-[10px] font-mono ${
+                    keyframe.id === keyframeHere?.id ? 'bg-pink-600/60' : 'bg-purple-900/50'
+                  }`}
+                >
+                  {formatTimecode(keyframe.time).slice(3)}
+                  <button
+                    onClick={() => updateLayer(layer.id, (l) => removeKeyframe(l, keyframe.id), 'Remove keyframe')}
+                    className="hover:text-red-300"
+                    title="Remove keyframe"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+              {layer.keyframes.length === 0 && (
+                <p className="text-[10px] text-purple-400">Static. Add keyframes, then drag the layer at other times to animate it.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React, { useRef } from 'react';
+import { FolderOpen, Save, FilePlus, Trash2, Link, AlertCircle } from 'lucide-react';
+
+const formatSavedAt = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'short' });
+
+export default function ProjectPanel({
+  projectId,
+  projectName,
+  onNameChange,
+  onNew,
+  onExport,
+  onOpenFile,
+  recentProjects,
+  onOpenRecent,
+  onDeleteRecent,
+  missingMedia,
+  onRelink,
+  lastAutosave
+}) {
+  const openInputRef = useRef(null);
+  const relinkInputRef = useRef(null);
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <FolderOpen className="w-5 h-5" />
+        Project
+      </h3>
+
+      <input
+        type="text"
+        value={projectName}
+        onChange={(e) => onNameChange(e.target.value)}
+        className="w-full px-4 py-2 bg-purple-900/30 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+      />
+      <p className="text-[10px] text-purple-400 mt-1 mb-3">
+        {lastAutosave ? `Autosaved ${formatSavedAt(lastAutosave)}` : 'Autosaves once a clip is added'}
+      </p>
+
+      <div className="grid grid-cols-3 gap-2">
+        <button
+          onClick={onNew}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+        >
+          <FilePlus className="w-3 h-3" />
+          New
+        </button>
+        <button
+          onClick={() => openInputRef.current?.click()}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+        >
+          <FolderOpen className="w-3 h-3" />
+          Open
+        </button>
+        <button
+          onClick={onExport}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/50 hover:bg-purple-600 rounded-lg transition-all text-xs font-medium"
+        >
+          <Save className="w-3 h-3" />
+          Export
+        </button>
+      </div>
+      <input
+        ref={openInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          e.target.value = '';
+          if (file) onOpenFile(file);
+        }}
+        className="hidden"
+      />
+
+      {missingMedia.length > 0 && (
+        <div className="mt-3 p-3 rounded-xl bg-yellow-900/20 border border-yellow-500/40 text-yellow-200">
+          <p className="text-xs flex items-center gap-1 font-medium">
+            <AlertCircle className="w-3 h-3" />
+            {missingMedia.length} source file{missingMedia.length === 1 ? '' : 's'} missing
+          </p>
+          <ul className="text-[10px] mt-1 space-y-0.5">
+            {missingMedia.map((media) => (
+              <li key={media.id} className="truncate">{media.name}</li>
+            ))}
+          </ul>
+          <button
+            onClick={() => relinkInputRef.current?.click()}
+            className="mt-2 w-full flex items-center justify-center gap-1 px-3 py-2 bg-yellow-600/40 hover:bg-yellow-600/60 rounded-lg transition-all text-xs font-medium"
+          >
+            <Link className="w-3 h-3" />
+            Relink Files
+          </button>
+          <input
+            ref={relinkInputRef}
+            type="file"
+            accept="video/*,audio/*"
+            multiple
+            onChange={(e) => {
+              const files = Array.from(e.target.files);
+              e.target.value = '';
+              if (files.length > 0) onRelink(files);
+            }}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {recentProjects.length > 0 && (
+        <div className="mt-4">
+          <p className="text-xs text-purple-400 mb-2">Recent</p>
+          <div className="space-y-1 max-h-40 overflow-y-auto">
+            {recentProjects.map((project) => (
+              <div
+                key={project.id}
+                className={`flex items-center gap-2 px-3 py-2 rounded-lg text-xs ${
+                  project.id === projectId ? 'bg-purple-600/40' : 'bg-purple-900/30'
+                }`}
+              >
+                <button onClick={() => onOpenRecent(project.id)} className="flex-1 min-w-0 text-left">
+                  <p className="truncate font-medium">{project.name}</p>
+                  <p className="text-[10px] text-purple-400">
+                    {formatSavedAt(project.savedAt)} • {project.media.length} clip{project.media.length === 1 ? '' : 's'}
+                  </p>
+                </button>
+                <button onClick={() => onDeleteRecent(project.id)} className="p-1 hover:text-red-300" title="Delete">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,191 @@
+import React from 'react';
+import { Maximize2, Monitor, Smartphone, Diamond, X, RotateCcw } from 'lucide-react';
+import { ASPECT_SIZES, clampOutputSize, getAspectSize } from '../utils/filters';
+import { REFRAME_MODES, addPanKeyframe, getPanAt, removePanKeyframe, setPanAt } from '../utils/reframe';
+import { findKeyframe } from '../utils/overlays';
+import { formatTimecode } from '../utils/time';
+
+const ASPECTS = [
+  { value: '16:9', icon: Monitor },
+  { value: '9:16', icon: Smartphone },
+  { value: '1:1', icon: Maximize2 },
+  { value: '4:3', icon: Monitor }
+];
+
+// Quick sizes keep the target's shape, named by the short side
+const SHORT_SIDES = [720, 1080, 2160];
+
+const getSizePresets = (ratio) => {
+  const base = ASPECT_SIZES[ratio];
+  const short = Math.min(base.width, base.height);
+  return SHORT_SIDES.map((side) => ({ label: side === 2160 ? '4K' : `${side}p`, ...clampOutputSize({ width: (base.width * side) / short, height: (base.height * side) / short }) }));
+};
+
+// Aspect target, how the frame is fitted into it and the output size. In
+// pan and scan the window is moved by dragging the preview or with the
+// slider, and keyframes animate it the way overlay keyframes do.
+export default function ReframePanel({ aspectRatio, originalLabel, sourceAspect, reframe, aspectSizes, playhead, onChange }) {
+  const size = getAspectSize(aspectRatio, aspectSizes);
+  const pan = getPanAt(reframe, playhead);
+  const keyframeHere = findKeyframe(reframe, playhead);
+  // The window only slides along the axis where the source overhangs it
+  const panAxis = size && sourceAspect > size.width / size.height ? 'x' : 'y';
+
+  const setSize = (next, label) => {
+    const clamped = clampOutputSize(next);
+    const isDefault = clamped.width === ASPECT_SIZES[aspectRatio].width && clamped.height === ASPECT_SIZES[aspectRatio].height;
+    const { [aspectRatio]: _previous, ...others } = aspectSizes;
+    onChange({ aspectSizes: isDefault ? others : { ...others, [aspectRatio]: clamped } }, label);
+  };
+
+  const commitSide = (key, value) => {
+    if (Number(value) !== size[key]) setSize({ ...size, [key]: value }, `Output ${key}`);
+  };
+
+  const sideInput = (key) => (
+    <input
+      key={`${aspectRatio}-${key}-${size[key]}`}
+      type="number"
+      min="16"
+      max="8192"
+      step="2"
+      defaultValue={size[key]}
+      onBlur={(e) => commitSide(key, e.target.value)}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      className="w-full bg-purple-900/50 border border-purple-500/30 rounded px-2 py-1 text-xs font-mono"
+    />
+  );
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <Maximize2 className="w-5 h-5" />
+        Aspect Ratio
+      </h3>
+      <div className="grid grid-cols-2 gap-2">
+        {[{ value: 'original', label: originalLabel, icon: Monitor }, ...ASPECTS.map((aspect) => ({ ...aspect, label: aspect.value }))].map(({ value, label, icon: Icon }) => (
+          <button
+            key={value}
+            onClick={() => onChange({ aspectRatio: value }, `Aspect ${label}`)}
+            className={`px-3 py-2 rounded-lg transition-all text-xs font-medium flex items-center justify-center gap-1 ${
+              aspectRatio === value ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+            }`}
+          >
+            <Icon className="w-3 h-3" />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {size && (
+        <div className="space-y-3 mt-4">
+          <div>
+            <label className="text-xs text-purple-400 mb-1 block">Fit</label>
+            <div className="grid grid-cols-2 gap-1">
+              {REFRAME_MODES.map((mode) => (
+                <button
+                  key={mode.id}
+                  onClick={() => onChange({ reframe: { ...reframe, mode: mode.id } }, mode.label)}
+                  className={`px-2 py-1.5 rounded-lg transition-all text-[10px] font-medium ${
+                    reframe.mode === mode.id ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="text-xs text-purple-400">Output size</label>
+              <button
+                onClick={() => setSize(ASPECT_SIZES[aspectRatio], 'Reset output size')}
+                disabled={!aspectSizes[aspectRatio]}
+                className="flex items-center gap-1 text-[10px] text-purple-400 hover:text-purple-200 disabled:opacity-40"
+                title={`Back to ${ASPECT_SIZES[aspectRatio].width} × ${ASPECT_SIZES[aspectRatio].height}`}
+              >
+                <RotateCcw className="w-3 h-3" />
+                Reset
+              </button>
+            </div>
+            <div className="flex items-center gap-2">
+              {sideInput('width')}
+              <span className="text-xs text-purple-400">×</span>
+              {sideInput('height')}
+            </div>
+            <div className="grid grid-cols-3 gap-1 mt-1">
+              {getSizePresets(aspectRatio).map((preset) => (
+                <button
+                  key={preset.label}
+                  onClick={() => setSize(preset, `Output ${preset.label}`)}
+                  className={`px-1 py-1 rounded text-[10px] font-medium ${
+                    preset.width === size.width && preset.height === size.height ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                  }`}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {reframe.mode === 'pan' && (
+            <>
+              <div>
+                <label className="text-xs text-purple-400 mb-1 block">
+                  Window: {Math.round(pan[panAxis] * 100)}% {panAxis === 'x' ? 'across' : 'down'}
+                  {reframe.keyframes.length > 0 ? ' at playhead' : ''}
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={pan[panAxis]}
+                  onChange={(e) => onChange({ reframe: setPanAt(reframe, playhead, { [panAxis]: Number(e.target.value) }) }, 'Move pan window', 'pan')}
+                  className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+                />
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="text-xs text-purple-400">Keyframes</label>
+                  <button
+                    onClick={() => onChange({ reframe: addPanKeyframe(reframe, playhead) }, 'Add pan keyframe')}
+                    disabled={Boolean(keyframeHere)}
+                    className="flex items-center gap-1 px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 text-[10px] disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    <Diamond className="w-3 h-3" />
+                    At playhead
+                  </button>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {reframe.keyframes.map((keyframe) => (
+                    <span
+                      key={keyframe.id}
+                      className={`flex items-center gap-1 px-2 py-0.5 rounded text-[10px] font-mono ${
+                        keyframe.id === keyframeHere?.id ? 'bg-pink-600/60' : 'bg-purple-900/50'
+                      }`}
+                    >
+                      {formatTimecode(keyframe.time).slice(3)}
+                      <button
+                        onClick={() => onChange({ reframe: removePanKeyframe(reframe, keyframe.id) }, 'Remove pan keyframe')}
+                        className="hover:text-red-300"
+                        title="Remove keyframe"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                  {reframe.keyframes.length === 0 && (
+                    <p className="text-[10px] text-purple-400">Static. Add keyframes, then drag the preview at other times to follow the action.</p>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
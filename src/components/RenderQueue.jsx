@@ -0,0 +1,94 @@
+import React from 'react';
+import { ListVideo, Download, X, RotateCcw, CheckCircle, AlertCircle, Clock, Ban, Terminal, ClipboardCopy } from 'lucide-react';
+import { describePreset } from '../utils/exportPresets';
+
+export default function RenderQueue({ jobs, progress, onRemove, onRetry, onCancel, onShowLog, onClearFinished }) {
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold flex items-center gap-2 text-purple-300">
+          <ListVideo className="w-5 h-5" />
+          Render Queue
+        </h3>
+        <button
+          onClick={onClearFinished}
+          className="text-xs text-purple-400 hover:text-purple-200"
+        >
+          Clear finished
+        </button>
+      </div>
+      <div className="space-y-2">
+        {jobs.map((job) => (
+          <div key={job.id} className="bg-purple-900/30 p-3 rounded-xl">
+            <div className="flex items-center gap-2">
+              {job.status === 'done' && <CheckCircle className="w-4 h-4 text-green-400 flex-shrink-0" />}
+              {job.status === 'error' && <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0" />}
+              {job.status === 'queued' && <Clock className="w-4 h-4 text-purple-400 flex-shrink-0" />}
+              {job.status === 'cancelled' && <Ban className="w-4 h-4 text-purple-400 flex-shrink-0" />}
+              {job.status === 'rendering' && (
+                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white flex-shrink-0"></div>
+              )}
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium truncate">
+                  {job.preset.name} <span className="text-purple-400">• {job.aspectRatio}</span>
+                </p>
+                <p className="text-[10px] text-purple-400 truncate">{describePreset(job.preset)}</p>
+              </div>
+              {job.status === 'done' && (
+                <a
+                  href={job.url}
+                  download={job.filename}
+                  className="p-1.5 rounded-lg bg-purple-600 hover:bg-purple-500"
+                  title={`Download ${job.filename}`}
+                >
+                  <Download className="w-4 h-4" />
+                </a>
+              )}
+              {job.desktopCommand && (
+                <button
+                  onClick={() => navigator.clipboard?.writeText(job.desktopCommand)}
+                  className="p-1.5 rounded-lg hover:bg-purple-600/50"
+                  title="Copy ffmpeg command"
+                >
+                  <ClipboardCopy className="w-4 h-4" />
+                </button>
+              )}
+              {job.log && (
+                <button onClick={() => onShowLog(job)} className="p-1.5 rounded-lg hover:bg-purple-600/50" title="Show log">
+                  <Terminal className="w-4 h-4" />
+                </button>
+              )}
+              {(job.status === 'error' || job.status === 'cancelled') && (
+                <button onClick={() => onRetry(job.id)} className="p-1.5 rounded-lg hover:bg-purple-600/50" title="Retry">
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+              )}
+              {job.status === 'rendering' ? (
+                <button onClick={onCancel} className="p-1.5 rounded-lg hover:bg-red-600/50" title="Cancel render">
+                  <X className="w-4 h-4" />
+                </button>
+              ) : (
+                <button onClick={() => onRemove(job.id)} className="p-1.5 rounded-lg hover:bg-purple-600/50" title="Remove">
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            {job.status === 'rendering' && (
+              <div className="mt-2 w-full bg-purple-900/50 rounded-full h-1.5">
+                <div
+                  className="bg-gradient-to-r from-purple-500 to-pink-500 h-1.5 rounded-full transition-all duration-300"
+                  style={{ width: `${progress}%` }}
+                />
+              </div>
+            )}
+            {job.status === 'error' && (
+              <p className="text-xs text-red-300 mt-1">{job.error}</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
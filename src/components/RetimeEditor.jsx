@@ -0,0 +1,125 @@
+import React from 'react';
+import { Gauge, Plus, Trash2, Clock } from 'lucide-react';
+import TimecodeInput from './TimecodeInput';
+import { DEFAULT_FPS, formatTimecode, snapToFrame } from '../utils/time';
+import { RETIME_MODES, SPEED_STEPS, createRetime, getClipOutputLength } from '../utils/retime';
+
+const DEFAULT_RANGE = 2;
+const MODE_LABELS = { speed: 'Speed', reverse: 'Reverse', freeze: 'Freeze' };
+
+// Speed, reverse and freeze ranges of one clip, in source time
+export default function RetimeEditor({ clip, currentTime, onChange }) {
+  const retimes = clip.retimes || [];
+  const fps = clip.fps || DEFAULT_FPS;
+
+  const updateRetime = (id, patch) => {
+    onChange(retimes.map((retime) => {
+      if (retime.id !== id) return retime;
+      const next = { ...retime, ...patch };
+      next.start = Math.min(Math.max(clip.trimStart, snapToFrame(next.start, fps)), clip.trimEnd);
+      next.end = Math.max(Math.min(clip.trimEnd, snapToFrame(next.end, fps)), next.start + 1 / fps);
+      return next;
+    }));
+  };
+
+  // New ranges start at the playhead and never overlap an existing one
+  const addRetime = () => {
+    const start = snapToFrame(Math.min(Math.max(currentTime, clip.trimStart), clip.trimEnd - 1 / fps), fps);
+    const following = retimes.filter((retime) => retime.start > start).map((retime) => retime.start);
+    const end = Math.min(start + DEFAULT_RANGE, clip.trimEnd, ...following);
+    if (retimes.some((retime) => start >= retime.start && start < retime.end) || end <= start) return;
+    onChange([...retimes, createRetime(start, end)].sort((a, b) => a.start - b.start));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Gauge className="w-4 h-4 text-purple-400" />
+        <span className="text-sm font-semibold text-purple-300">Speed & Time</span>
+        <span className="text-[10px] text-purple-400">plays {formatTimecode(getClipOutputLength(clip))}</span>
+        <button
+          onClick={addRetime}
+          className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 text-[10px]"
+          title="Mark a range starting at the playhead"
+        >
+          <Plus className="w-3 h-3" />
+          Range at playhead
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {retimes.map((retime) => (
+          <div key={retime.id} className="p-2 rounded-lg bg-purple-900/40 space-y-2">
+            <div className="flex items-center gap-1 text-[10px]">
+              <TimecodeInput value={retime.start} onChange={(start) => updateRetime(retime.id, { start })} className="w-24" />
+              <button
+                onClick={() => updateRetime(retime.id, { start: currentTime })}
+                className="p-1 rounded bg-purple-600/30 hover:bg-purple-600/50"
+                title="Start at playhead"
+              >
+                <Clock className="w-3 h-3" />
+              </button>
+              <span>→</span>
+              <TimecodeInput value={retime.end} onChange={(end) => updateRetime(retime.id, { end })} className="w-24" />
+              <button
+                onClick={() => updateRetime(retime.id, { end: currentTime })}
+                className="p-1 rounded bg-purple-600/30 hover:bg-purple-600/50"
+                title="End at playhead"
+              >
+                <Clock className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => onChange(retimes.filter((r) => r.id !== retime.id))}
+                className="ml-auto p-1 hover:text-red-300"
+                title="Remove range"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+            <div className="flex items-center gap-1">
+              {RETIME_MODES.map((mode) => (
+                <button
+                  key={mode}
+                  onClick={() => updateRetime(retime.id, { mode, speed: mode === 'speed' && retime.speed === 1 ? 0.5 : retime.speed })}
+                  className={`px-2 py-1 rounded text-[10px] font-medium ${
+                    retime.mode === mode ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+                  }`}
+                >
+                  {MODE_LABELS[mode]}
+                </button>
+              ))}
+              {retime.mode === 'freeze' ? (
+                <label className="ml-auto flex items-center gap-1 text-[10px] text-purple-400">
+                  Hold
+                  <input
+                    type="number"
+                    min="0.1"
+                    max="30"
+                    step="0.1"
+                    value={retime.hold}
+                    onChange={(e) => updateRetime(retime.id, { hold: Math.min(Math.max(Number(e.target.value) || 0.1, 0.1), 30) })}
+                    className="w-14 px-1 py-0.5 bg-purple-900/50 rounded text-xs"
+                  />
+                  s
+                </label>
+              ) : (
+                <select
+                  value={retime.speed}
+                  onChange={(e) => updateRetime(retime.id, { speed: Number(e.target.value) })}
+                  className="ml-auto px-1 py-0.5 bg-purple-900/50 rounded text-[10px]"
+                >
+                  {(retime.mode === 'reverse' ? [1, ...SPEED_STEPS] : SPEED_STEPS).sort((a, b) => a - b).map((speed) => (
+                    <option key={speed} value={speed}>{speed}×</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {retime.mode === 'reverse' && (
+              <p className="text-[10px] text-yellow-300/80">Reversed ranges are buffered in memory; keep them short.</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
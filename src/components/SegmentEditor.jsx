@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { Split, Eraser, Trash2, Undo2, Combine } from 'lucide-react';
+import { formatTimecode } from '../utils/time';
+import { cutSegment, getClipSegments, joinSegments, restoreSegment, splitClip } from '../utils/clips';
+
+// The trimmed clip as a bar of segments between its split points. Deleting
+// a segment leaves a gap of black and silence in the output; ripple delete
+// closes it up so the kept ranges play back to back.
+export default function SegmentEditor({ clip, currentTime, splitShortcut, onChange }) {
+  const [selectedStart, setSelectedStart] = useState(null);
+  const segments = getClipSegments(clip);
+  const span = clip.trimEnd - clip.trimStart;
+  const selectedIndex = segments.findIndex((segment) => segment.start === selectedStart);
+  const selected = segments[selectedIndex] || null;
+  const keptCount = segments.filter((segment) => !segment.cut).length;
+  const playheadShare = span > 0 ? ((currentTime - clip.trimStart) / span) * 100 : -1;
+
+  const split = () => {
+    const patch = splitClip(clip, currentTime);
+    if (patch) onChange(patch);
+  };
+
+  const button = (label, Icon, onClick, { disabled = false, title } = {}) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      className="flex items-center gap-1 px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 disabled:opacity-40 disabled:hover:bg-purple-600/30 text-[10px]"
+    >
+      <Icon className="w-3 h-3" />
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <Split className="w-4 h-4 text-purple-400" />
+        <span className="text-sm font-semibold text-purple-300">Segments</span>
+        <span className="text-[10px] text-purple-400">{keptCount} of {segments.length} kept</span>
+        <div className="ml-auto">
+          {button('Split at playhead', Split, split, { title: `Split the clip at the playhead${splitShortcut ? ` (${splitShortcut})` : ''}` })}
+        </div>
+      </div>
+
+      <div className="relative flex h-8 rounded-lg overflow-hidden bg-purple-900/50">
+        {segments.map((segment) => {
+          const share = span > 0 ? ((segment.end - segment.start) / span) * 100 : 100;
+          const isSelected = segment === selected;
+          const style = !segment.cut
+            ? 'bg-purple-600/50 hover:bg-purple-600/70'
+            : segment.cut.ripple
+              ? 'bg-red-900/30 hover:bg-red-900/50 text-red-300/70 line-through'
+              : 'bg-black hover:bg-black/70 text-purple-400';
+          return (
+            <button
+              key={segment.start}
+              onClick={() => setSelectedStart(isSelected ? null : segment.start)}
+              style={{ width: `${share}%` }}
+              className={`h-full min-w-[4px] border-r border-purple-950 last:border-r-0 text-[10px] truncate px-1 ${style} ${isSelected ? 'ring-2 ring-inset ring-pink-400' : ''}`}
+              title={`${formatTimecode(segment.start)} – ${formatTimecode(segment.end)}`}
+            >
+              {segment.cut ? (segment.cut.ripple ? 'cut' : 'gap') : ''}
+            </button>
+          );
+        })}
+        {playheadShare >= 0 && playheadShare <= 100 && (
+          <div className="absolute top-0 bottom-0 w-0.5 bg-pink-400 pointer-events-none" style={{ left: `${playheadShare}%` }} />
+        )}
+      </div>
+
+      {selected && (
+        <div className="flex flex-wrap items-center gap-1 mt-2">
+          <span className="text-[10px] text-purple-400 mr-1">
+            {formatTimecode(selected.start)} – {formatTimecode(selected.end)}
+          </span>
+          {selected.cut
+            ? button('Restore', Undo2, () => onChange(restoreSegment(clip, selected)))
+            : (
+              <>
+                {button('Delete', Eraser, () => onChange(cutSegment(clip, selected, false)), {
+                  disabled: segments.length === 1,
+                  title: 'Remove the segment and leave a gap'
+                })}
+                {button('Ripple Delete', Trash2, () => onChange(cutSegment(clip, selected, true)), {
+                  disabled: keptCount === 1,
+                  title: 'Remove the segment and close the gap'
+                })}
+              </>
+            )}
+          {button('Join Next', Combine, () => onChange(joinSegments(clip, selected.end)), {
+            disabled: selectedIndex === segments.length - 1,
+            title: 'Remove the split after this segment'
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
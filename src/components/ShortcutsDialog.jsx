@@ -0,0 +1,146 @@
+import React, { useEffect, useState } from 'react';
+import { Keyboard, X, Plus, RotateCcw, Pencil, Check } from 'lucide-react';
+import { DEFAULT_BINDINGS, SHORTCUT_ACTIONS, SHORTCUT_GROUPS, bindKey, findKeyOwner, formatKey, getKeyName, unbindKey } from '../utils/shortcuts';
+
+// The cheat sheet of every shortcut, which switches to a remapping screen:
+// each action can hold several keys, and a key recorded for one action is
+// taken from any other action that had it.
+export default function ShortcutsDialog({ bindings, onChange, onClose }) {
+  const [editing, setEditing] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  // Captured ahead of the editor's own shortcuts, so the key being recorded
+  // does not also run whatever it is bound to
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        if (recording) {
+          setRecording(null);
+        } else {
+          onClose();
+        }
+        return;
+      }
+      if (!recording) return;
+      const keyName = getKeyName(e);
+      e.preventDefault();
+      e.stopPropagation();
+      if (!keyName) return;
+      const owner = findKeyOwner(bindings, keyName);
+      if (owner && owner !== recording) {
+        setNotice(`${formatKey(keyName)} moved from “${SHORTCUT_ACTIONS.find((action) => action.id === owner).label}”.`);
+      } else {
+        setNotice('');
+      }
+      onChange(bindKey(bindings, recording, keyName));
+      setRecording(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording, bindings, onChange, onClose]);
+
+  const unbound = SHORTCUT_ACTIONS.filter((action) => bindings[action.id].length === 0);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-slate-900 border border-purple-500/30 rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col shadow-2xl shadow-purple-500/20"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-purple-500/20">
+          <h2 className="font-semibold text-purple-300 flex items-center gap-2">
+            <Keyboard className="w-5 h-5" />
+            {editing ? 'Customize Shortcuts' : 'Keyboard Shortcuts'}
+          </h2>
+          <div className="flex items-center gap-2">
+            {editing && (
+              <button
+                onClick={() => {
+                  onChange(DEFAULT_BINDINGS);
+                  setRecording(null);
+                  setNotice('');
+                }}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm bg-purple-600/30 hover:bg-purple-600/50 rounded-lg"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Reset to defaults
+              </button>
+            )}
+            <button
+              onClick={() => {
+                setEditing(!editing);
+                setRecording(null);
+                setNotice('');
+              }}
+              className="flex items-center gap-1 px-3 py-1.5 text-sm bg-purple-600/30 hover:bg-purple-600/50 rounded-lg"
+            >
+              {editing ? <Check className="w-4 h-4" /> : <Pencil className="w-4 h-4" />}
+              {editing ? 'Done' : 'Customize'}
+            </button>
+            <button onClick={onClose} className="p-1 rounded-lg hover:bg-purple-600/30">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-5 overflow-y-auto">
+          {editing && (
+            <p className="text-xs text-purple-400">
+              {recording ? 'Press the new key, or Escape to cancel.' : 'Click + to record a key for an action; click a key to remove it.'}
+            </p>
+          )}
+          {notice && <p className="text-xs text-yellow-300">{notice}</p>}
+          {!editing && unbound.length > 0 && (
+            <p className="text-xs text-purple-400">{unbound.length} action{unbound.length > 1 ? 's have' : ' has'} no key.</p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-5">
+            {SHORTCUT_GROUPS.map((group) => (
+              <div key={group}>
+                <h3 className="text-xs uppercase tracking-wide text-purple-400 mb-2">{group}</h3>
+                <div className="space-y-1.5">
+                  {SHORTCUT_ACTIONS.filter((action) => action.group === group).map((action) => (
+                    <div key={action.id} className="flex items-center justify-between gap-3 text-sm">
+                      <span className="text-purple-200">{action.label}</span>
+                      <span className="flex items-center gap-1 flex-shrink-0">
+                        {bindings[action.id].map((keyName) => (
+                          editing ? (
+                            <button
+                              key={keyName}
+                              onClick={() => onChange(unbindKey(bindings, action.id, keyName))}
+                              className="px-2 py-0.5 rounded bg-purple-900/50 border border-purple-500/30 font-mono text-xs hover:bg-red-600/40 hover:border-red-500/50"
+                              title="Remove this key"
+                            >
+                              {formatKey(keyName)}
+                            </button>
+                          ) : (
+                            <kbd key={keyName} className="px-2 py-0.5 rounded bg-purple-900/50 border border-purple-500/30 font-mono text-xs">
+                              {formatKey(keyName)}
+                            </kbd>
+                          )
+                        ))}
+                        {!editing && bindings[action.id].length === 0 && <span className="text-xs text-purple-500">—</span>}
+                        {editing && (
+                          <button
+                            onClick={() => setRecording(recording === action.id ? null : action.id)}
+                            className={`p-1 rounded ${recording === action.id ? 'bg-purple-600 animate-pulse' : 'bg-purple-600/30 hover:bg-purple-600/50'}`}
+                            title="Record a key"
+                          >
+                            <Plus className="w-3 h-3" />
+                          </button>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Camera, LayoutGrid, Film } from 'lucide-react';
+import { FRAME_RATES, RESOLUTIONS } from '../utils/exportPresets';
+import { SHEET_COLUMNS, SHEET_COUNTS, STILL_FORMATS } from '../utils/stills';
+import { formatTimecode } from '../utils/time';
+
+const ANIMATION_FORMATS = [
+  { value: 'gif', label: 'GIF' },
+  { value: 'webp', label: 'WebP' }
+];
+
+// Stills and short loops of the edit as it renders: a frame at the playhead,
+// a contact sheet spread over the timeline and GIF/WebP exports sized for
+// sharing. All of them use the edit's flip, rotate, crop, grade and aspect.
+export default function SnapshotPanel({ disabled, playhead, onGrabFrame, onContactSheet, onQueueAnimation }) {
+  const [stillFormat, setStillFormat] = useState('png');
+  const [sheetCount, setSheetCount] = useState(12);
+  const [sheetColumns, setSheetColumns] = useState(4);
+  const [animationFormat, setAnimationFormat] = useState('gif');
+  const [animationSize, setAnimationSize] = useState('480');
+  const [animationFps, setAnimationFps] = useState('12');
+
+  const choice = (options, value, onSelect) => (
+    <div className="flex gap-1">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onSelect(option.value)}
+          className={`flex-1 px-2 py-1 rounded transition-all text-[10px] font-medium ${
+            value === option.value ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  const select = (label, value, options, onSelect) => (
+    <div>
+      <label className="text-[10px] text-purple-400 mb-1 block">{label}</label>
+      <select
+        value={value}
+        onChange={(e) => onSelect(e.target.value)}
+        className="w-full px-2 py-1 bg-purple-900/50 rounded text-xs"
+      >
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const action = (label, Icon, onClick) => (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-purple-600/50 hover:bg-purple-600 rounded-xl transition-all text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      <Icon className="w-4 h-4" />
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <Camera className="w-5 h-5" />
+        Stills & Loops
+      </h3>
+      <div className="space-y-4">
+        <div className="space-y-2">
+          {choice(Object.entries(STILL_FORMATS).map(([value, { label }]) => ({ value, label })), stillFormat, setStillFormat)}
+          {action(`Grab Frame at ${formatTimecode(playhead)}`, Camera, () => onGrabFrame(stillFormat))}
+        </div>
+
+        <div className="space-y-2 p-3 rounded-xl bg-purple-900/30">
+          <div className="grid grid-cols-2 gap-2">
+            {select('Thumbnails', sheetCount, SHEET_COUNTS.map((count) => ({ value: count, label: count })), (value) => setSheetCount(Number(value)))}
+            {select('Columns', sheetColumns, SHEET_COLUMNS.map((count) => ({ value: count, label: count })), (value) => setSheetColumns(Number(value)))}
+          </div>
+          {action('Contact Sheet', LayoutGrid, () => onContactSheet({ count: sheetCount, columns: sheetColumns, format: stillFormat }))}
+        </div>
+
+        <div className="space-y-2 p-3 rounded-xl bg-purple-900/30">
+          {choice(ANIMATION_FORMATS, animationFormat, setAnimationFormat)}
+          <div className="grid grid-cols-2 gap-2">
+            {select('Size', animationSize, RESOLUTIONS.filter((r) => r !== '2160').map((r) => ({ value: r, label: r === 'source' ? 'Source' : `${r}p` })), setAnimationSize)}
+            {select('Frame rate', animationFps, FRAME_RATES.filter((r) => r !== 'source' && Number(r) <= 30).map((r) => ({ value: r, label: `${r} fps` })), setAnimationFps)}
+          </div>
+          {action(`Queue ${animationFormat === 'gif' ? 'GIF' : 'WebP'}`, Film, () =>
+            onQueueAnimation({ format: animationFormat, resolution: animationSize, fps: animationFps })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React, { useRef } from 'react';
+import { Type, Plus, Trash2, FileUp, FileDown, Clock } from 'lucide-react';
+import { createCue, formatTimestamp, parseSubtitles, serializeSrt, serializeVtt, sortCues } from '../utils/subtitles';
+import { downloadBlob } from '../utils/download';
+
+const DEFAULT_CUE_LENGTH = 2;
+
+export default function SubtitleEditor({ cues, onChange, playhead, activeCueId, mode, onModeChange, onError }) {
+  const importInputRef = useRef(null);
+
+  // The label and coalesce key let typing into one cue form a single undo step
+  const updateCue = (id, patch, label) => {
+    onChange(sortCues(cues.map((cue) => (cue.id === id ? { ...cue, ...patch } : cue))), label, `${label}:${id}`);
+  };
+
+  const addCue = () => {
+    onChange(sortCues([...cues, createCue(playhead, playhead + DEFAULT_CUE_LENGTH)]), 'Add subtitle cue');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const imported = parseSubtitles(await file.text());
+    if (imported.length === 0) {
+      onError(`No subtitle cues found in ${file.name}`);
+      return;
+    }
+    onChange(imported, `Import ${file.name}`);
+  };
+
+  const handleExport = (format) => {
+    const content = format === 'vtt' ? serializeVtt(cues) : serializeSrt(cues);
+    downloadBlob(new Blob([content], { type: format === 'vtt' ? 'text/vtt' : 'application/x-subrip' }), `subtitles.${format}`);
+  };
+
+  return (
+    <div className="bg-black/40 backdrop-blur-xl rounded-2xl p-6 border border-purple-500/20">
+      <h3 className="font-semibold mb-4 flex items-center gap-2 text-purple-300">
+        <Type className="w-5 h-5" />
+        Subtitles/CC
+      </h3>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        {[
+          { value: 'burn', label: 'Burn In' },
+          { value: 'soft', label: 'Soft Track' }
+        ].map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => onModeChange(value)}
+            className={`px-3 py-2 rounded-lg transition-all text-xs font-medium ${
+              mode === value ? 'bg-purple-600' : 'bg-purple-600/30 hover:bg-purple-600/50'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="space-y-2 max-h-80 overflow-y-auto">
+        {cues.map((cue) => (
+          <div
+            key={cue.id}
+            className={`p-2 rounded-xl space-y-2 ${cue.id === activeCueId ? 'bg-purple-600/40 ring-1 ring-pink-400' : 'bg-purple-900/30'}`}
+          >
+            <div className="flex items-center gap-1 text-[10px] text-purple-300">
+              <button
+                onClick={() => updateCue(cue.id, { start: Math.min(playhead, cue.end) }, 'Set cue start')}
+                className="flex items-center gap-1 px-2 py-1 bg-purple-600/30 hover:bg-purple-600/50 rounded"
+                title="Set start to playhead"
+              >
+                <Clock className="w-3 h-3" />
+                {formatTimestamp(cue.start, '.')}
+              </button>
+              <span>→</span>
+              <button
+                onClick={() => updateCue(cue.id, { end: Math.max(playhead, cue.start) }, 'Set cue end')}
+                className="flex items-center gap-1 px-2 py-1 bg-purple-600/30 hover:bg-purple-600/50 rounded"
+                title="Set end to playhead"
+              >
+                <Clock className="w-3 h-3" />
+                {formatTimestamp(cue.end, '.')}
+              </button>
+              <button
+                onClick={() => onChange(cues.filter((c) => c.id !== cue.id), 'Delete subtitle cue')}
+                className="ml-auto p-1 hover:text-red-300"
+                title="Delete cue"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+            <textarea
+              value={cue.text}
+              onChange={(e) => updateCue(cue.id, { text: e.target.value }, 'Edit subtitle text')}
+              placeholder="Enter subtitle text..."
+              className="w-full px-3 py-2 bg-purple-900/30 rounded-lg text-sm resize-none focus:outline-none focus:ring-2 focus:ring-purple-500"
+              rows="2"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mt-3">
+        <button
+          onClick={addCue}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/50 hover:bg-purple-600 rounded-lg transition-all text-xs font-medium"
+        >
+          <Plus className="w-3 h-3" />
+          Cue
+        </button>
+        <button
+          onClick={() => importInputRef.current?.click()}
+          className="flex items-center justify-center gap-1 px-3 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium"
+        >
+          <FileUp className="w-3 h-3" />
+          Import
+        </button>
+        <div className="flex gap-1">
+          {['srt', 'vtt'].map((format) => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={cues.length === 0}
+              className="flex-1 flex items-center justify-center gap-1 px-2 py-2 bg-purple-600/30 hover:bg-purple-600/50 rounded-lg transition-all text-xs font-medium uppercase disabled:opacity-50 disabled:cursor-not-allowed"
+              title={`Export .${format}`}
+            >
+              <FileDown className="w-3 h-3" />
+              {format}
+            </button>
+          ))}
+        </div>
+      </div>
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".srt,.vtt"
+        onChange={handleImport}
+        className="hidden"
+      />
+    </div>
+  );
+}
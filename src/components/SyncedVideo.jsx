@@ -0,0 +1,53 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Plays another video in step with the main <video>: a render of part of
+// the source, or a second source laid over it. mapTime turns the main
+// video's time into this one's, or null where there is nothing to show, and
+// it hides there.
+export default function SyncedVideo({ videoRef, src, mapTime, muted = true, className, style }) {
+  const syncedRef = useRef(null);
+  const mapTimeRef = useRef(mapTime);
+  const [inRange, setInRange] = useState(false);
+  mapTimeRef.current = mapTime;
+
+  useEffect(() => {
+    let frame;
+    const sync = () => {
+      frame = requestAnimationFrame(sync);
+      const video = videoRef.current;
+      const synced = syncedRef.current;
+      if (!video || !synced || synced.readyState < 1) return;
+      const target = mapTimeRef.current(video.currentTime);
+      setInRange(target !== null);
+      if (target === null) {
+        if (!synced.paused) synced.pause();
+        return;
+      }
+      // Playing copies drift a little, so they are only pulled back when the
+      // gap shows; paused ones follow every seek and frame step, and one
+      // held past its end stays on its last frame
+      if (video.paused || target >= synced.duration) {
+        if (!synced.paused) synced.pause();
+        const time = Math.min(target, synced.duration);
+        if (Math.abs(synced.currentTime - time) > 0.01) synced.currentTime = time;
+      } else {
+        synced.playbackRate = video.playbackRate;
+        if (synced.paused) synced.play().catch(() => {});
+        if (Math.abs(synced.currentTime - target) > 0.15) synced.currentTime = target;
+      }
+    };
+    frame = requestAnimationFrame(sync);
+    return () => cancelAnimationFrame(frame);
+  }, [videoRef]);
+
+  return (
+    <video
+      ref={syncedRef}
+      src={src}
+      muted={muted}
+      playsInline
+      className={className}
+      style={{ ...style, visibility: inRange ? 'visible' : 'hidden' }}
+    />
+  );
+}
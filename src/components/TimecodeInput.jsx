@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from 'react';
+import { formatTimecode, parseTimecode } from '../utils/time';
+
+// Shows a time as HH:MM:SS.fff and commits typed edits on Enter or blur
+export default function TimecodeInput({ value, onChange, className = '' }) {
+  const [text, setText] = useState(formatTimecode(value));
+
+  useEffect(() => {
+    setText(formatTimecode(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parseTimecode(text);
+    if (parsed === null) {
+      setText(formatTimecode(value));
+    } else if (parsed !== value) {
+      onChange(parsed);
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') {
+          setText(formatTimecode(value));
+          e.currentTarget.blur();
+        }
+      }}
+      className={`px-2 py-1 bg-purple-900/50 rounded font-mono text-xs text-center focus:outline-none focus:ring-2 focus:ring-purple-500 ${className}`}
+    />
+  );
+}
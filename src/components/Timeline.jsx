@@ -0,0 +1,301 @@
+import React, { useState } from 'react';
+import { Scissors, Film, Plus, X, GripVertical, ChevronLeft, ChevronRight, Music, Clapperboard, ArrowRightLeft } from 'lucide-react';
+import TimecodeInput from './TimecodeInput';
+import CutDetector from './CutDetector';
+import RetimeEditor from './RetimeEditor';
+import SegmentEditor from './SegmentEditor';
+import TransitionEditor from './TransitionEditor';
+import Waveform from './Waveform';
+import { DEFAULT_FPS, formatTime, formatTimecode } from '../utils/time';
+import { getClipRange, getTimelineDuration } from '../utils/clips';
+import { getClipOutputLength } from '../utils/retime';
+import { TRANSITIONS, getSequence, getSequenceJoins } from '../utils/sequence';
+
+export default function Timeline({
+  clips,
+  bumpers,
+  transitions,
+  music,
+  musicStart,
+  selectedClipId,
+  currentTime,
+  shortcuts = {},
+  detection,
+  canDetect,
+  onSelectClip,
+  onReorderClips,
+  onRemoveClip,
+  onUpdateClip,
+  onUpdateTransition,
+  onRemoveBumper,
+  onAddClips,
+  onDetect,
+  onSeek
+}) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [selectedJoin, setSelectedJoin] = useState(null);
+
+  const sequence = getSequence({ clips, bumpers });
+  const joins = getSequenceJoins(sequence, transitions);
+  const totalDuration = getTimelineDuration({ clips, bumpers, transitions });
+  const selectedClip = clips.find((clip) => clip.id === selectedClipId);
+
+  const renderClip = (clip, index) => {
+    const length = getClipOutputLength(clip);
+    const share = totalDuration > 0 ? (length / totalDuration) * 100 : 100 / sequence.length;
+    return (
+      <div
+        draggable
+        onDragStart={() => setDragIndex(index)}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDropIndex(index);
+        }}
+        onDragLeave={() => setDropIndex(null)}
+        onDrop={() => handleDrop(index)}
+        onDragEnd={() => {
+          setDragIndex(null);
+          setDropIndex(null);
+        }}
+        onClick={() => onSelectClip(clip.id)}
+        style={{ flexBasis: `${share}%` }}
+        className={`group relative min-w-[96px] flex-grow-0 flex-shrink-0 px-2 py-3 rounded-lg cursor-pointer transition-all border ${
+          clip.id === selectedClipId ? 'bg-purple-600 border-pink-400' : 'bg-purple-600/30 hover:bg-purple-600/50 border-transparent'
+        } ${dropIndex === index && dragIndex !== index ? 'ring-2 ring-pink-400' : ''} ${dragIndex === index ? 'opacity-50' : ''}`}
+      >
+        <div className="flex items-center gap-1">
+          <GripVertical className="w-3 h-3 text-purple-300 flex-shrink-0" />
+          <span className="text-xs font-medium truncate">{clip.name}</span>
+        </div>
+        <p className={`text-[10px] mt-1 ${clip.missing ? 'text-yellow-300' : 'text-purple-300'}`}>
+          {clip.missing ? 'Missing • ' : ''}{formatTime(length)}
+        </p>
+        <Waveform
+          url={clip.url}
+          duration={clip.duration}
+          start={clip.trimStart}
+          end={clip.trimEnd}
+          className="h-6 mt-1 text-pink-300/70"
+        />
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemoveClip(clip.id);
+          }}
+          className="absolute top-1 right-1 p-0.5 rounded bg-black/40 opacity-0 group-hover:opacity-100 transition-all"
+          title="Remove clip"
+        >
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+    );
+  };
+
+  // Bumpers are placed by slot rather than dragged, and are never trimmed
+  const renderBumper = (bumper, slot) => {
+    const length = getClipOutputLength(bumper);
+    const share = totalDuration > 0 ? (length / totalDuration) * 100 : 100 / sequence.length;
+    return (
+      <div
+        style={{ flexBasis: `${share}%` }}
+        className="group relative min-w-[96px] flex-grow-0 flex-shrink-0 px-2 py-3 rounded-lg border border-dashed border-pink-400/50 bg-pink-900/30"
+      >
+        <div className="flex items-center gap-1">
+          <Clapperboard className="w-3 h-3 text-pink-300 flex-shrink-0" />
+          <span className="text-xs font-medium truncate">{slot === 'intro' ? 'Intro' : 'Outro'}: {bumper.name}</span>
+        </div>
+        <p className={`text-[10px] mt-1 ${bumper.missing ? 'text-yellow-300' : 'text-pink-300'}`}>
+          {bumper.missing ? 'Missing • ' : ''}{formatTime(length)}
+        </p>
+        <button
+          onClick={() => onRemoveBumper(slot)}
+          className="absolute top-1 right-1 p-0.5 rounded bg-black/40 opacity-0 group-hover:opacity-100 transition-all"
+          title={`Remove ${slot}`}
+        >
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+    );
+  };
+
+  const joinButton = (key, title, transition) => (
+    <button
+      onClick={() => setSelectedJoin(selectedJoin === key ? null : key)}
+      className={`flex-shrink-0 w-5 rounded flex items-center justify-center transition-all ${
+        selectedJoin === key ? 'bg-pink-500' : transition ? 'bg-pink-500/50 hover:bg-pink-500/70' : 'bg-purple-600/20 hover:bg-purple-600/40'
+      }`}
+      title={transition ? `${title}: ${TRANSITIONS[transition.type].label}` : title}
+    >
+      <ArrowRightLeft className="w-3 h-3" />
+    </button>
+  );
+
+  const renderTransitionEditor = () => {
+    const edge = selectedJoin === 'start' || selectedJoin === 'end';
+    const index = sequence.findIndex((item) => item.id === selectedJoin);
+    if (!edge && index < 1) return null;
+    const coalesceKey = `transition:${selectedJoin}`;
+    return (
+      <TransitionEditor
+        label={edge
+          ? (selectedJoin === 'start' ? 'Start of output' : 'End of output')
+          : `${sequence[index - 1].name} → ${sequence[index].name}`}
+        edge={edge}
+        transition={edge ? transitions[selectedJoin] : transitions.joins[selectedJoin]}
+        maxDuration={edge
+          ? totalDuration / 2
+          : Math.min(getClipOutputLength(sequence[index - 1]), getClipOutputLength(sequence[index])) / 2}
+        onChange={(transition, dragging) => onUpdateTransition(selectedJoin, transition, dragging ? coalesceKey : undefined)}
+      />
+    );
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) {
+      onReorderClips(dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  return (
+    <div className="bg-purple-900/30 p-4 rounded-xl space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Film className="w-4 h-4 text-purple-400" />
+          <span className="text-sm font-semibold text-purple-300">Timeline</span>
+          <span className="text-xs text-purple-400">
+            {clips.length} clip{clips.length === 1 ? '' : 's'} • {formatTime(totalDuration)}
+          </span>
+        </div>
+        <button
+          onClick={onAddClips}
+          className="flex items-center gap-1 px-3 py-1 bg-purple-600/50 hover:bg-purple-600 rounded-lg transition-all text-xs font-medium"
+        >
+          <Plus className="w-3 h-3" />
+          Add Clip
+        </button>
+      </div>
+
+      {/* Clip Strip: bumpers around the clips, with the transitions between them */}
+      <div className="flex gap-1 overflow-x-auto pb-1">
+        {joinButton('start', 'Fade in at the start', transitions.start)}
+        {sequence.map((item, i) => (
+          <React.Fragment key={item.id}>
+            {i > 0 && joinButton(item.id, `Transition into ${item.name}`, joins[i - 1])}
+            {item === bumpers.intro || item === bumpers.outro
+              ? renderBumper(item, item === bumpers.intro ? 'intro' : 'outro')
+              : renderClip(item, clips.indexOf(item))}
+          </React.Fragment>
+        ))}
+        {joinButton('end', 'Fade out at the end', transitions.end)}
+      </div>
+
+      {selectedJoin && renderTransitionEditor()}
+
+      {/* Music Track: the part of the file that plays under the whole timeline */}
+      {music && (
+        <div className="px-2 py-2 rounded-lg bg-pink-900/20 border border-pink-500/20">
+          <div className="flex items-center gap-1 text-[10px] text-pink-200">
+            <Music className="w-3 h-3 flex-shrink-0" />
+            <span className="truncate">{music.name}</span>
+            {music.missing && <span className="text-yellow-300">• Missing</span>}
+            <span className="ml-auto text-pink-300/70">from {formatTime(musicStart)}</span>
+          </div>
+          <Waveform
+            url={music.url}
+            duration={music.duration}
+            start={musicStart}
+            end={musicStart + totalDuration}
+            className="h-8 mt-1 text-pink-300/70"
+          />
+        </div>
+      )}
+
+      {/* Per-clip Trim Controls */}
+      {selectedClip && (
+        <div>
+          <div className="flex items-center gap-2 mb-2">
+            <Scissors className="w-4 h-4 text-purple-400" />
+            <span className="text-sm font-semibold text-purple-300 truncate">Trim: {selectedClip.name}</span>
+            <span className="ml-auto text-[10px] text-purple-400">{selectedClip.fps || DEFAULT_FPS} fps</span>
+          </div>
+          <div className="space-y-3">
+            {[
+              { key: 'trimStart', label: 'In', shortcut: shortcuts.markIn },
+              { key: 'trimEnd', label: 'Out', shortcut: shortcuts.markOut }
+            ].map(({ key, label, shortcut }) => {
+              const frame = 1 / (selectedClip.fps || DEFAULT_FPS);
+              return (
+                <div key={key} className="space-y-1">
+                  <div className="flex items-center gap-1">
+                    <label className="text-xs text-purple-400 w-8">{label}</label>
+                    <button
+                      onClick={() => onUpdateClip(selectedClip.id, { [key]: selectedClip[key] - frame })}
+                      className="p-1 rounded bg-purple-600/30 hover:bg-purple-600/50"
+                      title="Back one frame"
+                    >
+                      <ChevronLeft className="w-3 h-3" />
+                    </button>
+                    <TimecodeInput
+                      value={selectedClip[key]}
+                      onChange={(seconds) => onUpdateClip(selectedClip.id, { [key]: seconds })}
+                      className="w-28"
+                    />
+                    <button
+                      onClick={() => onUpdateClip(selectedClip.id, { [key]: selectedClip[key] + frame })}
+                      className="p-1 rounded bg-purple-600/30 hover:bg-purple-600/50"
+                      title="Forward one frame"
+                    >
+                      <ChevronRight className="w-3 h-3" />
+                    </button>
+                    <button
+                      onClick={() => onUpdateClip(selectedClip.id, { [key]: currentTime })}
+                      className="ml-auto px-2 py-1 rounded bg-purple-600/30 hover:bg-purple-600/50 text-[10px]"
+                      title={`Set ${label.toLowerCase()} point at playhead${shortcut ? ` (${shortcut})` : ''}`}
+                    >
+                      At playhead{shortcut ? ` (${shortcut})` : ''}
+                    </button>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max={selectedClip.duration}
+                    step={frame}
+                    value={selectedClip[key]}
+                    onChange={(e) => onUpdateClip(selectedClip.id, { [key]: Number(e.target.value) })}
+                    className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+                  />
+                </div>
+              );
+            })}
+            <p className="text-[10px] text-purple-400">
+              Duration {formatTimecode(getClipRange(selectedClip).length)}
+            </p>
+            <CutDetector
+              clip={selectedClip}
+              detection={detection}
+              currentTime={currentTime}
+              canAnalyse={canDetect}
+              onAnalyse={(settings) => onDetect(selectedClip, settings)}
+              onSeek={onSeek}
+              onChange={(patch) => onUpdateClip(selectedClip.id, patch)}
+            />
+            <SegmentEditor
+              clip={selectedClip}
+              currentTime={currentTime}
+              splitShortcut={shortcuts.split}
+              onChange={(patch) => onUpdateClip(selectedClip.id, patch)}
+            />
+            <RetimeEditor
+              clip={selectedClip}
+              currentTime={currentTime}
+              onChange={(retimes) => onUpdateClip(selectedClip.id, { retimes })}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
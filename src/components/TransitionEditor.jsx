@@ -0,0 +1,45 @@
+import React from 'react';
+import { ArrowRightLeft } from 'lucide-react';
+import { EDGE_TRANSITIONS, MAX_TRANSITION, TRANSITIONS, createTransition } from '../utils/sequence';
+
+// Type and duration of one join, or of the fade at the start or end of the
+// output; maxDuration is what the neighbouring items leave room for
+export default function TransitionEditor({ label, transition, edge, maxDuration, onChange }) {
+  const types = edge ? EDGE_TRANSITIONS : Object.keys(TRANSITIONS);
+  const limit = Math.min(MAX_TRANSITION, maxDuration);
+
+  return (
+    <div className="p-3 rounded-lg bg-purple-900/40 space-y-2">
+      <div className="flex items-center gap-2">
+        <ArrowRightLeft className="w-4 h-4 text-purple-400" />
+        <span className="text-xs font-semibold text-purple-300 truncate">{label}</span>
+        <select
+          value={transition?.type || ''}
+          onChange={(e) => onChange(e.target.value ? createTransition(e.target.value, transition?.duration ?? Math.min(1, limit)) : null)}
+          className="ml-auto px-2 py-1 bg-purple-900/50 rounded text-xs"
+        >
+          <option value="">{edge ? 'None' : 'Cut'}</option>
+          {types.map((type) => (
+            <option key={type} value={type}>{TRANSITIONS[type].label}</option>
+          ))}
+        </select>
+      </div>
+      {transition && (
+        <div>
+          <label className="text-xs text-purple-400 mb-1 block">
+            Duration: {Math.min(transition.duration, limit).toFixed(1)}s
+          </label>
+          <input
+            type="range"
+            min="0.1"
+            max={Math.max(0.1, limit)}
+            step="0.1"
+            value={Math.min(transition.duration, limit)}
+            onChange={(e) => onChange({ ...transition, duration: Number(e.target.value) }, true)}
+            className="w-full h-2 bg-purple-900/50 rounded-lg appearance-none cursor-pointer"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useEffect, useRef, useState } from 'react';
+import CropOverlay from './CropOverlay';
+import GradeCanvas from './GradeCanvas';
+import BlurBackdrop from './BlurBackdrop';
+import SyncedVideo from './SyncedVideo';
+import CompositeLayer from './CompositeLayer';
+import { getSplitRects } from '../utils/composite';
+import { fitSize, getCropPixels, getOrientedSize, isCropActive, normalizeRotation } from '../utils/crop';
+import { isGradeActive } from '../utils/color';
+
+// Lays the <video> out in the same order the render applies its filters:
+// flip and rotate the source frame, then crop the oriented frame. While the
+// crop is being edited the whole frame is shown with the crop box on top;
+// otherwise only the cropped region is shown, scaled to fit. An active grade
+// is drawn on a canvas laid out exactly like the video, and overlays sit on
+// the cropped region, which is the frame they are rendered onto. When the
+// aspect target is filled rather than letterboxed, fill places that region
+// scaled to cover the preview, and backdrop puts a blurred copy behind it.
+// compare splits the window at compare.split between the source and a
+// corrected render of it; grade and overlays are left off both sides then,
+// so only the corrections differ. composite lays a second source onto the
+// cropped region under the overlays, as the render does; in a split frame
+// the main source keeps only its part of that region.
+export default function VideoPreview({
+  videoRef,
+  src,
+  className,
+  style,
+  frameWidth,
+  frameHeight,
+  rotation,
+  transform,
+  grade,
+  crop,
+  onCropChange,
+  isCropEditing,
+  cropAspectLock,
+  fill,
+  backdrop,
+  onPanChange,
+  compare,
+  onCompareSplitChange,
+  composite,
+  onCompositeChange,
+  muted,
+  overlays,
+  onTimeUpdate,
+  onLoadedMetadata,
+  onPlay,
+  onPause,
+  onEnded,
+  children
+}) {
+  const containerRef = useRef(null);
+  const panRef = useRef(null);
+  const windowRef = useRef(null);
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => {
+      setContainerSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const oriented = getOrientedSize(frameWidth || 1920, frameHeight || 1080, rotation);
+  const cropPixels = getCropPixels(crop, oriented.width, oriented.height);
+  const showCropped = !isCropEditing && isCropActive(crop);
+  const content = showCropped ? cropPixels : oriented;
+  const cover = Boolean(fill) && !isCropEditing;
+  const coverScale = Math.max(containerSize.width / content.width, containerSize.height / content.height);
+
+  // Size of the visible window, and where the content (the cropped region)
+  // sits inside it: the two match when the content is fitted, and the
+  // content overhangs the window by fill's share when it covers it
+  const visible = cover ? containerSize : fitSize(content.width, content.height, containerSize.width, containerSize.height);
+  const scale = cover ? coverScale : visible.width / content.width;
+  const contentBox = {
+    width: content.width * scale,
+    height: content.height * scale,
+    left: cover ? (visible.width - content.width * scale) * fill.x : 0,
+    top: cover ? (visible.height - content.height * scale) * fill.y : 0
+  };
+
+  // The oriented frame and the media on it for content shown at a scale
+  const quarterTurn = normalizeRotation(rotation) % 180 === 90;
+  const layoutFrame = (frameScale) => {
+    const frame = {
+      width: oriented.width * frameScale,
+      height: oriented.height * frameScale,
+      left: showCropped ? -cropPixels.x * frameScale : 0,
+      top: showCropped ? -cropPixels.y * frameScale : 0
+    };
+    const media = {
+      width: quarterTurn ? frame.height : frame.width,
+      height: quarterTurn ? frame.width : frame.height,
+      transform: `translate(-50%, -50%) ${transform}`
+    };
+    return { frame, media };
+  };
+  const { frame, media: mediaStyle } = layoutFrame(scale);
+  const backdropLayout = layoutFrame(coverScale);
+
+  // The main source's part of a split frame, and its centre crop, which
+  // shifts the frame inside that part
+  const showComposite = Boolean(composite) && !isCropEditing && !compare;
+  const split = showComposite && composite.settings.layout !== 'pip' ? getSplitRects(composite.settings, cropPixels).main : null;
+  const mainPart = split
+    ? { left: split.x * scale, top: split.y * scale, width: split.width * scale, height: split.height * scale }
+    : { left: 0, top: 0, width: '100%', height: '100%' };
+  const mainShift = split ? { left: -split.cropX * scale, top: -split.cropY * scale } : { left: 0, top: 0 };
+
+  // Dragging the picture slides the window the other way, by the share of
+  // the overhang the pointer has moved
+  const canPan = cover && Boolean(onPanChange);
+  const overhang = { x: contentBox.width - visible.width, y: contentBox.height - visible.height };
+
+  const startPan = (e) => {
+    if (!canPan) return;
+    panRef.current = { startX: e.clientX, startY: e.clientY, start: fill };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePanMove = (e) => {
+    const pan = panRef.current;
+    if (!pan) return;
+    const slide = (key, delta) => (overhang[key] > 1 ? Math.min(Math.max(pan.start[key] - delta / overhang[key], 0), 1) : pan.start[key]);
+    onPanChange({ x: slide('x', e.clientX - pan.startX), y: slide('y', e.clientY - pan.startY) });
+  };
+
+  const endPan = () => {
+    panRef.current = null;
+  };
+
+  const moveSplit = (e) => {
+    if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+    const rect = windowRef.current.getBoundingClientRect();
+    onCompareSplitChange(Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1));
+  };
+
+  return (
+    <div ref={containerRef} className={`relative ${className} bg-black rounded-xl overflow-hidden mx-auto max-w-full`} style={style}>
+      {backdrop && !isCropEditing && (
+        <div className="absolute inset-0 overflow-hidden blur-xl opacity-80">
+          <div
+            className="absolute overflow-hidden left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2"
+            style={{ width: content.width * coverScale, height: content.height * coverScale }}
+          >
+            <div className="absolute" style={backdropLayout.frame}>
+              <BlurBackdrop videoRef={videoRef} className="absolute left-1/2 top-1/2" style={backdropLayout.media} />
+            </div>
+          </div>
+        </div>
+      )}
+      <div
+        ref={windowRef}
+        className={`absolute overflow-hidden left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 ${canPan ? 'cursor-grab touch-none' : ''}`}
+        style={{ width: visible.width || '100%', height: visible.height || '100%' }}
+        onPointerDown={startPan}
+        onPointerMove={handlePanMove}
+        onPointerUp={endPan}
+        onPointerCancel={endPan}
+      >
+        <div className="absolute" style={contentBox}>
+          <div className="absolute overflow-hidden" style={mainPart}>
+            <div className="absolute" style={mainShift}>
+              <div className="absolute" style={frame}>
+                <video
+                  ref={videoRef}
+                  src={src}
+                  className="absolute left-1/2 top-1/2 object-contain"
+                  style={mediaStyle}
+                  onTimeUpdate={onTimeUpdate}
+                  onLoadedMetadata={onLoadedMetadata}
+                  onPlay={onPlay}
+                  onPause={onPause}
+                  onEnded={onEnded}
+                  muted={muted}
+                />
+                {grade && isGradeActive(grade) && !compare && (
+                  <GradeCanvas
+                    videoRef={videoRef}
+                    grade={grade}
+                    className="absolute left-1/2 top-1/2 object-contain"
+                    style={mediaStyle}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+          {showComposite && (
+            <CompositeLayer
+              videoRef={videoRef}
+              composite={composite.settings}
+              source={composite.source}
+              frame={cropPixels}
+              scale={scale}
+              mapTime={composite.mapTime}
+              muted={composite.muted}
+              onChange={onCompositeChange}
+            />
+          )}
+          {!isCropEditing && !compare && overlays}
+        </div>
+        {compare && !isCropEditing && (
+          <>
+            <div className="absolute inset-0 pointer-events-none" style={{ clipPath: `inset(0 0 0 ${compare.split * 100}%)` }}>
+              <div className="absolute" style={contentBox}>
+                <div className="absolute" style={frame}>
+                  <SyncedVideo
+                    videoRef={videoRef}
+                    src={compare.src}
+                    mapTime={(time) => (time >= compare.start && time <= compare.end ? time - compare.start : null)}
+                    className="absolute left-1/2 top-1/2 object-contain"
+                    style={mediaStyle}
+                  />
+                </div>
+              </div>
+            </div>
+            <div
+              className="absolute top-0 bottom-0 w-4 -ml-2 cursor-ew-resize touch-none flex justify-center"
+              style={{ left: `${compare.split * 100}%` }}
+              onPointerDown={(e) => {
+                e.stopPropagation();
+                e.currentTarget.setPointerCapture(e.pointerId);
+              }}
+              onPointerMove={moveSplit}
+            >
+              <div className="w-0.5 h-full bg-white/80" />
+            </div>
+            <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-black/60 text-[10px] pointer-events-none">Before</span>
+            <span className="absolute top-2 right-2 px-2 py-0.5 rounded bg-black/60 text-[10px] pointer-events-none">After</span>
+          </>
+        )}
+        {isCropEditing && (
+          <CropOverlay
+            crop={crop}
+            onChange={onCropChange}
+            aspectLock={cropAspectLock}
+            frameWidth={oriented.width}
+            frameHeight={oriented.height}
+          />
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
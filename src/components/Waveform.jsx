@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+import { readWaveform } from '../utils/media';
+
+// Decoding audio is expensive, so peaks are kept per source for the session
+// and shared by every view of the same file
+const peakCache = new Map();
+
+const loadPeaks = (url) => {
+  if (!peakCache.has(url)) {
+    peakCache.set(url, readWaveform(url).catch((err) => {
+      console.warn('Waveform unavailable:', err);
+      return [];
+    }));
+  }
+  return peakCache.get(url);
+};
+
+// Peaks of the source between start and end, stretched to fill the element
+export default function Waveform({ url, duration, start = 0, end = duration, className = '' }) {
+  const [peaks, setPeaks] = useState([]);
+
+  useEffect(() => {
+    if (!url) {
+      setPeaks([]);
+      return;
+    }
+    let cancelled = false;
+    loadPeaks(url).then((loaded) => {
+      if (!cancelled) setPeaks(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  const first = duration > 0 ? Math.floor((start / duration) * peaks.length) : 0;
+  const last = duration > 0 ? Math.ceil((Math.min(end, duration) / duration) * peaks.length) : peaks.length;
+  const visible = peaks.slice(first, Math.max(first + 1, last));
+
+  return (
+    <svg
+      className={`w-full ${className}`}
+      viewBox={`0 0 ${Math.max(visible.length, 1)} 2`}
+      preserveAspectRatio="none"
+    >
+      {visible.map((peak, i) => (
+        <rect key={i} x={i} y={1 - peak} width={0.8} height={Math.max(peak * 2, 0.04)} fill="currentColor" />
+      ))}
+    </svg>
+  );
+}
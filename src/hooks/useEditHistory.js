@@ -0,0 +1,117 @@
+import { useCallback, useReducer } from 'react';
+import { FULL_CROP } from '../utils/crop';
+import { DEFAULT_AUDIO_MIX } from '../utils/audio';
+import { DEFAULT_GRADE } from '../utils/color';
+import { DEFAULT_COMPOSITE } from '../utils/composite';
+import { DEFAULT_CORRECTION } from '../utils/correction';
+import { DEFAULT_REFRAME } from '../utils/reframe';
+import { DEFAULT_TRANSITIONS, NO_BUMPERS } from '../utils/sequence';
+
+// Everything a render depends on lives in one document so that undo/redo
+// and project files see the same state
+export const INITIAL_EDIT = {
+  clips: [],
+  bumpers: NO_BUMPERS,
+  transitions: DEFAULT_TRANSITIONS,
+  flipHorizontal: false,
+  flipVertical: false,
+  rotation: 0,
+  correction: DEFAULT_CORRECTION,
+  grade: DEFAULT_GRADE,
+  cropSettings: FULL_CROP,
+  aspectRatio: 'original',
+  reframe: DEFAULT_REFRAME,
+  aspectSizes: {},
+  audioMode: 'stereo',
+  audioMix: DEFAULT_AUDIO_MIX,
+  music: null,
+  secondVideo: null,
+  composite: DEFAULT_COMPOSITE,
+  subtitleCues: [],
+  overlays: [],
+  subtitleMode: 'burn'
+};
+
+const MAX_HISTORY = 100;
+// Updates sharing a coalesce key this close together (a slider drag, typing
+// into one cue) collapse into a single history entry
+const COALESCE_WINDOW_MS = 1000;
+
+const createHistory = (document, label) => ({
+  entries: [{ document, label }],
+  index: 0,
+  coalesceKey: null,
+  coalescedAt: 0
+});
+
+export const historyReducer = (state, action) => {
+  switch (action.type) {
+    case 'update': {
+      const present = state.entries[state.index].document;
+      const patch = typeof action.change === 'function' ? action.change(present) : action.change;
+      const document = { ...present, ...patch };
+      const coalesce =
+        action.coalesceKey &&
+        action.coalesceKey === state.coalesceKey &&
+        action.time - state.coalescedAt < COALESCE_WINDOW_MS &&
+        state.index > 0;
+
+      const kept = state.entries.slice(0, coalesce ? state.index : state.index + 1);
+      const entries = [...kept, { document, label: action.label }].slice(-MAX_HISTORY);
+      return {
+        entries,
+        index: entries.length - 1,
+        coalesceKey: action.coalesceKey || null,
+        coalescedAt: action.time
+      };
+    }
+    case 'undo':
+      return { ...state, index: Math.max(0, state.index - 1), coalesceKey: null };
+    case 'redo':
+      return { ...state, index: Math.min(state.entries.length - 1, state.index + 1), coalesceKey: null };
+    case 'jump':
+      return { ...state, index: Math.min(Math.max(0, action.index), state.entries.length - 1), coalesceKey: null };
+    case 'reset':
+      return createHistory(action.document, action.label);
+    case 'amendAll':
+      // For changes that are not edits, such as relinking a source file,
+      // which must hold in every step the user can go back to
+      return {
+        ...state,
+        entries: state.entries.map((entry) => ({ ...entry, document: action.amend(entry.document) }))
+      };
+    default:
+      throw new Error(`Unknown history action: ${action.type}`);
+  }
+};
+
+export default function useEditHistory(initialDocument) {
+  const [state, dispatch] = useReducer(historyReducer, undefined, () =>
+    createHistory({ ...INITIAL_EDIT, ...initialDocument }, 'Start')
+  );
+
+  const update = useCallback((label, change, coalesceKey) => {
+    dispatch({ type: 'update', label, change, coalesceKey, time: Date.now() });
+  }, []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+  const jumpTo = useCallback((index) => dispatch({ type: 'jump', index }), []);
+  const reset = useCallback((document, label) => {
+    dispatch({ type: 'reset', document: { ...INITIAL_EDIT, ...document }, label });
+  }, []);
+  const amendAll = useCallback((amend) => dispatch({ type: 'amendAll', amend }), []);
+
+  return {
+    edit: state.entries[state.index].document,
+    entries: state.entries,
+    index: state.index,
+    canUndo: state.index > 0,
+    canRedo: state.index < state.entries.length - 1,
+    update,
+    undo,
+    redo,
+    jumpTo,
+    reset,
+    amendAll
+  };
+}
@@ -0,0 +1,88 @@
+import { useRef, useState } from 'react';
+import { isCancelled } from '../utils/jobService';
+import { formatTime } from '../utils/time';
+
+// Runs the editor's engine work one piece at a time: renders, stills,
+// analyses and previews share the busy flag, progress, the log panel and the
+// cancel button. onMessage shows status lines, and onCancelled reloads the
+// engine, since cancelling a running job terminates it.
+export default function useJobRunner({ onMessage, onCancelled }) {
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [eta, setEta] = useState(null);
+  const [renderLog, setRenderLog] = useState({ title: 'FFmpeg Log', command: '', lines: [] });
+  // The running job's handle, for the cancel button
+  const activeJobRef = useRef(null);
+  const logLinesRef = useRef([]);
+  const logFlushRef = useRef(null);
+  // The callbacks close over the latest render, so they are read late
+  const optionsRef = useRef({ onMessage, onCancelled });
+  optionsRef.current = { onMessage, onCancelled };
+
+  const flushLog = () => {
+    logFlushRef.current = null;
+    setRenderLog((prev) => ({ ...prev, lines: [...logLinesRef.current] }));
+  };
+
+  // Log lines arrive many times a second, so the panel catches up in batches
+  const getJobHandlers = (label, action = 'Rendering') => ({
+    onStart: () => optionsRef.current.onMessage(`${action} ${label}...`),
+    onLog: (message) => {
+      logLinesRef.current.push(message);
+      if (!logFlushRef.current) {
+        logFlushRef.current = setTimeout(flushLog, 250);
+      }
+    },
+    onProgress: ({ fraction, remaining }) => {
+      setProgress(Math.round(fraction * 100));
+      setEta(remaining);
+      optionsRef.current.onMessage(`${action} ${label}: ${Math.round(fraction * 100)}%${remaining !== null ? ` • ${formatTime(remaining)} left` : ''}`);
+    }
+  });
+
+  // Runs work(track), which submits the jobs and hands each handle to
+  // track(handle) so cancel can stop it. A cancel goes to onCancel and
+  // any other failure to onError. Resolves to the log lines once the engine
+  // is free again, and after a cancel once it has been reloaded.
+  const run = async (work, { onCancel, onError }) => {
+    logLinesRef.current = [];
+    let cancelled = false;
+    try {
+      setIsProcessing(true);
+      setProgress(0);
+      setEta(null);
+      await work((handle) => {
+        activeJobRef.current = handle;
+      });
+    } catch (err) {
+      if (isCancelled(err)) {
+        cancelled = true;
+        onCancel();
+      } else {
+        onError(err);
+      }
+    } finally {
+      activeJobRef.current = null;
+      clearTimeout(logFlushRef.current);
+      flushLog();
+      setIsProcessing(false);
+      setProgress(0);
+      setEta(null);
+    }
+
+    const log = [...logLinesRef.current];
+    if (cancelled) {
+      await optionsRef.current.onCancelled();
+    }
+    return log;
+  };
+
+  // Whether there was a job to cancel
+  const cancel = () => {
+    if (!activeJobRef.current) return false;
+    activeJobRef.current.cancel();
+    return true;
+  };
+
+  return { isProcessing, progress, eta, renderLog, setRenderLog, getJobHandlers, run, cancel };
+}
@@ -0,0 +1,125 @@
+import { useEffect, useRef, useState } from 'react';
+import { getPieceAt, getRippleCutAt } from '../utils/retime';
+
+// Browsers refuse playback rates past this
+const MAX_PLAYBACK_RATE = 16;
+
+// Drives the <video> at the shuttle rate: 0 is stopped, positive plays
+// forwards at that multiple and negative plays backwards. A <video> only
+// plays forwards, so backwards shuttle steps the paused element back every
+// animation frame, jumping ripple cuts, and onStop is called at the start.
+//
+// Retimed pieces are emulated the same way while playing forwards: speed
+// through playbackRate, reverse by stepping backwards and freeze by holding
+// the element paused. Ripple cuts are jumped over, and gaps are held for
+// their length while the returned blank flag asks for the picture to be
+// blanked. holdingRef is set while the element is paused on purpose, so a
+// pause event then does not mean playback stopped.
+export default function useRetimedPlayback(videoRef, clip, rate, onStop) {
+  const [blank, setBlank] = useState(false);
+  const holdingRef = useRef(false);
+  const onStopRef = useRef(onStop);
+  onStopRef.current = onStop;
+
+  useEffect(() => {
+    const video = videoRef.current;
+    setBlank(false);
+    holdingRef.current = false;
+    if (!video || !clip) return;
+    if (rate === 0) {
+      video.playbackRate = 1;
+      if (!video.paused) video.pause();
+      return;
+    }
+
+    let frame;
+    let emulated = null;
+    let last = performance.now();
+    const speed = Math.abs(rate);
+
+    const hold = () => {
+      holdingRef.current = true;
+      video.pause();
+    };
+
+    const finish = (piece) => {
+      emulated = null;
+      holdingRef.current = false;
+      setBlank(false);
+      video.currentTime = piece.end;
+      video.play().catch(() => {});
+    };
+
+    const rewind = (elapsed) => {
+      let next = video.currentTime - elapsed * speed;
+      const cut = getRippleCutAt(clip, next);
+      if (cut) next = cut.start;
+      if (next <= 0) {
+        video.currentTime = 0;
+        onStopRef.current?.();
+      } else {
+        video.currentTime = next;
+      }
+    };
+
+    const tick = (now) => {
+      frame = requestAnimationFrame(tick);
+      const elapsed = (now - last) / 1000;
+      last = now;
+
+      if (rate < 0) {
+        rewind(elapsed);
+        return;
+      }
+
+      if (emulated) {
+        const { piece } = emulated;
+        if (piece.mode === 'reverse') {
+          const next = video.currentTime - elapsed * piece.speed * speed;
+          if (next <= piece.start) {
+            finish(piece);
+          } else {
+            video.currentTime = next;
+          }
+        } else if ((now - emulated.startedAt) / 1000 >= emulated.hold) {
+          finish(piece);
+        }
+        return;
+      }
+
+      const cut = getRippleCutAt(clip, video.currentTime);
+      if (cut) {
+        video.currentTime = cut.end;
+        return;
+      }
+
+      const piece = getPieceAt(clip, video.currentTime);
+      if (piece && piece.mode !== 'normal' && piece.mode !== 'speed') {
+        hold();
+        video.playbackRate = 1;
+        emulated = { piece, startedAt: now, hold: (piece.mode === 'gap' ? piece.end - piece.start : piece.hold) / speed };
+        video.currentTime = piece.mode === 'reverse' ? piece.end : piece.start;
+        setBlank(piece.mode === 'gap');
+        return;
+      }
+      const playbackRate = Math.min((piece?.mode === 'speed' ? piece.speed : 1) * speed, MAX_PLAYBACK_RATE);
+      if (video.playbackRate !== playbackRate) {
+        video.playbackRate = playbackRate;
+      }
+    };
+
+    if (rate < 0) {
+      hold();
+    } else if (video.paused) {
+      video.play().catch(() => onStopRef.current?.());
+    }
+    frame = requestAnimationFrame(tick);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      video.playbackRate = 1;
+    };
+  }, [videoRef, clip, rate]);
+
+  return { blank, holdingRef };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { getKeyName, getKeymap } from '../utils/shortcuts';
+
+const TEXT_FIELDS = 'input[type="text"], input[type="number"], input:not([type]), textarea, select';
+
+// Calls handlers[actionId] for keys bound in bindings. Text fields keep their
+// keys, including their own native undo, and a focused slider keeps the
+// arrow keys. Switched off while enabled is false, e.g. while a key is being
+// recorded for a new binding.
+export default function useShortcuts(bindings, handlers, enabled = true) {
+  const keymap = useMemo(() => getKeymap(bindings), [bindings]);
+  // Handlers close over the latest render, so the listener reads them late
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!enabled) return;
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.(TEXT_FIELDS)) return;
+      if (e.target.matches?.('input[type="range"]') && e.key.startsWith('Arrow')) return;
+      const keyName = getKeyName(e);
+      const handler = keyName && handlersRef.current[keymap.get(keyName)];
+      if (!handler) return;
+      e.preventDefault();
+      handler(e);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [keymap, enabled]);
+}
@@ -2,9 +2,23 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { getCoreAssetURLs } from './utils/ffmpegCore'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>,
 )
+
+// Dev builds serve unhashed modules that change on every edit, so the
+// offline cache is only worth having in production
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => {
+        registration.active?.postMessage({ type: 'precache', urls: getCoreAssetURLs() })
+      })
+      .catch((err) => console.warn('Service worker registration failed:', err))
+  })
+}
@@ -0,0 +1,73 @@
+// Keeps the editor usable offline: the app shell is served network-first so
+// deploys show up, while hashed build assets and the FFmpeg core (tens of
+// megabytes of WASM) are served cache-first.
+//
+// The build fills in the placeholders below (see vite.config.js): the cache
+// is named after a hash of the emitted files, so each deploy starts a fresh
+// one and the old hashed assets go with the old cache, and the app's files
+// are stored on install, since the first load fetches them before this
+// worker controls the page.
+const CACHE_NAME = 'pro-video-editor-__BUILD_HASH__';
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE_URLS)).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The FFmpeg core is left out of the install, as there are two builds of
+// it; the page asks for the ones it can use
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'precache') {
+    event.waitUntil(
+      caches.open(CACHE_NAME).then(async (cache) => {
+        for (const url of event.data.urls) {
+          if (!(await cache.match(url))) {
+            await cache.add(url).catch((err) => console.warn('Precache failed:', url, err));
+          }
+        }
+      })
+    );
+  }
+});
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('/', response.clone());
+    return response;
+  } catch {
+    return (await cache.match('/')) || Response.error();
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,81 @@
+export const DEFAULT_AUDIO_MIX = {
+  sourceVolume: 1,
+  musicVolume: 0.5,
+  musicStart: 0,
+  fadeIn: 0,
+  fadeOut: 0,
+  ducking: false,
+  loudnorm: false
+};
+
+let trackCounter = 0;
+
+export const createMusicTrack = (file, metadata) => ({
+  id: `music-${Date.now()}-${trackCounter++}`,
+  file,
+  url: URL.createObjectURL(file),
+  name: file.name,
+  size: file.size,
+  type: file.type,
+  hash: metadata.hash,
+  duration: metadata.duration,
+  missing: false
+});
+
+// Whether the render needs an audio filter graph at all; a plain export
+// keeps the source audio untouched
+export const isAudioMixActive = (mix, music) =>
+  Boolean(music) || mix.sourceVolume !== 1 || mix.fadeIn > 0 || mix.fadeOut > 0 || mix.loudnorm;
+
+// Fades are capped at half the segment so a short clip never has its fade
+// in and fade out overlapping
+export const getFadeFilters = (length, fadeIn, fadeOut) => {
+  const inLength = Math.min(fadeIn, length / 2);
+  const outLength = Math.min(fadeOut, length / 2);
+  const filters = [];
+  if (inLength > 0) {
+    filters.push(`afade=t=in:st=0:d=${inLength.toFixed(3)}`);
+  }
+  if (outLength > 0) {
+    filters.push(`afade=t=out:st=${(length - outLength).toFixed(3)}:d=${outLength.toFixed(3)}`);
+  }
+  return filters;
+};
+
+// Filter chains taking the joined source audio and the (already looped and
+// cut) music input to a single [aout] stream
+export const getAudioMixChains = ({ sourceLabel, musicLabel, mix, duration }) => {
+  const chains = [`[${sourceLabel}]volume=${mix.sourceVolume}[avoice]`];
+  let mixed = 'avoice';
+
+  if (musicLabel) {
+    const musicFilters = [
+      'asetpts=PTS-STARTPTS',
+      'aresample=48000',
+      'aformat=channel_layouts=stereo',
+      `volume=${mix.musicVolume}`,
+      ...getFadeFilters(duration, mix.fadeIn, mix.fadeOut)
+    ];
+    chains.push(`[${musicLabel}]${musicFilters.join(',')}[amusic]`);
+
+    // amix halves each input, so the sum is brought back up afterwards
+    if (mix.ducking) {
+      // The voice keys a compressor on the music, pulling it down under speech
+      chains.push('[avoice]asplit=2[avoicemix][avoicekey]');
+      chains.push('[amusic][avoicekey]sidechaincompress=threshold=0.03:ratio=8:attack=20:release=400[aducked]');
+      chains.push('[avoicemix][aducked]amix=inputs=2:duration=first:dropout_transition=0,volume=2[amixed]');
+    } else {
+      chains.push('[avoice][amusic]amix=inputs=2:duration=first:dropout_transition=0,volume=2[amixed]');
+    }
+    mixed = 'amixed';
+  }
+
+  if (mix.loudnorm) {
+    // Single-pass EBU R128 at the common streaming target; loudnorm works at
+    // 192 kHz internally, so the output is resampled back down
+    chains.push(`[${mixed}]loudnorm=I=-16:TP=-1.5:LRA=11,aresample=48000[aout]`);
+  } else {
+    chains.push(`[${mixed}]anull[aout]`);
+  }
+  return chains;
+};
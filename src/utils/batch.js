@@ -0,0 +1,102 @@
+import { DEFAULT_AUDIO_MIX } from './audio';
+import { getCropPixels, getOrientedSize, isCropActive, normalizeRotation } from './crop';
+import { isGradeActive } from './color';
+import { isLensActive } from './correction';
+import { describePreset } from './exportPresets';
+import { REFRAME_MODES } from './reframe';
+import { DEFAULT_TRANSITIONS, NO_BUMPERS } from './sequence';
+
+// The parts of an edit that mean the same thing for any file: crop is kept
+// as percentages, so it lands in the same place whatever the frame size
+export const RECIPE_KEYS = ['flipHorizontal', 'flipVertical', 'rotation', 'correction', 'grade', 'cropSettings', 'audioMode', 'audioMix'];
+
+let batchCounter = 0;
+
+export const createBatchId = () => `batch-${Date.now()}-${batchCounter++}`;
+
+export const createBatchItem = (file, path = file.name) => ({
+  id: `batch-item-${Date.now()}-${batchCounter++}`,
+  file,
+  path,
+  status: 'reading',
+  metadata: null,
+  error: null
+});
+
+export const createRecipe = (edit, preset, aspectRatio) => ({
+  ...Object.fromEntries(RECIPE_KEYS.map((key) => [key, edit[key]])),
+  // Music belongs to the project, so only the source volume and fades carry over
+  audioMix: { ...DEFAULT_AUDIO_MIX, sourceVolume: edit.audioMix.sourceVolume, fadeIn: edit.audioMix.fadeIn, fadeOut: edit.audioMix.fadeOut, loudnorm: edit.audioMix.loudnorm },
+  // Pan keyframes are timed to one project's timeline, so a batch pans to
+  // the window's resting place instead
+  reframe: { ...edit.reframe, keyframes: [] },
+  aspectSizes: edit.aspectSizes,
+  preset: { ...preset },
+  aspectRatio
+});
+
+// A whole-file, single-clip edit with the recipe applied, in the shape the
+// render queue snapshots from the editor
+export const getBatchEdit = (recipe, item) => {
+  const { duration, width, height, fps, hash } = item.metadata;
+  const frame = getOrientedSize(width, height, recipe.rotation);
+  return {
+    clips: [{
+      id: item.id,
+      file: item.file,
+      url: '',
+      name: item.file.name,
+      size: item.file.size,
+      type: item.file.type,
+      hash,
+      duration,
+      width,
+      height,
+      fps,
+      trimStart: 0,
+      trimEnd: duration,
+      retimes: [],
+      splits: [],
+      cuts: [],
+      missing: false
+    }],
+    bumpers: NO_BUMPERS,
+    transitions: DEFAULT_TRANSITIONS,
+    flipHorizontal: recipe.flipHorizontal,
+    flipVertical: recipe.flipVertical,
+    rotation: recipe.rotation,
+    cropSettings: recipe.cropSettings,
+    cropPixels: getCropPixels(recipe.cropSettings, frame.width, frame.height),
+    correction: recipe.correction,
+    grade: recipe.grade,
+    audioMode: recipe.audioMode,
+    audioMix: recipe.audioMix,
+    music: null,
+    subtitleCues: [],
+    subtitleMode: 'burn',
+    overlays: [],
+    reframe: recipe.reframe,
+    aspectSizes: recipe.aspectSizes
+  };
+};
+
+export const describeRecipe = (recipe) => [
+  ...(normalizeRotation(recipe.rotation) ? [`rotate ${normalizeRotation(recipe.rotation)}°`] : []),
+  ...(recipe.flipHorizontal ? ['flip H'] : []),
+  ...(recipe.flipVertical ? ['flip V'] : []),
+  ...(recipe.correction.stabilise ? ['stabilise'] : []),
+  ...(isLensActive(recipe.correction) ? ['lens correction'] : []),
+  ...(isCropActive(recipe.cropSettings) ? ['crop'] : []),
+  ...(isGradeActive(recipe.grade) ? ['color grade'] : []),
+  ...(recipe.aspectRatio !== 'original' ? [recipe.aspectRatio, REFRAME_MODES.find((mode) => mode.id === recipe.reframe.mode).label.toLowerCase()] : []),
+  ...(recipe.audioMode !== 'stereo' ? [recipe.audioMode] : []),
+  describePreset(recipe.preset)
+].join(' • ');
+
+// Counts of a batch's render jobs by status
+export const getBatchProgress = (jobs) => ({
+  total: jobs.length,
+  done: jobs.filter((job) => job.status === 'done').length,
+  failed: jobs.filter((job) => job.status === 'error' || job.status === 'cancelled').length,
+  pending: jobs.filter((job) => job.status === 'queued' || job.status === 'rendering').length
+});
@@ -0,0 +1,138 @@
+import { DEFAULT_FPS, snapToFrame } from './time';
+import { sourceToOutput } from './retime';
+import { getSequence, getSequenceDuration, getSequenceOffset } from './sequence';
+
+let clipCounter = 0;
+
+export const createClip = (file, metadata) => ({
+  id: `clip-${Date.now()}-${clipCounter++}`,
+  file,
+  url: URL.createObjectURL(file),
+  name: file.name,
+  size: file.size,
+  type: file.type,
+  hash: metadata.hash,
+  duration: metadata.duration,
+  width: metadata.width,
+  height: metadata.height,
+  fps: metadata.fps,
+  trimStart: 0,
+  trimEnd: metadata.duration,
+  retimes: [],
+  splits: [],
+  cuts: [],
+  missing: false
+});
+
+// A clip restored from a project whose source file has not been picked yet
+export const createMissingClip = (media) => ({
+  ...media,
+  file: null,
+  url: '',
+  missing: true
+});
+
+export const relinkClip = (clip, file) => ({
+  ...clip,
+  file,
+  url: URL.createObjectURL(file),
+  missing: false
+});
+
+// Trim points are stored in source seconds, snapped to the clip's frames
+export const getClipRange = (clip) => {
+  const start = clip.trimStart;
+  const end = Math.min(clip.trimEnd, clip.duration);
+  return { start, end, length: Math.max(0, end - start) };
+};
+
+export const clampTrim = (clip, patch) => {
+  const fps = clip.fps || DEFAULT_FPS;
+  const frame = 1 / fps;
+  const next = { ...clip, ...patch };
+  if ('trimStart' in patch) {
+    next.trimStart = Math.min(Math.max(0, snapToFrame(next.trimStart, fps)), next.trimEnd - frame);
+  }
+  if ('trimEnd' in patch) {
+    next.trimEnd = Math.max(Math.min(clip.duration, snapToFrame(next.trimEnd, fps)), next.trimStart + frame);
+  }
+  return { trimStart: next.trimStart, trimEnd: next.trimEnd };
+};
+
+// Timeline lengths are output lengths, after any speed changes and holds,
+// with the bumpers around the clips and less the overlap of transitions
+export const getTimelineDuration = (edit) =>
+  getSequenceDuration(getSequence(edit), edit.transitions);
+
+// Split points divide the trimmed clip into segments; a segment is removed
+// while a cut covers it. Each helper returns a patch for the clip.
+export const getClipSegments = (clip) => {
+  const splits = (clip.splits || []).filter((time) => time > clip.trimStart && time < clip.trimEnd);
+  const bounds = [clip.trimStart, ...splits, clip.trimEnd];
+  return bounds.slice(1).map((end, i) => {
+    const start = bounds[i];
+    const cut = (clip.cuts || []).find((c) => c.start <= start && c.end >= end) || null;
+    return { start, end, cut };
+  });
+};
+
+export const splitClip = (clip, time) => {
+  const at = snapToFrame(time, clip.fps || DEFAULT_FPS);
+  const splits = clip.splits || [];
+  if (at <= clip.trimStart || at >= clip.trimEnd || splits.includes(at)) return null;
+  // A cut segment split in two stays cut on both sides
+  const cuts = (clip.cuts || []).flatMap((cut) => (at > cut.start && at < cut.end
+    ? [{ ...cut, end: at }, { ...cut, start: at }]
+    : [cut]));
+  return { splits: [...splits, at].sort((a, b) => a - b), cuts };
+};
+
+// Removes the split, so the segments on either side become one; they only
+// stay cut if both were
+export const joinSegments = (clip, time) => {
+  const before = (clip.cuts || []).find((cut) => cut.end === time);
+  const after = (clip.cuts || []).find((cut) => cut.start === time);
+  const others = (clip.cuts || []).filter((cut) => cut !== before && cut !== after);
+  const merged = before && after && before.ripple === after.ripple ? [{ ...before, end: after.end }] : [];
+  return { splits: (clip.splits || []).filter((split) => split !== time), cuts: [...others, ...merged] };
+};
+
+const withoutSegment = (clip, segment) =>
+  (clip.cuts || []).filter((cut) => cut.end <= segment.start || cut.start >= segment.end);
+
+export const cutSegment = (clip, segment, ripple) => ({
+  cuts: [...withoutSegment(clip, segment), { start: segment.start, end: segment.end, ripple }]
+});
+
+export const restoreSegment = (clip, segment) => ({ cuts: withoutSegment(clip, segment) });
+
+export const moveClip = (clips, fromIndex, toIndex) => {
+  const next = [...clips];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+// Every clip is scaled and padded into the first clip's frame, and resampled
+// to its frame rate, so concat gets matching inputs; dimensions must be even
+// for yuv420p.
+export const getConcatTarget = (clips) => {
+  const first = clips[0];
+  const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+  return {
+    width: even(first?.width || 1920),
+    height: even(first?.height || 1080),
+    fps: first?.fps || DEFAULT_FPS
+  };
+};
+
+// Subtitles and other timeline-wide edits are timed against the joined
+// output, so the preview playhead has to be mapped out of clip source time.
+export const getClipOffset = (edit, clipId) =>
+  getSequenceOffset(getSequence(edit), edit.transitions, clipId);
+
+export const toTimelineTime = (edit, clipId, sourceTime) => {
+  const clip = edit.clips.find((c) => c.id === clipId);
+  if (!clip) return 0;
+  return getClipOffset(edit, clipId) + sourceToOutput(clip, sourceTime);
+};
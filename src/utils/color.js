@@ -0,0 +1,83 @@
+export const DEFAULT_GRADE = {
+  brightness: 0,
+  contrast: 1,
+  saturation: 1,
+  gamma: 1,
+  temperature: 0,
+  tint: 0,
+  sharpen: 0,
+  blur: 0,
+  denoise: 0,
+  lut: null
+};
+
+export const isGradeActive = (grade) =>
+  Object.keys(DEFAULT_GRADE).some((key) => grade[key] !== DEFAULT_GRADE[key]);
+
+// White balance is expressed as midtone shifts, which is what colorbalance
+// exposes: warmer adds red and removes blue, tint trades green for magenta
+export const getColorBalance = (grade) => ({
+  red: grade.temperature * 0.3,
+  green: -grade.tint * 0.3,
+  blue: -grade.temperature * 0.3
+});
+
+// Spatial filters run on the source first and colour after, the same order
+// the preview shader uses
+export const getGradeFilters = (grade, lutName = 'grade.cube') => {
+  const filters = [];
+  if (grade.denoise > 0) {
+    filters.push(`hqdn3d=${grade.denoise}`);
+  }
+  if (grade.blur > 0) {
+    filters.push(`gblur=sigma=${grade.blur}`);
+  }
+  if (grade.sharpen > 0) {
+    filters.push(`unsharp=5:5:${grade.sharpen}`);
+  }
+  if (grade.brightness !== 0 || grade.contrast !== 1 || grade.saturation !== 1 || grade.gamma !== 1) {
+    filters.push(`eq=brightness=${grade.brightness}:contrast=${grade.contrast}:saturation=${grade.saturation}:gamma=${grade.gamma}`);
+  }
+  if (grade.temperature !== 0 || grade.tint !== 0) {
+    const { red, green, blue } = getColorBalance(grade);
+    filters.push(`colorbalance=rm=${red.toFixed(3)}:gm=${green.toFixed(3)}:bm=${blue.toFixed(3)}`);
+  }
+  if (grade.lut) {
+    filters.push(`lut3d=file=${lutName}`);
+  }
+  return filters;
+};
+
+// Parses an Adobe/Resolve .cube 3D LUT; the red index varies fastest, which
+// is also the x-then-y-then-z order a 3D texture is uploaded in
+export const parseCubeLut = (text) => {
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith('TITLE')) continue;
+    const parts = line.split(/\s+/);
+    if (parts[0] === 'LUT_1D_SIZE') {
+      throw new Error('1D LUTs are not supported; export a 3D .cube instead.');
+    } else if (parts[0] === 'LUT_3D_SIZE') {
+      size = Number(parts[1]);
+    } else if (parts[0] === 'DOMAIN_MIN') {
+      domainMin = parts.slice(1, 4).map(Number);
+    } else if (parts[0] === 'DOMAIN_MAX') {
+      domainMax = parts.slice(1, 4).map(Number);
+    } else if (/^[-+.\d]/.test(parts[0])) {
+      values.push(...parts.slice(0, 3).map(Number));
+    }
+  }
+
+  if (!size) {
+    throw new Error('Not a 3D .cube LUT: LUT_3D_SIZE is missing.');
+  }
+  if (values.length !== size * size * size * 3 || values.some(Number.isNaN)) {
+    throw new Error(`LUT should have ${size ** 3} entries but has ${Math.floor(values.length / 3)}.`);
+  }
+  return { size, domainMin, domainMax, data: new Float32Array(values) };
+};
@@ -0,0 +1,14 @@
+// Shell-quotes ffmpeg arguments so a logged command can be pasted into a
+// terminal as-is.
+export const formatCommand = (args) =>
+  args
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`))
+    .join(' ');
+
+// A render plan's arguments with each source under its own file name, so the
+// same render can be run with desktop ffmpeg next to the originals. Generated
+// files such as LUTs and subtitles keep the names the plan gives them.
+export const getDesktopArgs = (plan) => {
+  const names = new Map(plan.files.filter((file) => file.file?.name).map((file) => [file.name, file.file.name]));
+  return plan.args.map((arg) => names.get(arg) ?? arg);
+};
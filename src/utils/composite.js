@@ -0,0 +1,163 @@
+export const COMPOSITE_LAYOUTS = [
+  { id: 'pip', label: 'Picture in Picture' },
+  { id: 'side', label: 'Side by Side' },
+  { id: 'stack', label: 'Top & Bottom' }
+];
+
+export const COMPOSITE_AUDIO = [
+  { id: 'main', label: 'Main' },
+  { id: 'second', label: 'Second' },
+  { id: 'both', label: 'Both' }
+];
+
+// The second source is laid onto the edited (cropped) frame, which keeps its
+// size. x and y place the picture-in-picture window's top-left corner and
+// width sizes the video in it, all as shares of the frame; border and radius
+// are frame pixels. split is the main source's share of a side-by-side or
+// top-and-bottom frame, and swap puts the second source first. offset is
+// where the second source starts, counted from the start of the clips (after
+// any intro bumper), negative to join it partway in.
+export const DEFAULT_COMPOSITE = {
+  layout: 'pip',
+  x: 0.7,
+  y: 0.65,
+  width: 0.25,
+  border: 4,
+  borderColor: '#ffffff',
+  radius: 16,
+  split: 0.5,
+  swap: false,
+  offset: 0,
+  audio: 'main'
+};
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), Math.max(min, max));
+
+// The window in frame pixels: the scaled video inside the border, and the
+// bordered box, kept inside the frame
+export const getPipRect = ({ x, y, width, border }, frame, source) => {
+  const innerWidth = even(frame.width * width);
+  const innerHeight = even((innerWidth * source.height) / source.width);
+  const outerWidth = innerWidth + border * 2;
+  const outerHeight = innerHeight + border * 2;
+  return {
+    x: clamp(Math.round(x * frame.width), 0, frame.width - outerWidth),
+    y: clamp(Math.round(y * frame.height), 0, frame.height - outerHeight),
+    innerWidth,
+    innerHeight,
+    outerWidth,
+    outerHeight
+  };
+};
+
+// A window position from a drag, as shares of the frame and kept inside it
+export const clampPipPosition = (composite, frame, source, { x, y }) => {
+  const rect = getPipRect(composite, frame, source);
+  return {
+    x: clamp(x, 0, (frame.width - rect.outerWidth) / frame.width),
+    y: clamp(y, 0, (frame.height - rect.outerHeight) / frame.height)
+  };
+};
+
+// Where each source goes in a split frame. The main source keeps its scale
+// and loses its edges to a centred crop (cropX, cropY); the second is
+// scaled to cover its part.
+export const getSplitRects = ({ layout, split, swap }, frame) => {
+  const across = layout === 'side';
+  const length = across ? frame.width : frame.height;
+  const mainLength = clamp(even(length * split), 2, length - 2);
+  const secondLength = length - mainLength;
+  const mainStart = swap ? secondLength : 0;
+  const secondStart = swap ? 0 : mainLength;
+  const part = (start, size) => (across
+    ? { x: start, y: 0, width: size, height: frame.height }
+    : { x: 0, y: start, width: frame.width, height: size });
+  const main = part(mainStart, mainLength);
+  return {
+    main: {
+      ...main,
+      cropX: Math.floor((frame.width - main.width) / 4) * 2,
+      cropY: Math.floor((frame.height - main.height) / 4) * 2
+    },
+    second: part(secondStart, secondLength)
+  };
+};
+
+// An alpha mask outside a circle of the radius at each corner
+const getRoundedCornerFilter = (radius) => {
+  const corner = `if(lte(hypot(${radius}-(W/2-abs(W/2-X)),${radius}-(H/2-abs(H/2-Y))),${radius}),255,0)`;
+  return `geq=lum='p(X,Y)':cb='p(X,Y)':cr='p(X,Y)':a='if(gt(abs(W/2-X),W/2-${radius})*gt(abs(H/2-Y),H/2-${radius}),${corner},255)'`;
+};
+
+// A negative offset starts the second source partway in, with input seeking
+export const getCompositeInputArgs = ({ offset }, inputName) => [
+  ...(offset < 0 ? ['-ss', (-offset).toFixed(3)] : []),
+  '-i', inputName
+];
+
+// Chains laying input secondInput onto the frame in sourceLabel, as long as
+// the timeline (duration) and ending in outputLabel. frame is the size of
+// that frame and source the second source's size.
+export const getCompositeChains = ({ sourceLabel, secondInput, composite, frame, source, duration, outputLabel }) => {
+  const lead = Math.max(composite.offset, 0).toFixed(3);
+  if (composite.layout === 'pip') {
+    const rect = getPipRect(composite, frame, source);
+    const radius = Math.min(composite.radius, Math.floor(Math.min(rect.outerWidth, rect.outerHeight) / 2));
+    const window = [
+      `scale=${rect.innerWidth}:${rect.innerHeight}`,
+      'setsar=1',
+      'format=yuva420p',
+      ...(composite.border > 0 ? [`pad=${rect.outerWidth}:${rect.outerHeight}:${composite.border}:${composite.border}:color=${composite.borderColor}`] : []),
+      ...(radius > 0 ? [getRoundedCornerFilter(radius)] : []),
+      // Shifted to start at the offset; the frame shows through before it
+      // starts and after it ends
+      `setpts=PTS-STARTPTS+${lead}/TB`
+    ];
+    return [
+      `[${secondInput}:v]${window.join(',')}[composite_pip]`,
+      `[${sourceLabel}][composite_pip]overlay=${rect.x}:${rect.y}:eof_action=pass[${outputLabel}]`
+    ];
+  }
+
+  // Stacking needs a frame from both sides all the way, so the second
+  // source is padded with black before it starts and holds its last frame
+  const { main, second } = getSplitRects(composite, frame);
+  const parts = ['[composite_main]', '[composite_second]'];
+  return [
+    `[${sourceLabel}]crop=${main.width}:${main.height}:${main.cropX}:${main.cropY},setsar=1,format=yuv420p[composite_main]`,
+    `[${secondInput}:v]${[
+      `scale=${second.width}:${second.height}:force_original_aspect_ratio=increase`,
+      `crop=${second.width}:${second.height}`,
+      'setsar=1',
+      'format=yuv420p',
+      'setpts=PTS-STARTPTS',
+      `tpad=start_duration=${lead}:stop_mode=clone:stop_duration=${duration.toFixed(3)}`
+    ].join(',')}[composite_second]`,
+    `${(composite.swap ? parts.reverse() : parts).join('')}${composite.layout === 'side' ? 'hstack' : 'vstack'}=inputs=2:shortest=1[${outputLabel}]`
+  ];
+};
+
+// The timeline's sound when the second source's audio is picked: alone, or
+// mixed with the main audio in sourceLabel, delayed to the offset and cut to
+// the timeline either way. Alone, the main audio still has to go somewhere,
+// as ffmpeg refuses a graph with an output left unconnected.
+export const getCompositeAudioChains = ({ sourceLabel, secondInput, composite, duration, outputLabel }) => {
+  const delay = Math.round(Math.max(composite.offset, 0) * 1000);
+  const second = [
+    'asetpts=PTS-STARTPTS',
+    'aresample=48000',
+    'aformat=channel_layouts=stereo',
+    ...(delay > 0 ? [`adelay=${delay}:all=1`] : []),
+    'apad',
+    `atrim=duration=${duration.toFixed(3)}`
+  ].join(',');
+  if (composite.audio === 'second') {
+    return [`[${sourceLabel}]anullsink`, `[${secondInput}:a]${second}[${outputLabel}]`];
+  }
+  return [
+    `[${secondInput}:a]${second}[composite_audio]`,
+    `[${sourceLabel}][composite_audio]amix=inputs=2:duration=first:normalize=0[${outputLabel}]`
+  ];
+};
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_COMPOSITE,
+  clampPipPosition,
+  getCompositeAudioChains,
+  getCompositeChains,
+  getCompositeInputArgs,
+  getPipRect,
+  getSplitRects
+} from './composite';
+
+const frame = { width: 1920, height: 1080 };
+const source = { width: 1280, height: 720 };
+
+describe('getPipRect', () => {
+  it('sizes the window from the frame and keeps it inside', () => {
+    expect(getPipRect(DEFAULT_COMPOSITE, frame, source)).toEqual({
+      x: 1344,
+      y: 702,
+      innerWidth: 480,
+      innerHeight: 270,
+      outerWidth: 488,
+      outerHeight: 278
+    });
+    const rect = getPipRect({ ...DEFAULT_COMPOSITE, x: 0.9, y: 0.9 }, frame, source);
+    expect([rect.x, rect.y]).toEqual([1432, 802]);
+  });
+
+  it('clamps a dragged position to the frame', () => {
+    expect(clampPipPosition(DEFAULT_COMPOSITE, frame, source, { x: -0.2, y: 2 })).toEqual({ x: 0, y: (1080 - 278) / 1080 });
+  });
+});
+
+describe('getSplitRects', () => {
+  it('centre-crops the main source and gives the second the rest', () => {
+    expect(getSplitRects({ layout: 'side', split: 0.5, swap: false }, frame)).toEqual({
+      main: { x: 0, y: 0, width: 960, height: 1080, cropX: 480, cropY: 0 },
+      second: { x: 960, y: 0, width: 960, height: 1080 }
+    });
+    const { main, second } = getSplitRects({ layout: 'stack', split: 0.6, swap: true }, frame);
+    expect(main).toEqual({ x: 0, y: 432, width: 1920, height: 648, cropX: 0, cropY: 216 });
+    expect(second).toEqual({ x: 0, y: 0, width: 1920, height: 432 });
+  });
+});
+
+describe('getCompositeChains', () => {
+  it('overlays a bordered window from the offset on', () => {
+    const composite = { ...DEFAULT_COMPOSITE, radius: 0, offset: 2 };
+    expect(getCompositeChains({ sourceLabel: 'vframe', secondInput: 2, composite, frame, source, duration: 10, outputLabel: 'vcomposite' })).toEqual([
+      '[2:v]scale=480:270,setsar=1,format=yuva420p,pad=488:278:4:4:color=#ffffff,setpts=PTS-STARTPTS+2.000/TB[composite_pip]',
+      '[vframe][composite_pip]overlay=1344:702:eof_action=pass[vcomposite]'
+    ]);
+    expect(getCompositeInputArgs(composite, 'second.mp4')).toEqual(['-i', 'second.mp4']);
+    expect(getCompositeInputArgs({ offset: -1.5 }, 'second.mp4')).toEqual(['-ss', '1.500', '-i', 'second.mp4']);
+  });
+
+  it('stacks the sources in the order swap asks for', () => {
+    const composite = { ...DEFAULT_COMPOSITE, layout: 'stack', swap: true };
+    const chains = getCompositeChains({ sourceLabel: 'vframe', secondInput: 1, composite, frame, source, duration: 10, outputLabel: 'vcomposite' });
+    expect(chains[0]).toBe('[vframe]crop=1920:540:0:270,setsar=1,format=yuv420p[composite_main]');
+    expect(chains[2]).toBe('[composite_second][composite_main]vstack=inputs=2:shortest=1[vcomposite]');
+  });
+});
+
+describe('getCompositeAudioChains', () => {
+  it('delays the second source to the offset and mixes or replaces the main audio', () => {
+    const options = { sourceLabel: 'amain', secondInput: 1, duration: 10, outputLabel: 'acomposite' };
+    expect(getCompositeAudioChains({ ...options, composite: { ...DEFAULT_COMPOSITE, offset: 0.25, audio: 'second' } })).toEqual([
+      '[amain]anullsink',
+      '[1:a]asetpts=PTS-STARTPTS,aresample=48000,aformat=channel_layouts=stereo,adelay=250:all=1,apad,atrim=duration=10.000[acomposite]'
+    ]);
+    expect(getCompositeAudioChains({ ...options, composite: { ...DEFAULT_COMPOSITE, audio: 'both' } })[1]).toBe(
+      '[amain][composite_audio]amix=inputs=2:duration=first:normalize=0[acomposite]'
+    );
+  });
+});
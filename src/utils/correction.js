@@ -0,0 +1,109 @@
+import { getFileExtension } from './media';
+
+// strength runs 0-1 and sets both how much shake is looked for and how
+// smooth the camera path becomes; zoom is a percentage that hides the
+// borders a steadied frame moves away from. k1 and k2 are lenscorrection's
+// radial coefficients, negative for the barrel of a wide lens.
+export const DEFAULT_CORRECTION = { stabilise: false, strength: 0.5, zoom: 0, k1: 0, k2: 0 };
+
+export const LENS_PRESETS = [
+  { id: 'none', label: 'None', k1: 0, k2: 0 },
+  { id: 'phone', label: 'Phone Ultra-Wide', k1: -0.12, k2: 0.02 },
+  { id: 'action', label: 'Action Cam Wide', k1: -0.3, k2: 0.08 },
+  { id: 'superview', label: 'Action Cam SuperView', k1: -0.42, k2: 0.12 },
+  { id: 'fisheye', label: 'Fisheye', k1: -0.55, k2: 0.2 }
+];
+
+// Where vidstabdetect leaves the motion it found for vidstabtransform
+export const TRANSFORMS_NAME = 'transforms.trf';
+
+// Prints every filter the engine was built with
+export const FILTER_LIST_ARGS = ['-hide_banner', '-filters'];
+
+const CORRECTION_PREVIEW_WIDTH = 640;
+
+export const isLensActive = ({ k1, k2 }) => k1 !== 0 || k2 !== 0;
+
+export const isCorrectionActive = (correction) => correction.stabilise || isLensActive(correction);
+
+export const findLensPreset = ({ k1, k2 }) => LENS_PRESETS.find((preset) => preset.k1 === k1 && preset.k2 === k2) || null;
+
+// Filter names from the -filters listing, whose rows read
+// " TSC name  V->V  description" under a legend
+export const parseFilterList = (lines) =>
+  new Set(lines.map((line) => line.match(/^\s*[A-Z.|]{2,4}\s+(\w+)\s+\S*->\S*/)).filter(Boolean).map((match) => match[1]));
+
+// vidstab tracks motion over the whole range first and steadies far
+// better, but is an optional library; deshake is in every build
+export const getStabiliser = (correction, { vidstab = false } = {}) => {
+  if (!correction.stabilise) return null;
+  return vidstab ? 'vidstab' : 'deshake';
+};
+
+export const getLensFilters = (correction) =>
+  isLensActive(correction) ? [`lenscorrection=k1=${correction.k1}:k2=${correction.k2}`] : [];
+
+// The first of vidstab's two passes, which only writes TRANSFORMS_NAME
+export const getStabiliseDetectFilter = ({ strength }) =>
+  `vidstabdetect=shakiness=${1 + Math.round(strength * 9)}:accuracy=15:result=${TRANSFORMS_NAME}`;
+
+// The steadying filters for a stabiliser from getStabiliser. deshake has no
+// zoom of its own, so it crops and scales back to frameSize, the size of the
+// frame it is given.
+export const getStabiliseFilters = (correction, stabiliser, frameSize) => {
+  const { strength, zoom } = correction;
+  if (stabiliser === 'vidstab') {
+    // smoothing is how many frames either side the camera path averages
+    // over; vidstab suggests the unsharp to undo its interpolation
+    return [
+      `vidstabtransform=input=${TRANSFORMS_NAME}:smoothing=${5 + Math.round(strength * 40)}:optzoom=0:zoom=${zoom}`,
+      'unsharp=5:5:0.8:3:3:0.4'
+    ];
+  }
+  if (stabiliser === 'deshake') {
+    // deshake only takes search ranges in multiples of 16, up to 64
+    const range = 16 * (1 + Math.round(strength * 3));
+    const scale = 1 + zoom / 100;
+    return [
+      `deshake=rx=${range}:ry=${range}:edge=mirror`,
+      ...(zoom > 0 ? [`crop=iw/${scale}:ih/${scale}`, `scale=${frameSize.width}:${frameSize.height}`] : [])
+    ];
+  }
+  return [];
+};
+
+// A small render of the clip's trimmed range with only the corrections
+// applied, for comparing against the source in the preview. Like a render
+// plan, a vidstab run carries the analysis job whose output it reads.
+export const getCorrectionPreviewPlan = (clip, correction, engine) => {
+  const inputName = `correct.${getFileExtension(clip.name)}`;
+  const duration = clip.trimEnd - clip.trimStart;
+  const input = ['-ss', clip.trimStart.toFixed(3), '-t', duration.toFixed(3), '-i', inputName];
+  const files = [{ name: inputName, file: clip.file }];
+  const stabiliser = getStabiliser(correction, engine);
+  const filters = [
+    ...getLensFilters(correction),
+    ...getStabiliseFilters(correction, stabiliser, clip),
+    `scale=${CORRECTION_PREVIEW_WIDTH}:-2`
+  ];
+  const analysis = stabiliser !== 'vidstab' ? null : {
+    args: [...input, '-vf', [...getLensFilters(correction), getStabiliseDetectFilter(correction)].join(','), '-an', '-f', 'null', '-'],
+    files,
+    outputName: TRANSFORMS_NAME,
+    mimeType: 'text/plain',
+    duration
+  };
+  return {
+    args: [...input, '-vf', filters.join(','), '-an', '-c:v', 'libx264', '-preset', 'ultrafast', '-crf', '26', '-pix_fmt', 'yuv420p', 'corrected.mp4'],
+    files,
+    outputName: 'corrected.mp4',
+    mimeType: 'video/mp4',
+    duration,
+    analysis
+  };
+};
+
+// What a correction preview was made from; it is out of date once any of
+// this changes
+export const getCorrectionPreviewKey = (clip, correction) =>
+  JSON.stringify([clip.id, clip.trimStart, clip.trimEnd, correction]);
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_CORRECTION,
+  findLensPreset,
+  getCorrectionPreviewKey,
+  getCorrectionPreviewPlan,
+  getStabiliseFilters,
+  getStabiliser,
+  isCorrectionActive,
+  parseFilterList
+} from './correction';
+
+const clip = {
+  id: 'clip',
+  file: { name: 'walk.mp4' },
+  name: 'walk.mp4',
+  width: 1920,
+  height: 1080,
+  trimStart: 2,
+  trimEnd: 7
+};
+
+describe('parseFilterList', () => {
+  it('reads filter names and skips the legend', () => {
+    const lines = [
+      'Filters:',
+      '  T.. = Timeline support',
+      '  ... = Source or sink filter',
+      ' ... deshake           V->V       Stabilize shaky video.',
+      ' T.. lenscorrection    V->V       Rectify the image by correcting for lens distortion.',
+      ' ... vidstabdetect     V->V       Extract relative transformations, pass 1 of 2 for stabilization.',
+      ' ... nullsink          V->|       Do absolutely nothing with the input video.'
+    ];
+    expect([...parseFilterList(lines)]).toEqual(['deshake', 'lenscorrection', 'vidstabdetect', 'nullsink']);
+  });
+});
+
+describe('stabilisation', () => {
+  const correction = { ...DEFAULT_CORRECTION, stabilise: true, strength: 1, zoom: 0 };
+
+  it('prefers vidstab and falls back to deshake', () => {
+    expect(getStabiliser(correction, { vidstab: true })).toBe('vidstab');
+    expect(getStabiliser(correction, {})).toBe('deshake');
+    expect(getStabiliser(DEFAULT_CORRECTION, { vidstab: true })).toBeNull();
+  });
+
+  it('keeps deshake\'s search range to multiples of 16', () => {
+    for (let strength = 0; strength <= 1; strength += 0.05) {
+      const [filter] = getStabiliseFilters({ ...correction, strength }, 'deshake', clip);
+      const range = Number(filter.match(/rx=(\d+)/)[1]);
+      expect(range % 16).toBe(0);
+      expect(range).toBeGreaterThanOrEqual(16);
+      expect(range).toBeLessThanOrEqual(64);
+    }
+  });
+
+  it('only zooms deshake back to the frame size it was given when asked', () => {
+    expect(getStabiliseFilters(correction, 'deshake', clip)).toEqual(['deshake=rx=64:ry=64:edge=mirror']);
+    expect(getStabiliseFilters({ ...correction, zoom: 5 }, 'vidstab', clip)[0]).toBe('vidstabtransform=input=transforms.trf:smoothing=45:optzoom=0:zoom=5');
+  });
+
+  it('counts a lens or stabilisation as a correction', () => {
+    expect(isCorrectionActive(DEFAULT_CORRECTION)).toBe(false);
+    expect(isCorrectionActive({ ...DEFAULT_CORRECTION, k1: -0.1 })).toBe(true);
+    expect(findLensPreset({ k1: -0.3, k2: 0.08 }).id).toBe('action');
+    expect(findLensPreset({ k1: -0.31, k2: 0.08 })).toBeNull();
+  });
+});
+
+describe('getCorrectionPreviewPlan', () => {
+  it('renders the trimmed range with only the corrections, analysing it first for vidstab', () => {
+    const correction = { ...DEFAULT_CORRECTION, stabilise: true, k1: -0.12, k2: 0.02 };
+    const plan = getCorrectionPreviewPlan(clip, correction, { vidstab: true });
+    expect(plan.args.slice(0, 8)).toEqual([
+      '-ss', '2.000', '-t', '5.000', '-i', 'correct.mp4',
+      '-vf', 'lenscorrection=k1=-0.12:k2=0.02,vidstabtransform=input=transforms.trf:smoothing=25:optzoom=0:zoom=0,unsharp=5:5:0.8:3:3:0.4,scale=640:-2'
+    ]);
+    expect(plan.analysis.args).toEqual([
+      '-ss', '2.000', '-t', '5.000', '-i', 'correct.mp4',
+      '-vf', 'lenscorrection=k1=-0.12:k2=0.02,vidstabdetect=shakiness=6:accuracy=15:result=transforms.trf',
+      '-an', '-f', 'null', '-'
+    ]);
+    expect(getCorrectionPreviewPlan(clip, correction, {}).analysis).toBeNull();
+  });
+
+  it('goes out of date when the trim or the correction changes', () => {
+    const key = getCorrectionPreviewKey(clip, DEFAULT_CORRECTION);
+    expect(getCorrectionPreviewKey({ ...clip }, { ...DEFAULT_CORRECTION })).toBe(key);
+    expect(getCorrectionPreviewKey({ ...clip, trimEnd: 6 }, DEFAULT_CORRECTION)).not.toBe(key);
+  });
+});
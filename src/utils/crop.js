@@ -0,0 +1,120 @@
+export const FULL_CROP = { x: 0, y: 0, width: 100, height: 100 };
+
+const MIN_CROP_SIZE = 5;
+
+export const CROP_ASPECT_LOCKS = {
+  free: null,
+  '16:9': 16 / 9,
+  '9:16': 9 / 16,
+  '1:1': 1,
+  '4:3': 4 / 3
+};
+
+export const isCropActive = (crop) =>
+  crop.x !== 0 || crop.y !== 0 || crop.width !== 100 || crop.height !== 100;
+
+// Clockwise quarter turns as 0, 90, 180 or 270, so a full turn (360) or a
+// negative angle maps to the turn it looks like
+export const normalizeRotation = (degrees) => (((Math.round((degrees || 0) / 90) * 90) % 360) + 360) % 360;
+
+// Rotation is applied before the crop, so the crop box lives in the rotated
+// frame; a quarter turn swaps its sides.
+export const getOrientedSize = (width, height, rotation) =>
+  normalizeRotation(rotation) % 180 === 90 ? { width: height, height: width } : { width, height };
+
+const NAMED_RATIOS = { '16:9': 16 / 9, '9:16': 9 / 16, '4:3': 4 / 3, '3:4': 3 / 4, '1:1': 1, '21:9': 21 / 9, '4:5': 4 / 5 };
+
+// A frame's shape as a familiar ratio name when it is close to one
+export const describeAspect = (width, height) => {
+  const ratio = width / height;
+  const named = Object.entries(NAMED_RATIOS).find(([, value]) => Math.abs(value - ratio) / value < 0.02);
+  return named ? named[0] : `${ratio.toFixed(2)}:1`;
+};
+
+export const fitSize = (width, height, maxWidth, maxHeight) => {
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+  return { width: width * scale, height: height * scale };
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const toEven = (value) => Math.round(value / 2) * 2;
+const floorEven = (value) => Math.floor(value / 2) * 2;
+
+// The crop rect in whole, even pixels of the oriented frame. Both the export
+// filter and the preview use this so they agree to the pixel.
+export const getCropPixels = (crop, frameWidth, frameHeight) => {
+  const width = clamp(toEven((frameWidth * crop.width) / 100), 2, floorEven(frameWidth));
+  const height = clamp(toEven((frameHeight * crop.height) / 100), 2, floorEven(frameHeight));
+  return {
+    x: clamp(toEven((frameWidth * crop.x) / 100), 0, floorEven(frameWidth - width)),
+    y: clamp(toEven((frameHeight * crop.y) / 100), 0, floorEven(frameHeight - height)),
+    width,
+    height
+  };
+};
+
+export const moveCrop = (start, dx, dy) => ({
+  ...start,
+  x: clamp(start.x + dx, 0, 100 - start.width),
+  y: clamp(start.y + dy, 0, 100 - start.height)
+});
+
+// `handle` is a compass direction (n, se, w, ...). With a ratio the side
+// opposite the handle stays anchored and the box shrinks to stay in frame.
+export const resizeCrop = (start, handle, dx, dy, ratio, frameWidth, frameHeight) => {
+  let left = start.x;
+  let top = start.y;
+  let right = start.x + start.width;
+  let bottom = start.y + start.height;
+
+  if (handle.includes('w')) left = clamp(left + dx, 0, right - MIN_CROP_SIZE);
+  if (handle.includes('e')) right = clamp(right + dx, left + MIN_CROP_SIZE, 100);
+  if (handle.includes('n')) top = clamp(top + dy, 0, bottom - MIN_CROP_SIZE);
+  if (handle.includes('s')) bottom = clamp(bottom + dy, top + MIN_CROP_SIZE, 100);
+
+  let width = right - left;
+  let height = bottom - top;
+
+  if (ratio) {
+    const heightPerWidth = frameWidth / (frameHeight * ratio);
+    if (handle === 'n' || handle === 's') {
+      width = height / heightPerWidth;
+    } else {
+      height = width * heightPerWidth;
+    }
+
+    const maxWidth = handle.includes('w') ? right : 100 - left;
+    const maxHeight = handle.includes('n') ? bottom : 100 - top;
+    if (width > maxWidth) {
+      width = maxWidth;
+      height = width * heightPerWidth;
+    }
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height / heightPerWidth;
+    }
+
+    if (handle.includes('w')) left = right - width;
+    if (handle.includes('n')) top = bottom - height;
+  }
+
+  return { x: left, y: top, width, height };
+};
+
+// Largest box of the given ratio that fits inside the current crop, centred.
+export const fitCropToRatio = (crop, ratio, frameWidth, frameHeight) => {
+  if (!ratio) return crop;
+  const heightPerWidth = frameWidth / (frameHeight * ratio);
+  let { width, height } = crop;
+  if (width * heightPerWidth <= height) {
+    height = width * heightPerWidth;
+  } else {
+    width = height / heightPerWidth;
+  }
+  return {
+    x: crop.x + (crop.width - width) / 2,
+    y: crop.y + (crop.height - height) / 2,
+    width,
+    height
+  };
+};
@@ -0,0 +1,121 @@
+import { DEFAULT_FPS } from './time';
+import { cutSegment, getClipSegments, splitClip } from './clips';
+
+// noise is the level in dB below which audio counts as silent and
+// sceneThreshold the scene-change score (0-1) that counts as a cut; both are
+// applied by FFmpeg, so changing them needs another pass. minSilence and
+// padding only shape what is done with the silences found.
+export const DEFAULT_DETECT_SETTINGS = { noise: -35, minSilence: 0.5, padding: 0.1, sceneThreshold: 0.4 };
+
+// silencedetect reports every silence at least this long, so the minimum
+// length can be tuned afterwards without analysing again
+const SILENCE_FLOOR = 0.1;
+
+// Scene scores barely change on a small frame, and scaling first makes the
+// pass much faster
+const ANALYSIS_WIDTH = 320;
+
+export const needsReanalysis = (detection, settings) =>
+  !detection || detection.settings.noise !== settings.noise || detection.settings.sceneThreshold !== settings.sceneThreshold;
+
+// One pass over the whole source: showinfo logs each frame select lets
+// through as a scene cut, and silencedetect logs silences. Nothing is
+// written; the findings are all in the log.
+export const getDetectArgs = ({ inputName, noise, sceneThreshold, audio = true }) => [
+  '-i', inputName,
+  '-vf', `scale=${ANALYSIS_WIDTH}:-2,select='gt(scene,${sceneThreshold})',showinfo`,
+  ...(audio ? ['-af', `silencedetect=noise=${noise}dB:d=${SILENCE_FLOOR}`] : ['-an']),
+  '-f', 'null',
+  '-'
+];
+
+// Silences as { start, end } and scene cuts as times, in source seconds. A
+// silence still open when the log ends runs to the end of the file.
+export const parseDetection = (lines, duration) => {
+  const silences = [];
+  const scenes = [];
+  let open = null;
+  lines.forEach((line) => {
+    const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (start) {
+      open = Math.max(0, Number(start[1]));
+    }
+    const end = line.match(/silence_end:\s*([\d.]+)/);
+    if (end && open !== null) {
+      silences.push({ start: open, end: Math.min(Number(end[1]), duration) });
+      open = null;
+    }
+    const frame = line.match(/\bn:\s*\d+\s+pts:\s*-?\d+\s+pts_time:\s*([\d.]+)/);
+    if (frame && Number(frame[1]) > 0) {
+      scenes.push(Number(frame[1]));
+    }
+  });
+  if (open !== null && open < duration) {
+    silences.push({ start: open, end: duration });
+  }
+  return { silences, scenes };
+};
+
+export const getLongSilences = (silences, minSilence) => silences.filter((silence) => silence.end - silence.start >= minSilence);
+
+// Frame boundaries on the silent side of a time, so a cut never takes a
+// frame of sound; the tolerance absorbs float error in exact frame times
+const frameAfter = (time, fps) => Math.ceil(time * fps - 1e-6) / fps;
+const frameBefore = (time, fps) => Math.floor(time * fps + 1e-6) / fps;
+
+// The part of each long silence inside the trim that would be removed,
+// keeping padding either side so speech is not clipped. Silences touching
+// the trim points are only padded on their inner side.
+export const getSilenceCuts = (clip, silences, { minSilence, padding }) => {
+  const fps = clip.fps || DEFAULT_FPS;
+  return getLongSilences(silences, minSilence)
+    .map(({ start, end }) => ({
+      start: start <= clip.trimStart ? clip.trimStart : frameAfter(Math.max(clip.trimStart, start + padding), fps),
+      end: end >= clip.trimEnd ? clip.trimEnd : frameBefore(Math.min(clip.trimEnd, end - padding), fps)
+    }))
+    .filter(({ start, end }) => end - start >= 1 / fps);
+};
+
+// A patch splitting the clip around each long silence and ripple-cutting it,
+// or null when there is nothing to remove or nothing would be left
+export const getSilenceRemovalPatch = (clip, silences, settings) => {
+  const cuts = getSilenceCuts(clip, silences, settings);
+  if (cuts.length === 0) return null;
+  let next = clip;
+  cuts.forEach(({ start, end }) => {
+    [start, end].forEach((time) => {
+      const patch = splitClip(next, time);
+      if (patch) next = { ...next, ...patch };
+    });
+    getClipSegments(next)
+      .filter((segment) => !segment.cut && segment.start >= start && segment.end <= end)
+      .forEach((segment) => {
+        next = { ...next, ...cutSegment(next, segment, true) };
+      });
+  });
+  if (getClipSegments(next).every((segment) => segment.cut)) return null;
+  return { cuts: next.cuts, splits: next.splits };
+};
+
+// Trim points at the first and last moment that is not silent, with
+// padding, or null when the whole file is silent
+export const getSpeechTrim = (clip, silences, { padding }) => {
+  const frame = 1 / (clip.fps || DEFAULT_FPS);
+  const leading = silences.find((silence) => silence.start <= frame);
+  const trailing = silences.find((silence) => silence.end >= clip.duration - frame);
+  if (leading && leading === trailing) return null;
+  return {
+    trimStart: leading ? Math.max(0, leading.end - padding) : 0,
+    trimEnd: trailing ? Math.min(clip.duration, trailing.start + padding) : clip.duration
+  };
+};
+
+// A patch splitting the clip at every scene cut inside the trim
+export const getSceneSplitPatch = (clip, scenes) => {
+  let next = clip;
+  scenes.forEach((time) => {
+    const patch = splitClip(next, time);
+    if (patch) next = { ...next, ...patch };
+  });
+  return next === clip ? null : { splits: next.splits, cuts: next.cuts };
+};
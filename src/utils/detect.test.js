@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DETECT_SETTINGS, getDetectArgs, getSceneSplitPatch, getSilenceCuts, getSilenceRemovalPatch, getSpeechTrim, needsReanalysis, parseDetection } from './detect';
+import { getClipSegments } from './clips';
+
+const createTestClip = (overrides = {}) => ({
+  id: 'clip',
+  duration: 20,
+  fps: 25,
+  trimStart: 0,
+  trimEnd: 20,
+  splits: [],
+  cuts: [],
+  ...overrides
+});
+
+const SETTINGS = { ...DEFAULT_DETECT_SETTINGS, minSilence: 1, padding: 0 };
+
+describe('getDetectArgs', () => {
+  it('runs scene and silence detection in one pass with no output', () => {
+    expect(getDetectArgs({ inputName: 'in.mp4', noise: -30, sceneThreshold: 0.3 })).toEqual([
+      '-i', 'in.mp4',
+      '-vf', "scale=320:-2,select='gt(scene,0.3)',showinfo",
+      '-af', 'silencedetect=noise=-30dB:d=0.1',
+      '-f', 'null', '-'
+    ]);
+  });
+
+  it('skips silence detection for a file without audio', () => {
+    expect(getDetectArgs({ inputName: 'in.mp4', noise: -30, sceneThreshold: 0.3, audio: false })).toContain('-an');
+  });
+});
+
+describe('parseDetection', () => {
+  const log = [
+    '[silencedetect @ 0x1] silence_start: -0.02',
+    '[silencedetect @ 0x1] silence_end: 1.5 | silence_duration: 1.52',
+    '[Parsed_showinfo_2 @ 0x2] n:   0 pts:  64000 pts_time:5.0     duration:512 checksum:00000000',
+    '[Parsed_showinfo_2 @ 0x2] color_range:tv color_space:bt709',
+    'frame=  100 fps= 50 q=-0.0 size=N/A time=00:00:08.00 bitrate=N/A speed=2x',
+    '[silencedetect @ 0x1] silence_start: 8.25',
+    '[silencedetect @ 0x1] silence_end: 8.6 | silence_duration: 0.35',
+    '[Parsed_showinfo_2 @ 0x2] n:   1 pts: 160000 pts_time:12.5    duration:512',
+    '[silencedetect @ 0x1] silence_start: 18'
+  ];
+
+  it('reads silences and scene cuts, closing a silence still open at the end', () => {
+    expect(parseDetection(log, 20)).toEqual({
+      silences: [{ start: 0, end: 1.5 }, { start: 8.25, end: 8.6 }, { start: 18, end: 20 }],
+      scenes: [5, 12.5]
+    });
+  });
+});
+
+describe('suggested edits', () => {
+  const silences = [{ start: 0, end: 1.5 }, { start: 8.25, end: 8.6 }, { start: 10, end: 12 }, { start: 18, end: 20 }];
+
+  it('only removes silences at least the minimum length, inside the trim', () => {
+    const clip = createTestClip({ trimStart: 1, trimEnd: 19 });
+    expect(getSilenceCuts(clip, silences, SETTINGS)).toEqual([{ start: 1, end: 1.48 }, { start: 10, end: 12 }, { start: 18, end: 19 }]);
+  });
+
+  it('keeps padding either side of the speech', () => {
+    expect(getSilenceCuts(createTestClip(), silences, { ...SETTINGS, padding: 0.2 })).toEqual([
+      { start: 0, end: 1.28 },
+      { start: 10.2, end: 11.8 },
+      { start: 18.2, end: 20 }
+    ]);
+  });
+
+  it('ripple-cuts each long silence', () => {
+    const clip = createTestClip();
+    const patch = getSilenceRemovalPatch(clip, silences, SETTINGS);
+    const segments = getClipSegments({ ...clip, ...patch });
+    expect(segments.map(({ start, end, cut }) => [start, end, cut ? cut.ripple : null])).toEqual([
+      [0, 1.48, true],
+      [1.48, 10, null],
+      [10, 12, true],
+      [12, 18, null],
+      [18, 20, true]
+    ]);
+  });
+
+  it('suggests nothing when the whole clip would go', () => {
+    expect(getSilenceRemovalPatch(createTestClip(), [{ start: 0, end: 20 }], SETTINGS)).toBeNull();
+  });
+
+  it('trims to the first and last sound', () => {
+    expect(getSpeechTrim(createTestClip(), silences, { padding: 0.25 })).toEqual({ trimStart: 1.25, trimEnd: 18.25 });
+    expect(getSpeechTrim(createTestClip(), [{ start: 0, end: 20 }], SETTINGS)).toBeNull();
+  });
+
+  it('splits at scene cuts inside the trim', () => {
+    expect(getSceneSplitPatch(createTestClip({ trimEnd: 10 }), [5, 12.5])).toEqual({ splits: [5], cuts: [] });
+    expect(getSceneSplitPatch(createTestClip(), [])).toBeNull();
+  });
+
+  it('asks for another pass only when FFmpeg-side settings change', () => {
+    const detection = { settings: SETTINGS };
+    expect(needsReanalysis(detection, { ...SETTINGS, minSilence: 3 })).toBe(false);
+    expect(needsReanalysis(detection, { ...SETTINGS, noise: -50 })).toBe(true);
+  });
+});
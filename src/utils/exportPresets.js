@@ -0,0 +1,119 @@
+export const EXPORT_FORMATS = {
+  mp4: { label: 'MP4 / H.264', extension: 'mp4', mimeType: 'video/mp4', video: true, audio: true, subtitleCodec: 'mov_text' },
+  webm: { label: 'WebM / VP9', extension: 'webm', mimeType: 'video/webm', video: true, audio: true, subtitleCodec: 'webvtt' },
+  gif: { label: 'GIF', extension: 'gif', mimeType: 'image/gif', video: true, audio: false, subtitleCodec: null },
+  webp: { label: 'Animated WebP', extension: 'webp', mimeType: 'image/webp', video: true, audio: false, subtitleCodec: null },
+  mp3: { label: 'MP3 (audio only)', extension: 'mp3', mimeType: 'audio/mpeg', video: false, audio: true, subtitleCodec: null },
+  m4a: { label: 'M4A (audio only)', extension: 'm4a', mimeType: 'audio/mp4', video: false, audio: true, subtitleCodec: null },
+  // Keeps the source container and codecs; extension and type come from the clip
+  copy: { label: 'Stream copy', extension: null, mimeType: null, video: true, audio: true, subtitleCodec: null, streamCopy: true }
+};
+
+// Short-side pixel counts, so "1080" means 1920x1080 for a feed cut and
+// 1080x1920 for a story.
+export const RESOLUTIONS = ['source', '2160', '1080', '720', '480', '360'];
+export const ASPECT_TARGETS = ['original', '16:9', '9:16', '1:1', '4:3'];
+export const FRAME_RATES = ['source', '60', '30', '25', '24', '15', '12', '10'];
+
+export const DEFAULT_PRESETS = [
+  { id: 'mp4', name: 'MP4 · H.264', format: 'mp4', resolution: 'source', rateControl: 'crf', crf: 22, videoBitrate: '5M', fps: 'source', audioBitrate: '128k' },
+  { id: 'webm', name: 'WebM · VP9', format: 'webm', resolution: 'source', rateControl: 'crf', crf: 32, videoBitrate: '3M', fps: 'source', audioBitrate: '128k' },
+  { id: 'gif', name: 'Animated GIF', format: 'gif', resolution: '480', rateControl: 'crf', crf: 0, videoBitrate: '', fps: '12', audioBitrate: '' },
+  { id: 'webp', name: 'Animated WebP', format: 'webp', resolution: '480', rateControl: 'crf', crf: 0, quality: 75, videoBitrate: '', fps: '15', audioBitrate: '' },
+  { id: 'mp3', name: 'Audio · MP3', format: 'mp3', resolution: 'source', rateControl: 'bitrate', crf: 0, videoBitrate: '', fps: 'source', audioBitrate: '192k' },
+  { id: 'm4a', name: 'Audio · M4A', format: 'm4a', resolution: 'source', rateControl: 'bitrate', crf: 0, videoBitrate: '', fps: 'source', audioBitrate: '192k' }
+];
+
+// Presets saved before a default existed would otherwise never show it
+export const withDefaultPresets = (saved) => [
+  ...saved,
+  ...DEFAULT_PRESETS.filter((preset) => !saved.some((p) => p.id === preset.id))
+];
+
+// Animated image formats take their settings from these, not the crf fields
+export const isAnimatedImage = (format) => format === 'gif' || format === 'webp';
+
+// Not user-editable, so it lives outside the preset list
+export const FAST_TRIM_PRESET = { id: 'copy', name: 'Fast Trim', format: 'copy', resolution: 'source', rateControl: 'crf', crf: 0, videoBitrate: '', fps: 'source', audioBitrate: '' };
+
+// Video filters the preset appends after the edit's own filters
+export const getPresetFilters = (preset) => {
+  const filters = [];
+  if (preset.resolution !== 'source') {
+    const size = preset.resolution;
+    filters.push(`scale='if(gt(iw,ih),-2,${size})':'if(gt(iw,ih),${size},-2)'`);
+  }
+  if (preset.fps !== 'source') {
+    filters.push(`fps=${preset.fps}`);
+  }
+  if (preset.format === 'gif') {
+    // A palette built from the moving parts of the frame, and a fixed dither
+    // applied only where pixels change, keeps small GIFs from shimmering
+    filters.push('split[gif0][gif1];[gif0]palettegen=stats_mode=diff[gifpal];[gif1][gifpal]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle');
+  }
+  return filters;
+};
+
+export const getPresetCodecArgs = (preset, withAudio) => {
+  const args = [];
+  switch (preset.format) {
+    case 'mp4':
+      args.push('-c:v', 'libx264', '-preset', 'fast');
+      if (preset.rateControl === 'crf') {
+        args.push('-crf', String(preset.crf));
+      } else {
+        args.push('-b:v', preset.videoBitrate);
+      }
+      args.push('-pix_fmt', 'yuv420p');
+      if (withAudio) args.push('-c:a', 'aac', '-b:a', preset.audioBitrate);
+      break;
+    case 'webm':
+      args.push('-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1');
+      if (preset.rateControl === 'crf') {
+        args.push('-crf', String(preset.crf), '-b:v', '0');
+      } else {
+        args.push('-b:v', preset.videoBitrate);
+      }
+      if (withAudio) args.push('-c:a', 'libopus', '-b:a', preset.audioBitrate);
+      break;
+    case 'gif':
+      args.push('-loop', '0');
+      break;
+    case 'webp':
+      args.push('-c:v', 'libwebp_anim', '-loop', '0', '-quality', String(preset.quality ?? 75), '-pix_fmt', 'yuv420p');
+      break;
+    case 'mp3':
+      args.push('-vn', '-c:a', 'libmp3lame', '-b:a', preset.audioBitrate);
+      break;
+    case 'm4a':
+      args.push('-vn', '-c:a', 'aac', '-b:a', preset.audioBitrate);
+      break;
+    case 'copy':
+      args.push('-c', 'copy', '-avoid_negative_ts', 'make_zero');
+      break;
+    default:
+      throw new Error(`Unknown export format: ${preset.format}`);
+  }
+  return args;
+};
+
+export const describePreset = (preset) => {
+  const format = EXPORT_FORMATS[preset.format];
+  if (format.streamCopy) {
+    return 'Stream copy • no re-encode • cuts snap to keyframes';
+  }
+  const parts = [format.label];
+  if (format.video) {
+    parts.push(preset.resolution === 'source' ? 'source size' : `${preset.resolution}p`);
+    if (preset.format === 'webp') {
+      parts.push(`quality ${preset.quality ?? 75}`);
+    } else if (preset.format !== 'gif') {
+      parts.push(preset.rateControl === 'crf' ? `CRF ${preset.crf}` : preset.videoBitrate);
+    }
+    parts.push(preset.fps === 'source' ? 'source fps' : `${preset.fps} fps`);
+  }
+  if (format.audio) {
+    parts.push(preset.audioBitrate);
+  }
+  return parts.join(' • ');
+};
@@ -0,0 +1,25 @@
+import coreURL from '@ffmpeg/core?url';
+import wasmURL from '@ffmpeg/core/wasm?url';
+import mtCoreURL from '@ffmpeg/core-mt?url';
+import mtWasmURL from '@ffmpeg/core-mt/wasm?url';
+import mtWorkerURL from '@ffmpeg/core-mt/worker?url';
+
+// The core is bundled as same-origin assets rather than fetched from a CDN,
+// so the service worker can cache it and the editor keeps working offline.
+const SINGLE_THREAD = { coreURL, wasmURL };
+const MULTI_THREAD = { coreURL: mtCoreURL, wasmURL: mtWasmURL, workerURL: mtWorkerURL };
+
+// The multithreaded build needs SharedArrayBuffer, which browsers only
+// expose when the page is cross-origin isolated (COOP + COEP headers).
+export const canUseMultiThread = () =>
+  typeof window !== 'undefined' && window.crossOriginIsolated === true && typeof SharedArrayBuffer !== 'undefined';
+
+export const getCoreConfig = (preferMultiThread = true) => {
+  const multiThread = preferMultiThread && canUseMultiThread();
+  return { multiThread, config: multiThread ? MULTI_THREAD : SINGLE_THREAD };
+};
+
+export const getCoreAssetURLs = () => [
+  ...Object.values(SINGLE_THREAD),
+  ...(canUseMultiThread() ? Object.values(MULTI_THREAD) : [])
+];
@@ -0,0 +1,98 @@
+import { getGradeFilters, isGradeActive } from './color';
+import { DEFAULT_CORRECTION, getLensFilters } from './correction';
+import { isCropActive, normalizeRotation } from './crop';
+import { DEFAULT_REFRAME, getReframeFilter } from './reframe';
+
+export const GRADE_LUT_NAME = 'grade.cube';
+
+// Default output frame for each aspect target; an edit can pick its own
+// size per target in aspectSizes
+export const ASPECT_SIZES = {
+  '16:9': { width: 1920, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+  '1:1': { width: 1080, height: 1080 },
+  '4:3': { width: 1440, height: 1080 }
+};
+
+const MIN_OUTPUT_SIDE = 16;
+const MAX_OUTPUT_SIDE = 8192;
+
+// Encoders need even sides
+export const clampOutputSize = ({ width, height }) => {
+  const clamp = (value) => Math.min(MAX_OUTPUT_SIDE, Math.max(MIN_OUTPUT_SIDE, Math.round((Number(value) || 0) / 2) * 2));
+  return { width: clamp(width), height: clamp(height) };
+};
+
+export const getAspectSize = (ratio, aspectSizes = {}) => aspectSizes[ratio] || ASPECT_SIZES[ratio] || null;
+
+// The frame is fitted into the target as the edit's reframe mode says;
+// options pass time and suffix on to getReframeFilter
+export const getAspectRatioFilter = (ratio, { reframe = DEFAULT_REFRAME, aspectSizes } = {}, options = {}) => {
+  const size = getAspectSize(ratio, aspectSizes);
+  if (!size) return null;
+  return getReframeFilter(reframe, size, options);
+};
+
+// Size of the frame leaving the edit filters: the aspect target, or else the
+// cropped (and possibly rotated) source
+export const getOutputFrameSize = (ratio, cropPixels, aspectSizes) =>
+  getAspectSize(ratio, aspectSizes) || { width: cropPixels.width, height: cropPixels.height };
+
+// Fits a frame inside width x height, letterboxed with square pixels
+export const getFitFilters = ({ width, height }) => [
+  `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+  `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+  'setsar=1'
+];
+
+// Every clip is fitted into one frame size, rate and timebase so concat and
+// xfade get matching inputs
+export const getNormaliseFilters = ({ width, height, fps }) => [
+  ...getFitFilters({ width, height }),
+  `fps=${fps}`,
+  'format=yuv420p',
+  'settb=AVTB'
+];
+
+// Whether getFrameFilters reads a LUT file that has to be written first
+export const usesGradeLut = ({ grade }) => isGradeActive(grade) && Boolean(grade.lut);
+
+// The per-frame edit in the order the preview shows it: grade on the source
+// frame, then flip, rotate and crop. A LUT has to be written to lutName first.
+// Corrections come before all of it, since they undo what the camera did:
+// the lens first, then shake, with stabilise holding the filters from
+// getStabiliseFilters. Stills leave those out, having no motion to steady.
+export const getFrameFilters = ({ correction = DEFAULT_CORRECTION, grade, flipHorizontal, flipVertical, rotation, cropSettings, cropPixels }, lutName = GRADE_LUT_NAME, stabilise = []) => {
+  const filters = [...getLensFilters(correction), ...stabilise];
+
+  // Color and effects run on the unrotated source frame, like the preview
+  if (isGradeActive(grade)) {
+    filters.push(...getGradeFilters(grade, lutName));
+  }
+
+  // Flip filters
+  if (flipHorizontal && flipVertical) {
+    filters.push('hflip,vflip');
+  } else if (flipHorizontal) {
+    filters.push('hflip');
+  } else if (flipVertical) {
+    filters.push('vflip');
+  }
+
+  // Rotation filter
+  const turn = normalizeRotation(rotation);
+  if (turn === 90) {
+    filters.push('transpose=1');
+  } else if (turn === 180) {
+    filters.push('transpose=1,transpose=1');
+  } else if (turn === 270) {
+    filters.push('transpose=2');
+  }
+
+  // Crop filter
+  if (isCropActive(cropSettings)) {
+    filters.push(`crop=${cropPixels.width}:${cropPixels.height}:${cropPixels.x}:${cropPixels.y}`);
+  }
+
+  return filters;
+};
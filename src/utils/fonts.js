@@ -0,0 +1,28 @@
+import sansURL from 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf?url';
+import sansBoldURL from 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf?url';
+import serifURL from 'dejavu-fonts-ttf/ttf/DejaVuSerif.ttf?url';
+import monoURL from 'dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf?url';
+
+// FFmpeg.wasm has no system fonts, so drawtext gets these files written into
+// its filesystem; the preview loads the very same files through FontFace so
+// title metrics match the export.
+export const OVERLAY_FONTS = {
+  sans: { label: 'Sans', family: 'OverlaySans', url: sansURL, file: 'DejaVuSans.ttf' },
+  sansBold: { label: 'Sans Bold', family: 'OverlaySansBold', url: sansBoldURL, file: 'DejaVuSans-Bold.ttf' },
+  serif: { label: 'Serif', family: 'OverlaySerif', url: serifURL, file: 'DejaVuSerif.ttf' },
+  mono: { label: 'Mono', family: 'OverlayMono', url: monoURL, file: 'DejaVuSansMono.ttf' }
+};
+
+let previewFontsLoaded = null;
+
+export const loadPreviewFonts = () => {
+  if (!previewFontsLoaded) {
+    previewFontsLoaded = Promise.all(
+      Object.values(OVERLAY_FONTS).map(async ({ family, url }) => {
+        const face = new FontFace(family, `url(${url})`);
+        document.fonts.add(await face.load());
+      })
+    ).catch((err) => console.warn('Overlay fonts unavailable:', err));
+  }
+  return previewFontsLoaded;
+};
@@ -0,0 +1,185 @@
+import { getColorBalance } from './color';
+
+const VERTEX_SHADER = `#version 300 es
+in vec2 a_position;
+out vec2 v_uv;
+void main() {
+  v_uv = vec2(a_position.x + 1.0, 1.0 - a_position.y) * 0.5;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// Mirrors the export chain: hqdn3d/gblur/unsharp on the source, then eq in
+// YUV, colorbalance midtones in RGB and finally the 3D LUT. Denoising is
+// temporal in ffmpeg, so only its spatial smoothing is approximated here.
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp sampler3D;
+uniform sampler2D u_video;
+uniform sampler3D u_lut;
+uniform vec2 u_texel;
+uniform float u_brightness;
+uniform float u_contrast;
+uniform float u_saturation;
+uniform float u_gamma;
+uniform vec3 u_balance;
+uniform float u_sharpen;
+uniform float u_blur;
+uniform bool u_useLut;
+uniform float u_lutSize;
+uniform vec3 u_lutMin;
+uniform vec3 u_lutMax;
+in vec2 v_uv;
+out vec4 outColor;
+
+float luma(vec3 c) {
+  return dot(c, vec3(0.299, 0.587, 0.114));
+}
+
+vec3 spatial() {
+  vec3 center = texture(u_video, v_uv).rgb;
+  if (u_blur <= 0.0 && u_sharpen <= 0.0) return center;
+
+  vec3 box = vec3(0.0);
+  vec3 gauss = vec3(0.0);
+  float weights = 0.0;
+  float spacing = max(u_blur * 0.5, 1.0);
+  for (int y = -2; y <= 2; y++) {
+    for (int x = -2; x <= 2; x++) {
+      vec2 offset = vec2(float(x), float(y));
+      box += texture(u_video, v_uv + offset * u_texel).rgb;
+      if (u_blur > 0.0) {
+        vec2 spread = offset * spacing;
+        float w = exp(-dot(spread, spread) / (2.0 * u_blur * u_blur));
+        gauss += texture(u_video, v_uv + spread * u_texel).rgb * w;
+        weights += w;
+      }
+    }
+  }
+  vec3 result = u_blur > 0.0 ? gauss / weights : center;
+  // unsharp only sharpens luma
+  return result + u_sharpen * (luma(center) - luma(box / 25.0));
+}
+
+vec3 equalize(vec3 c) {
+  float y = luma(c);
+  float u = (c.b - y) * 0.564 * u_saturation;
+  float v = (c.r - y) * 0.713 * u_saturation;
+  y = (y - 0.5) * u_contrast + 0.5 + u_brightness;
+  y = pow(clamp(y, 0.0, 1.0), 1.0 / u_gamma);
+  return vec3(y + 1.403 * v, y - 0.344 * u - 0.714 * v, y + 1.773 * u);
+}
+
+vec3 balance(vec3 c) {
+  float l = (max(max(c.r, c.g), c.b) + min(min(c.r, c.g), c.b)) * 0.5;
+  float midtones = clamp((l - 0.333) * 4.0 + 0.5, 0.0, 1.0) * clamp((1.0 - l - 0.333) * 4.0 + 0.5, 0.0, 1.0) * 0.7;
+  return c + u_balance * midtones;
+}
+
+void main() {
+  vec3 c = clamp(spatial(), 0.0, 1.0);
+  c = clamp(equalize(c), 0.0, 1.0);
+  c = clamp(balance(c), 0.0, 1.0);
+  if (u_useLut) {
+    vec3 normalized = clamp((c - u_lutMin) / (u_lutMax - u_lutMin), 0.0, 1.0);
+    c = texture(u_lut, (normalized * (u_lutSize - 1.0) + 0.5) / u_lutSize).rgb;
+  }
+  outColor = vec4(c, 1.0);
+}`;
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(gl.getShaderInfoLog(shader));
+  }
+  return shader;
+};
+
+// Returns null when WebGL2 (needed for 3D LUT textures) is unavailable, in
+// which case the preview simply shows the ungraded video
+export const createGradeRenderer = (canvas) => {
+  const gl = canvas.getContext('webgl2', { premultipliedAlpha: false });
+  if (!gl) return null;
+
+  const program = gl.createProgram();
+  gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program));
+  }
+  gl.useProgram(program);
+
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  const position = gl.getAttribLocation(program, 'a_position');
+  gl.enableVertexAttribArray(position);
+  gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+  const uniform = (name) => gl.getUniformLocation(program, name);
+
+  const videoTexture = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, videoTexture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.uniform1i(uniform('u_video'), 0);
+
+  const lutTexture = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE1);
+  gl.bindTexture(gl.TEXTURE_3D, lutTexture);
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  ['TEXTURE_WRAP_S', 'TEXTURE_WRAP_T', 'TEXTURE_WRAP_R'].forEach((wrap) => {
+    gl.texParameteri(gl.TEXTURE_3D, gl[wrap], gl.CLAMP_TO_EDGE);
+  });
+  gl.uniform1i(uniform('u_lut'), 1);
+  let lutLoaded = false;
+
+  return {
+    setLut(lut) {
+      lutLoaded = Boolean(lut);
+      if (!lut) return;
+      gl.activeTexture(gl.TEXTURE1);
+      gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGB16F, lut.size, lut.size, lut.size, 0, gl.RGB, gl.FLOAT, lut.data);
+      gl.uniform1f(uniform('u_lutSize'), lut.size);
+      gl.uniform3fv(uniform('u_lutMin'), lut.domainMin);
+      gl.uniform3fv(uniform('u_lutMax'), lut.domainMax);
+    },
+
+    render(video, grade) {
+      const { videoWidth: width, videoHeight: height } = video;
+      if (!width || !height) return;
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      gl.viewport(0, 0, width, height);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+
+      const { red, green, blue } = getColorBalance(grade);
+      gl.uniform2f(uniform('u_texel'), 1 / width, 1 / height);
+      gl.uniform1f(uniform('u_brightness'), grade.brightness);
+      gl.uniform1f(uniform('u_contrast'), grade.contrast);
+      gl.uniform1f(uniform('u_saturation'), grade.saturation);
+      gl.uniform1f(uniform('u_gamma'), grade.gamma);
+      gl.uniform3f(uniform('u_balance'), red, green, blue);
+      gl.uniform1f(uniform('u_sharpen'), grade.sharpen);
+      gl.uniform1f(uniform('u_blur'), Math.hypot(grade.blur, grade.denoise * 0.15));
+      gl.uniform1i(uniform('u_useLut'), lutLoaded ? 1 : 0);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    },
+
+    dispose() {
+      gl.deleteTexture(videoTexture);
+      gl.deleteTexture(lutTexture);
+      gl.deleteBuffer(buffer);
+      gl.deleteProgram(program);
+    }
+  };
+};
@@ -0,0 +1,128 @@
+import { parseFFmpegTime } from './time';
+
+// Runs FFmpeg jobs one at a time against a backend, which owns the actual
+// FFmpeg and its filesystem. A backend provides:
+//   load() -> { multiThreaded }, called before the first job and after a cancel
+//   writeFile(name, data), readFile(name) -> Uint8Array, deleteFile(name)
+//   exec(args, onLog) -> exit code, with onLog(message) for each log line
+//   probe(file) -> summarized probe info (see probe.js)
+//   terminate(), which stops whatever is running and drops the filesystem
+//
+// A job is { args, files, outputName, mimeType, duration }: files are written
+// before the run, each with a name and one of data (string or bytes), file
+// (a File or Blob) or url; duration is the expected output length in seconds,
+// which progress is measured against. A job without an outputName writes
+// nothing back, for analysis runs that only report through the log. Every
+// file the job wrote, and its output, is deleted again whether the run
+// succeeds or fails.
+
+let jobCounter = 0;
+
+const cancelledError = () => Object.assign(new Error('Job cancelled'), { cancelled: true });
+
+export const isCancelled = (err) => Boolean(err?.cancelled);
+
+const readInput = async ({ data, file, url }) => {
+  if (data !== undefined) return data;
+  const buffer = file ? await file.arrayBuffer() : await (await fetch(url)).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+export const createJobService = (backend) => {
+  // Every job and probe waits for the one before it, since they share one
+  // FFmpeg instance and filesystem
+  let queue = Promise.resolve();
+  let loading = null;
+  let active = null;
+
+  const load = () => {
+    if (!loading) {
+      loading = backend.load().catch((err) => {
+        loading = null;
+        throw err;
+      });
+    }
+    return loading;
+  };
+
+  const enqueue = (work) => {
+    const result = queue.then(work);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const run = async (job, task, { onStart, onProgress, onLog }) => {
+    if (job.cancelled) throw cancelledError();
+    await load();
+    if (job.cancelled) throw cancelledError();
+    active = job;
+    const written = [];
+    const log = [];
+    try {
+      for (const file of task.files) {
+        await backend.writeFile(file.name, await readInput(file));
+        written.push(file.name);
+        if (job.cancelled) throw cancelledError();
+      }
+
+      onStart?.();
+      const startedAt = Date.now();
+      const exitCode = await backend.exec(task.args, (message) => {
+        log.push(message);
+        onLog?.(message);
+        // The built-in progress event is only accurate when input and output
+        // have the same length, which a trim never does, so progress comes
+        // from the time= stats measured against the expected duration
+        const time = parseFFmpegTime(message);
+        if (time === null || !(task.duration > 0)) return;
+        const fraction = Math.min(time / task.duration, 1);
+        const elapsed = (Date.now() - startedAt) / 1000;
+        onProgress?.({ fraction, remaining: fraction > 0 ? (elapsed / fraction) * (1 - fraction) : null });
+      });
+      if (job.cancelled) throw cancelledError();
+      if (exitCode !== 0) {
+        throw new Error(`ffmpeg exited with code ${exitCode}`);
+      }
+      if (!task.outputName) return { blob: null, log };
+      const data = await backend.readFile(task.outputName);
+      return { blob: new Blob([data], { type: task.mimeType }), log };
+    } catch (err) {
+      // Terminating the backend rejects the pending exec
+      if (job.cancelled) throw cancelledError();
+      throw Object.assign(err, { log });
+    } finally {
+      active = null;
+      // A terminated backend lost its filesystem along with everything in it
+      if (!job.terminated) {
+        for (const name of [...written, ...(task.outputName ? [task.outputName] : [])]) {
+          await backend.deleteFile(name).catch(() => {});
+        }
+      }
+    }
+  };
+
+  // Queues a job; handlers are onStart(), onProgress({ fraction, remaining })
+  // and onLog(message). result resolves to { blob, log } or rejects, with
+  // isCancelled(err) telling a cancel from a failure.
+  const submit = (task, handlers = {}) => {
+    const job = { id: `ffmpeg-job-${jobCounter++}`, cancelled: false, terminated: false };
+    const result = enqueue(() => run(job, task, handlers));
+    const cancel = () => {
+      if (job.cancelled) return;
+      job.cancelled = true;
+      if (active === job) {
+        job.terminated = true;
+        loading = null;
+        backend.terminate();
+      }
+    };
+    return { id: job.id, result, cancel };
+  };
+
+  const probe = (file) => enqueue(async () => {
+    await load();
+    return backend.probe(file);
+  });
+
+  return { load, submit, probe };
+};
@@ -0,0 +1,205 @@
+import { execFileSync } from 'node:child_process';
+import { readdir } from 'node:fs/promises';
+import { describe, expect, it } from 'vitest';
+import { createJobService, isCancelled } from './jobService';
+import { createNativeBackend } from './nativeBackend';
+
+// A backend with an in-memory filesystem whose exec copies the input named
+// after -i to the last argument (unless that is -, for no output), logging
+// time= stats along the way. An exec can be held open until the test
+// releases or terminates it. events records when execs and probes start and
+// finish, in order.
+const createFakeBackend = ({ exitCode = 0, hold = false } = {}) => {
+  const files = new Map();
+  const calls = [];
+  const events = [];
+  let pending = null;
+  const backend = {
+    files,
+    calls,
+    events,
+    loads: 0,
+    release: () => pending?.resolve(),
+    load: async () => {
+      backend.loads++;
+      return { multiThreaded: false };
+    },
+    writeFile: async (name, data) => {
+      files.set(name, data);
+    },
+    readFile: async (name) => {
+      if (!files.has(name)) throw new Error(`${name} not found`);
+      return files.get(name);
+    },
+    deleteFile: async (name) => {
+      files.delete(name);
+    },
+    exec: async (args, onLog) => {
+      calls.push(args);
+      events.push('exec:start');
+      onLog('time=00:00:01.00 bitrate=N/A');
+      if (hold) {
+        await new Promise((resolve, reject) => {
+          pending = { resolve, reject };
+        });
+      }
+      onLog('time=00:00:02.00 bitrate=N/A');
+      if (exitCode === 0 && args[args.length - 1] !== '-') {
+        files.set(args[args.length - 1], files.get(args[args.indexOf('-i') + 1]));
+      }
+      events.push('exec:end');
+      return exitCode;
+    },
+    probe: async (file) => {
+      events.push(`probe:${file.name}`);
+      return { name: file.name };
+    },
+    terminate: () => {
+      files.clear();
+      pending?.reject(new Error('terminated'));
+      pending = null;
+    }
+  };
+  return backend;
+};
+
+const copyTask = (name = 'in.mp4') => ({
+  args: ['-i', name, 'out.mp4'],
+  files: [{ name, data: new Uint8Array([1, 2, 3]) }],
+  outputName: 'out.mp4',
+  mimeType: 'video/mp4',
+  duration: 2
+});
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createJobService', () => {
+  it('returns the output as a blob and cleans up after itself', async () => {
+    const backend = createFakeBackend();
+    const service = createJobService(backend);
+    const { blob, log } = await service.submit(copyTask()).result;
+    expect(blob.type).toBe('video/mp4');
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]));
+    expect(log).toHaveLength(2);
+    expect(backend.files.size).toBe(0);
+  });
+
+  it('cleans up when FFmpeg fails and attaches the log to the error', async () => {
+    const backend = createFakeBackend({ exitCode: 1 });
+    const service = createJobService(backend);
+    const err = await service.submit(copyTask()).result.catch((e) => e);
+    expect(err.message).toBe('ffmpeg exited with code 1');
+    expect(isCancelled(err)).toBe(false);
+    expect(err.log).toHaveLength(2);
+    expect(backend.files.size).toBe(0);
+  });
+
+  it('returns just the log for a job without an output', async () => {
+    const backend = createFakeBackend();
+    const service = createJobService(backend);
+    const { blob, log } = await service.submit({ ...copyTask(), args: ['-i', 'in.mp4', '-f', 'null', '-'], outputName: undefined }).result;
+    expect(blob).toBeNull();
+    expect(log).toHaveLength(2);
+    expect(backend.files.size).toBe(0);
+  });
+
+  it('reports progress against the expected duration', async () => {
+    const service = createJobService(createFakeBackend());
+    const updates = [];
+    const lines = [];
+    let started = false;
+    await service.submit(copyTask(), {
+      onStart: () => {
+        started = true;
+      },
+      onProgress: (update) => updates.push(update.fraction),
+      onLog: (line) => lines.push(line)
+    }).result;
+    expect(started).toBe(true);
+    expect(updates).toEqual([0.5, 1]);
+    expect(lines).toHaveLength(2);
+  });
+
+  it('reads file inputs from Blobs', async () => {
+    const backend = createFakeBackend();
+    const service = createJobService(backend);
+    const task = { ...copyTask(), files: [{ name: 'in.mp4', file: new Blob([new Uint8Array([9])]) }] };
+    const { blob } = await service.submit(task).result;
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(new Uint8Array([9]));
+  });
+
+  it('runs jobs one at a time in the order they were submitted', async () => {
+    const backend = createFakeBackend();
+    const service = createJobService(backend);
+    await Promise.all([service.submit(copyTask('a.mp4')).result, service.submit(copyTask('b.mp4')).result]);
+    expect(backend.calls.map((args) => args[1])).toEqual(['a.mp4', 'b.mp4']);
+    expect(backend.loads).toBe(1);
+  });
+
+  it('drops a queued job that is cancelled before it starts', async () => {
+    const backend = createFakeBackend();
+    const service = createJobService(backend);
+    const first = service.submit(copyTask('a.mp4'));
+    const second = service.submit(copyTask('b.mp4'));
+    second.cancel();
+    await first.result;
+    const err = await second.result.catch((e) => e);
+    expect(isCancelled(err)).toBe(true);
+    expect(backend.calls).toHaveLength(1);
+  });
+
+  it('terminates a running job and loads a fresh backend for the next one', async () => {
+    const backend = createFakeBackend({ hold: true });
+    const service = createJobService(backend);
+    const running = service.submit(copyTask());
+    await tick();
+    expect(backend.calls).toHaveLength(1);
+    running.cancel();
+    expect(isCancelled(await running.result.catch((e) => e))).toBe(true);
+
+    const next = service.submit(copyTask());
+    await tick();
+    backend.release();
+    await next.result;
+    expect(backend.loads).toBe(2);
+    expect(backend.files.size).toBe(0);
+  });
+
+  it('queues probes behind running jobs', async () => {
+    const backend = createFakeBackend({ hold: true });
+    const service = createJobService(backend);
+    const job = service.submit(copyTask());
+    const probe = service.probe({ name: 'clip.mp4' });
+    await tick();
+    expect(backend.events).toEqual(['exec:start']);
+    backend.release();
+    await job.result;
+    expect(await probe).toEqual({ name: 'clip.mp4' });
+    expect(backend.events).toEqual(['exec:start', 'exec:end', 'probe:clip.mp4']);
+  });
+});
+
+const hasNativeFFmpeg = (() => {
+  try {
+    execFileSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+describe.skipIf(!hasNativeFFmpeg)('createJobService with the native backend', () => {
+  it('renders a real file and leaves nothing behind', async () => {
+    const backend = createNativeBackend();
+    const service = createJobService(backend);
+    const { blob } = await service.submit({
+      args: ['-f', 'lavfi', '-i', 'testsrc=size=64x64:rate=10:duration=1', '-pix_fmt', 'yuv420p', 'out.mp4'],
+      files: [],
+      outputName: 'out.mp4',
+      mimeType: 'video/mp4',
+      duration: 1
+    }).result;
+    expect(blob.size).toBeGreaterThan(0);
+    expect(await readdir(backend.directory)).toEqual([]);
+  });
+});
@@ -0,0 +1,206 @@
+// Reads duration and frame size through a detached <video> element so clips
+// can be laid out on the timeline before FFmpeg ever sees them.
+export const readVideoMetadata = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.preload = 'metadata';
+  video.onloadedmetadata = () => {
+    resolve({
+      duration: video.duration,
+      width: video.videoWidth,
+      height: video.videoHeight
+    });
+    URL.revokeObjectURL(url);
+  };
+  video.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read metadata for ${file.name}`));
+  };
+  video.src = url;
+});
+
+// Containers browsers often report with an empty or non-video MIME type
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'wmv', 'flv', 'ts', 'mts', 'm2ts', '3gp', 'mxf', 'ogv'];
+export const VIDEO_ACCEPT = ['video/*', ...VIDEO_EXTENSIONS.map((extension) => `.${extension}`)].join(',');
+
+export const isVideoFile = (file) =>
+  file.type.startsWith('video/') || VIDEO_EXTENSIONS.includes(getFileExtension(file.name, ''));
+
+// Directory readers hand back entries in chunks until an empty one
+const readDirectory = async (entry) => {
+  const reader = entry.createReader();
+  const entries = [];
+  for (;;) {
+    const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (chunk.length === 0) return entries;
+    entries.push(...chunk);
+  }
+};
+
+const readEntry = async (entry, path) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: `${path}${file.name}` }];
+  }
+  const children = await readDirectory(entry);
+  const nested = await Promise.all(children.map((child) => readEntry(child, `${path}${entry.name}/`)));
+  return nested.flat();
+};
+
+// Files dropped on the page, with dropped folders walked recursively; each
+// comes with its path inside the drop so same-named files stay apart
+export const readDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files).map((file) => ({ file, path: file.name }));
+  }
+  const nested = await Promise.all(entries.map((entry) => readEntry(entry, '')));
+  return nested.flat();
+};
+
+export const getFileExtension = (name, fallback = 'mp4') => {
+  const match = /\.([a-z0-9]+)$/i.exec(name);
+  return match ? match[1].toLowerCase() : fallback;
+};
+
+const STANDARD_FRAME_RATES = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60];
+
+// Snaps a measured or probed rate to the nearest broadcast rate when it is
+// within a frame per second of one
+export const snapFrameRate = (measured) => {
+  const nearest = STANDARD_FRAME_RATES.reduce((best, rate) => (Math.abs(rate - measured) < Math.abs(best - measured) ? rate : best));
+  return Math.abs(nearest - measured) < 1 ? nearest : Math.round(measured);
+};
+
+// Browsers do not expose a frame rate, so it is measured by playing a few
+// frames muted and timing them with requestVideoFrameCallback; the median
+// frame interval is snapped to the nearest broadcast rate.
+export const estimateFrameRate = (file, fallback = 30) => new Promise((resolve) => {
+  const video = document.createElement('video');
+  if (!('requestVideoFrameCallback' in video)) {
+    resolve(fallback);
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const mediaTimes = [];
+  let settled = false;
+  const finish = (fps) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timeout);
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+    resolve(fps);
+  };
+  const timeout = setTimeout(() => finish(fallback), 2000);
+
+  const onFrame = (now, frame) => {
+    mediaTimes.push(frame.mediaTime);
+    if (mediaTimes.length < 12) {
+      video.requestVideoFrameCallback(onFrame);
+      return;
+    }
+    const intervals = mediaTimes.slice(1).map((t, i) => t - mediaTimes[i]).filter((d) => d > 0).sort((a, b) => a - b);
+    if (intervals.length === 0) {
+      finish(fallback);
+      return;
+    }
+    finish(snapFrameRate(1 / intervals[Math.floor(intervals.length / 2)]));
+  };
+
+  video.muted = true;
+  video.playsInline = true;
+  video.src = url;
+  video.requestVideoFrameCallback(onFrame);
+  video.play().catch(() => finish(fallback));
+});
+
+// Grabs frames at the given times as small JPEG data URLs for the filmstrip
+export const captureFrames = (url, times, height = 54) => new Promise((resolve, reject) => {
+  const video = document.createElement('video');
+  const canvas = document.createElement('canvas');
+  const frames = [];
+  video.muted = true;
+  video.preload = 'auto';
+
+  const captureNext = () => {
+    if (frames.length === times.length) {
+      video.removeAttribute('src');
+      video.load();
+      resolve(frames);
+      return;
+    }
+    video.currentTime = times[frames.length];
+  };
+
+  video.onloadeddata = () => {
+    canvas.height = height;
+    canvas.width = Math.round((video.videoWidth / video.videoHeight) * height) || Math.round(height * 16 / 9);
+    captureNext();
+  };
+  video.onseeked = () => {
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    frames.push(canvas.toDataURL('image/jpeg', 0.6));
+    captureNext();
+  };
+  video.onerror = () => reject(new Error('Could not decode video for thumbnails'));
+  video.src = url;
+});
+
+export const readAudioMetadata = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const audio = document.createElement('audio');
+  audio.preload = 'metadata';
+  audio.onloadedmetadata = () => {
+    resolve({ duration: audio.duration });
+    URL.revokeObjectURL(url);
+  };
+  audio.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read metadata for ${file.name}`));
+  };
+  audio.src = url;
+});
+
+// Decodes the whole audio track once and reduces it to per-bar peaks in
+// 0..1; video files decode too, as long as the browser supports the codec
+export const readWaveform = async (url, bars = 400) => {
+  const data = await (await fetch(url)).arrayBuffer();
+  const context = new OfflineAudioContext(1, 1, 44100);
+  const buffer = await context.decodeAudioData(data);
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+  const samplesPerBar = Math.max(1, Math.floor(buffer.length / bars));
+  const peaks = [];
+  for (let bar = 0; bar < bars; bar++) {
+    let peak = 0;
+    const start = bar * samplesPerBar;
+    const end = Math.min(start + samplesPerBar, buffer.length);
+    for (const channel of channels) {
+      for (let i = start; i < end; i++) {
+        const value = Math.abs(channel[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    peaks.push(peak);
+  }
+  const max = Math.max(...peaks, 0.01);
+  return peaks.map((peak) => peak / max);
+};
+
+// Bumpers such as end cards are often silent, and a missing audio stream
+// would break the joined audio, so they are checked by trying to decode one
+export const detectAudioTrack = async (file) => {
+  try {
+    const context = new OfflineAudioContext(1, 1, 44100);
+    const buffer = await context.decodeAudioData(await file.arrayBuffer());
+    return buffer.length > 0;
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,83 @@
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, join } from 'node:path';
+import { summarizeProbe } from './probe';
+
+// A job service backend for Node that runs a desktop ffmpeg in a scratch
+// directory standing in for the wasm filesystem, so tests can run real jobs
+// without a browser. It is never imported by the app.
+
+const run = (command, args, cwd, onLine, onSpawn) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+  onSpawn?.(child);
+  let stdout = '';
+  let pending = '';
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk;
+  });
+  // ffmpeg ends its progress lines with \r, so split on either
+  child.stderr.on('data', (chunk) => {
+    const lines = (pending + chunk).split(/\r\n|\r|\n/);
+    pending = lines.pop();
+    lines.forEach((line) => onLine?.(line));
+  });
+  child.on('error', reject);
+  child.on('close', (code, signal) => {
+    if (pending) onLine?.(pending);
+    if (signal) {
+      reject(new Error(`${command} was stopped by ${signal}`));
+    } else {
+      resolve({ code, stdout });
+    }
+  });
+});
+
+export const createNativeBackend = ({ ffmpegPath = 'ffmpeg', ffprobePath = 'ffprobe' } = {}) => {
+  let dir = null;
+  let child = null;
+
+  return {
+    // Exposed so tests can check what a job left behind
+    get directory() {
+      return dir;
+    },
+    // Each load starts from an empty directory, so a reload drops the last one
+    load: async () => {
+      if (dir) await rm(dir, { recursive: true, force: true });
+      dir = await mkdtemp(join(tmpdir(), 'ffmpeg-jobs-'));
+      return { multiThreaded: true };
+    },
+    writeFile: (name, data) => writeFile(join(dir, name), data),
+    readFile: async (name) => new Uint8Array(await readFile(join(dir, name))),
+    deleteFile: (name) => rm(join(dir, name)),
+    exec: async (args, onLog) => {
+      const { code } = await run(ffmpegPath, ['-nostdin', '-y', ...args], dir, onLog, (spawned) => {
+        child = spawned;
+      });
+      child = null;
+      return code;
+    },
+    probe: async (file) => {
+      const name = `probe-${basename(file.name)}`;
+      await writeFile(join(dir, name), new Uint8Array(await file.arrayBuffer()));
+      try {
+        const { code, stdout } = await run(ffprobePath, ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', name], dir);
+        if (code !== 0) {
+          throw new Error(`ffprobe exited with code ${code}`);
+        }
+        return summarizeProbe(JSON.parse(stdout));
+      } finally {
+        await rm(join(dir, name), { force: true });
+      }
+    },
+    terminate: () => {
+      child?.kill('SIGKILL');
+      child = null;
+      if (dir) {
+        rm(dir, { recursive: true, force: true }).catch(() => {});
+        dir = null;
+      }
+    }
+  };
+};
@@ -0,0 +1,227 @@
+import { OVERLAY_FONTS } from './fonts';
+
+const DEFAULT_LAYER_LENGTH = 5;
+// Keyframes closer than this to the playhead are edited rather than added
+const KEYFRAME_TOLERANCE = 0.05;
+
+// Positions are fractions of the output frame; the anchor says which point
+// of the layer sits there, so corner watermarks stay put whatever their size
+export const WATERMARK_CORNERS = {
+  'top-left': { x: 0.03, y: 0.04, anchorX: 0, anchorY: 0 },
+  'top-right': { x: 0.97, y: 0.04, anchorX: 1, anchorY: 0 },
+  'bottom-left': { x: 0.03, y: 0.96, anchorX: 0, anchorY: 1 },
+  'bottom-right': { x: 0.97, y: 0.96, anchorX: 1, anchorY: 1 }
+};
+
+let layerCounter = 0;
+
+const createLayer = (type, name, start, duration) => ({
+  id: `layer-${Date.now()}-${layerCounter++}`,
+  type,
+  name,
+  start,
+  end: start + Math.min(DEFAULT_LAYER_LENGTH, duration || DEFAULT_LAYER_LENGTH),
+  x: 0.5,
+  y: 0.5,
+  anchorX: 0.5,
+  anchorY: 0.5,
+  opacity: 1,
+  keyframes: []
+});
+
+export const createTextLayer = (start, duration) => ({
+  ...createLayer('text', 'Title', start, duration),
+  text: 'Title',
+  font: 'sansBold',
+  fontSize: 0.08,
+  color: '#ffffff',
+  outlineColor: '#000000',
+  outline: 0.05,
+  box: false,
+  boxColor: '#000000',
+  boxOpacity: 0.5
+});
+
+// Images are kept as data URLs so logos travel inside the project file and
+// never need relinking
+export const createImageLayer = (image, start, duration) => ({
+  ...createLayer('image', image.name, start, duration),
+  image,
+  width: 0.2
+});
+
+// Watermarks run for the whole timeline in a corner
+export const createWatermarkLayer = (image, duration, corner = 'bottom-right') => ({
+  ...createImageLayer(image, 0, duration),
+  ...WATERMARK_CORNERS[corner],
+  end: duration,
+  width: 0.15,
+  opacity: 0.8
+});
+
+export const readImageFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const img = new Image();
+    img.onload = () => resolve({ name: file.name, dataUrl: reader.result, width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = () => reject(new Error(`Could not read image ${file.name}`));
+    img.src = reader.result;
+  };
+  reader.onerror = () => reject(new Error(`Could not read image ${file.name}`));
+  reader.readAsDataURL(file);
+});
+
+const ANIMATED = ['x', 'y', 'opacity'];
+
+const sortKeyframes = (keyframes) => [...keyframes].sort((a, b) => a.time - b.time);
+
+const pick = (keyframe) => ({ x: keyframe.x, y: keyframe.y, opacity: keyframe.opacity });
+
+// Position and opacity at a timeline time, interpolated linearly between
+// keyframes and held before the first and after the last
+export const getLayerState = (layer, time) => {
+  const keyframes = sortKeyframes(layer.keyframes);
+  if (keyframes.length === 0) {
+    return { x: layer.x, y: layer.y, opacity: layer.opacity };
+  }
+  const nextIndex = keyframes.findIndex((keyframe) => keyframe.time > time);
+  if (nextIndex === 0) return pick(keyframes[0]);
+  if (nextIndex === -1) return pick(keyframes[keyframes.length - 1]);
+  const a = keyframes[nextIndex - 1];
+  const b = keyframes[nextIndex];
+  const progress = (time - a.time) / (b.time - a.time);
+  return Object.fromEntries(ANIMATED.map((key) => [key, a[key] + (b[key] - a[key]) * progress]));
+};
+
+export const isLayerVisible = (layer, time) => time >= layer.start && time < layer.end;
+
+export const findKeyframe = (layer, time) =>
+  layer.keyframes.find((keyframe) => Math.abs(keyframe.time - time) < KEYFRAME_TOLERANCE) || null;
+
+// Without keyframes an edit moves the layer as a whole; once it is animated
+// the edit lands on the keyframe at the playhead, creating one if needed
+export const setLayerState = (layer, time, patch) => {
+  if (layer.keyframes.length === 0) {
+    return { ...layer, ...patch };
+  }
+  const existing = findKeyframe(layer, time);
+  const keyframe = { ...getLayerState(layer, time), ...existing, ...patch, time: existing ? existing.time : time };
+  const others = layer.keyframes.filter((k) => k !== existing);
+  return { ...layer, keyframes: sortKeyframes([...others, { id: existing?.id || `key-${Date.now()}-${layerCounter++}`, ...keyframe }]) };
+};
+
+export const addKeyframe = (layer, time) => {
+  if (findKeyframe(layer, time)) return layer;
+  const keyframe = { id: `key-${Date.now()}-${layerCounter++}`, time, ...getLayerState(layer, time) };
+  return { ...layer, keyframes: sortKeyframes([...layer.keyframes, keyframe]) };
+};
+
+export const removeKeyframe = (layer, id) => ({
+  ...layer,
+  keyframes: layer.keyframes.filter((keyframe) => keyframe.id !== id)
+});
+
+const round = (value) => Number(value.toFixed(4));
+
+// Piecewise-linear ffmpeg expression over the given time variable, matching
+// getLayerState; commas are fine because callers quote the expression
+export const getKeyframeExpression = (layer, key, variable = 't') => {
+  const keyframes = sortKeyframes(layer.keyframes);
+  if (keyframes.length === 0) return String(round(layer[key]));
+
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  let expression = String(round(last[key]));
+  for (let i = keyframes.length - 2; i >= 0; i--) {
+    const a = keyframes[i];
+    const b = keyframes[i + 1];
+    const slope = round((b[key] - a[key]) / (b.time - a.time));
+    expression = `if(lt(${variable},${round(b.time)}),${round(a[key])}+${slope}*(${variable}-${round(a.time)}),${expression})`;
+  }
+  return `if(lt(${variable},${round(first.time)}),${round(first[key])},${expression})`;
+};
+
+const hasKeyframed = (layer, key) =>
+  layer.keyframes.length > 1 && layer.keyframes.some((keyframe) => keyframe[key] !== layer.keyframes[0][key]);
+
+const toColor = (hex, alpha = 1) => `${hex}@${round(alpha)}`;
+
+export const getTextFontSize = (layer, frameHeight) => Math.max(1, Math.round(layer.fontSize * frameHeight));
+
+// Each layer becomes either a drawtext filter in the main chain or an image
+// input composited with overlay; frame is the cropped output frame in pixels
+// and files names what must be written to the ffmpeg filesystem
+export const getOverlaySteps = (layers, frame) =>
+  layers.map((layer, i) => {
+    const enable = `enable='between(t,${round(layer.start)},${round(layer.end)})'`;
+    const x = getKeyframeExpression(layer, 'x');
+    const y = getKeyframeExpression(layer, 'y');
+    const opacity = getKeyframeExpression(layer, 'opacity');
+
+    if (layer.type === 'text') {
+      const fontSize = getTextFontSize(layer, frame.height);
+      const font = OVERLAY_FONTS[layer.font] || OVERLAY_FONTS.sans;
+      const textFile = `overlay${i}.txt`;
+      const options = [
+        `fontfile=${font.file}`,
+        `textfile=${textFile}`,
+        'expansion=none',
+        `fontsize=${fontSize}`,
+        `fontcolor=${toColor(layer.color)}`,
+        `x='w*(${x})-text_w*${layer.anchorX}'`,
+        `y='h*(${y})-text_h*${layer.anchorY}'`,
+        `alpha='${opacity}'`
+      ];
+      if (layer.outline > 0) {
+        options.push(`borderw=${Math.max(1, Math.round(layer.outline * fontSize))}`, `bordercolor=${toColor(layer.outlineColor)}`);
+      }
+      if (layer.box) {
+        options.push('box=1', `boxcolor=${toColor(layer.boxColor, layer.boxOpacity)}`, `boxborderw=${Math.round(fontSize * 0.25)}`);
+      }
+      options.push(enable);
+      return {
+        filter: `drawtext=${options.join(':')}`,
+        files: [{ name: textFile, data: layer.text }, { name: font.file, url: font.url }]
+      };
+    }
+
+    const width = Math.max(2, Math.round((layer.width * frame.width) / 2) * 2);
+    const imageFile = `overlay${i}.${layer.image.dataUrl.startsWith('data:image/jpeg') ? 'jpg' : 'png'}`;
+    // overlay has no opacity of its own, so alpha is scaled on the image;
+    // an animated fade needs geq, which sees the image's own clock as T
+    const alpha = hasKeyframed(layer, 'opacity')
+      ? `geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='alpha(X,Y)*(${getKeyframeExpression(layer, 'opacity', 'T')})'`
+      : `colorchannelmixer=aa=${round(getLayerState(layer, layer.start).opacity)}`;
+    return {
+      image: imageFile,
+      prepare: `format=rgba,scale=${width}:-2,${alpha}`,
+      overlay: `overlay=x='main_w*(${x})-overlay_w*${layer.anchorX}':y='main_h*(${y})-overlay_h*${layer.anchorY}':${enable}`,
+      files: [{ name: imageFile, url: layer.image.dataUrl }]
+    };
+  });
+
+// Chains the main video through the overlay steps: drawtext joins the
+// running chain, each image splits it at an overlay. before and after are
+// the plain filters either side; image inputs are numbered from
+// firstImageInput in step order
+export const getOverlayGraph = ({ sourceLabel, before, steps, after, firstImageInput }) => {
+  const chains = [];
+  let label = sourceLabel;
+  let pending = [...before];
+  let imageInput = firstImageInput;
+
+  steps.forEach((step, i) => {
+    if (step.filter) {
+      pending.push(step.filter);
+      return;
+    }
+    chains.push(`[${label}]${pending.join(',') || 'null'}[vbase${i}]`);
+    chains.push(`[${imageInput++}:v]${step.prepare}[vimage${i}]`);
+    chains.push(`[vbase${i}][vimage${i}]${step.overlay}[voverlay${i}]`);
+    label = `voverlay${i}`;
+    pending = [];
+  });
+
+  chains.push(`[${label}]${[...pending, ...after].join(',') || 'null'}[vout]`);
+  return chains;
+};
@@ -0,0 +1,157 @@
+const PROBE_DIR = '/probe';
+const PROBE_OUTPUT = 'probe.json';
+
+const SLOW_CODECS = {
+  hevc: 'HEVC (H.265)',
+  vp9: 'VP9',
+  av1: 'AV1',
+  prores: 'ProRes'
+};
+const LARGE_FILE = 500 * 1024 * 1024;
+// ffmpeg.wasm keeps inputs in a 32-bit heap, so bigger files cannot be read
+const MAX_FILE = 2 * 1024 * 1024 * 1024;
+const UHD_PIXELS = 2560 * 1440;
+
+const parseRate = (rate) => {
+  const [num, den] = String(rate || '0/1').split('/').map(Number);
+  return den ? num / den : num || 0;
+};
+
+const parseNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Rotation the player applies on top of the coded frame, from the display
+// matrix side data or the older rotate tag, as clockwise degrees
+const getStreamRotation = (stream) => {
+  const matrix = (stream.side_data_list || []).find((data) => data.rotation !== undefined);
+  const degrees = matrix ? -Number(matrix.rotation) : Number(stream.tags?.rotate || 0);
+  return ((Math.round(degrees) % 360) + 360) % 360;
+};
+
+// Reduces ffprobe's JSON to what the editor shows and reasons about
+export const summarizeProbe = (probe) => {
+  const streams = probe.streams || [];
+  const video = streams.find((stream) => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+  const rotation = video ? getStreamRotation(video) : 0;
+  const [sarNum, sarDen] = String(video?.sample_aspect_ratio || '1:1').split(':').map(Number);
+
+  return {
+    container: probe.format?.format_long_name || probe.format?.format_name || 'Unknown',
+    duration: parseNumber(probe.format?.duration),
+    bitrate: parseNumber(probe.format?.bit_rate),
+    streamCount: streams.length,
+    video: video
+      ? {
+        codec: video.codec_name,
+        codecName: video.codec_long_name || video.codec_name,
+        profile: video.profile || null,
+        codedWidth: video.width,
+        codedHeight: video.height,
+        // FFmpeg rotates the frame on decode, so filters see these
+        width: rotation % 180 === 90 ? video.height : video.width,
+        height: rotation % 180 === 90 ? video.width : video.height,
+        sampleAspect: sarNum && sarDen ? sarNum / sarDen : 1,
+        fps: parseRate(video.avg_frame_rate) || parseRate(video.r_frame_rate),
+        baseFps: parseRate(video.r_frame_rate),
+        pixelFormat: video.pix_fmt || null,
+        bitDepth: parseNumber(video.bits_per_raw_sample) || (/1[02]le|1[02]be|p010/.test(video.pix_fmt || '') ? 10 : 8),
+        fieldOrder: video.field_order || 'unknown',
+        bitrate: parseNumber(video.bit_rate),
+        rotation
+      }
+      : null,
+    audio: streams
+      .filter((stream) => stream.codec_type === 'audio')
+      .map((stream) => ({
+        codec: stream.codec_name,
+        codecName: stream.codec_long_name || stream.codec_name,
+        channels: stream.channels,
+        channelLayout: stream.channel_layout || null,
+        sampleRate: parseNumber(stream.sample_rate),
+        bitrate: parseNumber(stream.bit_rate),
+        language: stream.tags?.language || null
+      })),
+    subtitleCount: streams.filter((stream) => stream.codec_type === 'subtitle').length
+  };
+};
+
+// Width over height as the frame is shown, with non-square pixels applied
+export const getDisplayAspect = (info) =>
+  info?.video ? (info.video.width * info.video.sampleAspect) / info.video.height : null;
+
+export const isVariableFrameRate = (info) =>
+  Boolean(info?.video?.baseFps && info.video.fps) &&
+  Math.abs(info.video.baseFps - info.video.fps) / info.video.fps > 0.01;
+
+export const getProbeWarnings = (info, size) => {
+  const warnings = [];
+  const add = (level, message) => warnings.push({ level, message });
+  if (size > MAX_FILE) {
+    add('error', 'Files over 2 GB do not fit in FFmpeg.wasm memory and will fail to render. Trim or compress the file first.');
+  } else if (size > LARGE_FILE) {
+    add('warning', 'Large file: it is copied into browser memory for every render, which is slow and may run out of memory.');
+  }
+  if (!info.video) {
+    add('error', 'No video stream found. This file cannot be edited as video.');
+    return warnings;
+  }
+  if (SLOW_CODECS[info.video.codec]) {
+    add('warning', `${SLOW_CODECS[info.video.codec]} is decoded in software here, so renders will be slow; some browsers cannot preview it at all.`);
+  }
+  if (info.video.width * info.video.height > UHD_PIXELS) {
+    add('warning', `${info.video.width}×${info.video.height} is above 1440p; renders will be slow. A smaller export preset helps.`);
+  }
+  if (isVariableFrameRate(info)) {
+    add('warning', `Variable frame rate (averages ${info.video.fps.toFixed(2)} fps). Exports are converted to a constant rate, so audio may drift slightly on long clips.`);
+  }
+  if (info.video.bitDepth > 8) {
+    add('info', `${info.video.bitDepth}-bit video is converted to 8-bit on export.`);
+  }
+  if (info.video.fieldOrder !== 'progressive' && info.video.fieldOrder !== 'unknown') {
+    add('warning', 'Interlaced video: expect combing on motion unless the source is deinterlaced first.');
+  }
+  if (info.video.rotation) {
+    add('info', `Rotated ${info.video.rotation}° by metadata; the rotation is applied automatically.`);
+  }
+  if (info.video.sampleAspect !== 1) {
+    add('info', 'Non-square pixels: the output keeps the source pixel shape.');
+  }
+  if (info.audio.length === 0) {
+    add('info', 'No audio stream.');
+  } else if (info.audio.length > 1) {
+    add('info', `${info.audio.length} audio tracks; only the first is used.`);
+  }
+  return warnings;
+};
+
+// Runs ffprobe on the file through a WORKERFS mount, which reads the File
+// lazily instead of copying all of it into the FFmpeg heap
+export const probeMedia = async (ffmpeg, file) => {
+  await ffmpeg.createDir(PROBE_DIR);
+  try {
+    await ffmpeg.mount('WORKERFS', { files: [file] }, PROBE_DIR);
+    try {
+      const exitCode = await ffmpeg.ffprobe([
+        '-v', 'error',
+        '-show_format',
+        '-show_streams',
+        '-of', 'json',
+        `${PROBE_DIR}/${file.name}`,
+        '-o', PROBE_OUTPUT
+      ]);
+      if (exitCode !== 0) {
+        throw new Error(`ffprobe exited with code ${exitCode}`);
+      }
+      const json = await ffmpeg.readFile(PROBE_OUTPUT, 'utf8');
+      return summarizeProbe(JSON.parse(json));
+    } finally {
+      // A failed probe may not have written its output
+      await ffmpeg.deleteFile(PROBE_OUTPUT).catch(() => {});
+      await ffmpeg.unmount(PROBE_DIR);
+    }
+  } finally {
+    await ffmpeg.deleteDir(PROBE_DIR);
+  }
+};
@@ -0,0 +1,142 @@
+export const PROJECT_FORMAT = 'pro-video-editor-project';
+export const PROJECT_VERSION = 7;
+
+export const createProjectId = () => `project-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Hashing multi-gigabyte files in the browser is too slow to do on upload,
+// so media is fingerprinted from its size plus the first and last 2 MB
+const FINGERPRINT_CHUNK = 2 * 1024 * 1024;
+
+export const fingerprintFile = async (file) => {
+  const head = await file.slice(0, FINGERPRINT_CHUNK).arrayBuffer();
+  const tail = await file.slice(Math.max(0, file.size - FINGERPRINT_CHUNK)).arrayBuffer();
+  const sizeBytes = new TextEncoder().encode(String(file.size));
+  const combined = new Uint8Array(sizeBytes.byteLength + head.byteLength + tail.byteLength);
+  combined.set(sizeBytes, 0);
+  combined.set(new Uint8Array(head), sizeBytes.byteLength);
+  combined.set(new Uint8Array(tail), sizeBytes.byteLength + head.byteLength);
+  const digest = await crypto.subtle.digest('SHA-256', combined);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Bumpers and the second source play in full, so no trim is stored for them
+const describeVideo = (video) => (video
+  ? {
+    id: video.id,
+    name: video.name,
+    size: video.size,
+    type: video.type,
+    duration: video.duration,
+    width: video.width,
+    height: video.height,
+    fps: video.fps,
+    hasAudio: video.hasAudio,
+    hash: video.hash
+  }
+  : null);
+
+export const createProjectDocument = ({ id, name, clips, music, bumpers, secondVideo, edit }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  id,
+  name,
+  savedAt: new Date().toISOString(),
+  edit,
+  media: clips.map((clip) => ({
+    id: clip.id,
+    name: clip.name,
+    size: clip.size,
+    type: clip.type,
+    duration: clip.duration,
+    width: clip.width,
+    height: clip.height,
+    fps: clip.fps,
+    hash: clip.hash,
+    trimStart: clip.trimStart,
+    trimEnd: clip.trimEnd,
+    retimes: clip.retimes,
+    splits: clip.splits,
+    cuts: clip.cuts
+  })),
+  music: music
+    ? {
+      id: music.id,
+      name: music.name,
+      size: music.size,
+      type: music.type,
+      duration: music.duration,
+      hash: music.hash
+    }
+    : null,
+  bumpers: {
+    intro: describeVideo(bumpers.intro),
+    outro: describeVideo(bumpers.outro)
+  },
+  secondVideo: describeVideo(secondVideo)
+});
+
+// Older versions are migrated forward here as the format grows; each entry
+// upgrades a document from its key version to the next
+const migrations = {
+  // v1 stored trim points as 0-100 percentages of the clip
+  1: (project) => ({
+    ...project,
+    version: 2,
+    media: project.media.map((media) => ({
+      ...media,
+      fps: media.fps || 30,
+      trimStart: (media.trimStart / 100) * media.duration,
+      trimEnd: (media.trimEnd / 100) * media.duration
+    }))
+  }),
+  // v3 added the background music track
+  2: (project) => ({ ...project, version: 3, music: null }),
+  // v4 added speed, reverse and freeze ranges per clip
+  3: (project) => ({
+    ...project,
+    version: 4,
+    media: project.media.map((media) => ({ ...media, retimes: [] }))
+  }),
+  // v5 added intro and outro bumpers
+  4: (project) => ({ ...project, version: 5, bumpers: { intro: null, outro: null } }),
+  // v6 added split points and cut segments per clip
+  5: (project) => ({
+    ...project,
+    version: 6,
+    media: project.media.map((media) => ({ ...media, splits: [], cuts: [] }))
+  }),
+  // v7 added the second source for picture-in-picture and split frames
+  6: (project) => ({ ...project, version: 7, secondVideo: null })
+};
+
+export const parseProjectDocument = (text) => {
+  let project;
+  try {
+    project = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch {
+    throw new Error('Project file is not valid JSON.');
+  }
+
+  if (project?.format !== PROJECT_FORMAT) {
+    throw new Error('This file is not a Pro Video Editor project.');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this editor supports.`);
+  }
+
+  for (let version = project.version; version < PROJECT_VERSION; version++) {
+    project = migrations[version](project);
+  }
+
+  if (!Array.isArray(project.media) || typeof project.edit !== 'object') {
+    throw new Error('Project file is missing its media or edit settings.');
+  }
+  return project;
+};
+
+// Matches a picked file to a missing media entry, preferring the content
+// fingerprint and falling back to name and size
+export const findMediaMatch = (media, file, fingerprint) =>
+  media.find((entry) => entry.hash && entry.hash === fingerprint) ||
+  media.find((entry) => entry.name === file.name && entry.size === file.size) ||
+  null;
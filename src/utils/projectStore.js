@@ -0,0 +1,67 @@
+const DB_NAME = 'pro-video-editor';
+const DB_VERSION = 2;
+const STORE = 'projects';
+// Intro and outro bumpers are kept with their files so any project can reuse them
+const BUMPER_STORE = 'bumpers';
+
+export const MAX_AUTOSAVED_PROJECTS = 10;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    if (event.oldVersion < 1) {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('savedAt', 'savedAt');
+    }
+    if (event.oldVersion < 2) {
+      request.result.createObjectStore(BUMPER_STORE, { keyPath: 'hash' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (mode, operation, storeName = STORE) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result?.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+export const listProjects = async () => {
+  const projects = await runTransaction('readonly', (store) => store.getAll());
+  return projects.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+export const getProject = (id) => runTransaction('readonly', (store) => store.get(id));
+
+export const deleteProject = (id) => runTransaction('readwrite', (store) => store.delete(id));
+
+// Saves the project and drops the oldest ones beyond the autosave limit
+export const saveProject = async (project) => {
+  await runTransaction('readwrite', (store) => store.put(project));
+  const projects = await listProjects();
+  for (const stale of projects.slice(MAX_AUTOSAVED_PROJECTS)) {
+    await deleteProject(stale.id);
+  }
+};
+
+export const listBumpers = async () => {
+  const bumpers = await runTransaction('readonly', (store) => store.getAll(), BUMPER_STORE);
+  return bumpers.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+// Keyed by content fingerprint, so adding the same file again replaces it
+export const saveBumper = (bumper) =>
+  runTransaction('readwrite', (store) => store.put({ ...bumper, savedAt: new Date().toISOString() }), BUMPER_STORE);
+
+export const deleteBumper = (hash) => runTransaction('readwrite', (store) => store.delete(hash), BUMPER_STORE);
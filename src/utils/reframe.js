@@ -0,0 +1,98 @@
+import { findKeyframe, getKeyframeExpression } from './overlays';
+
+// How a frame is fitted into an aspect target of a different shape
+export const REFRAME_MODES = [
+  { id: 'pad', label: 'Letterbox' },
+  { id: 'blur', label: 'Blur Fill' },
+  { id: 'fill', label: 'Crop to Fill' },
+  { id: 'pan', label: 'Pan & Scan' }
+];
+
+// x and y place the pan window along the frame it slides across, from 0 at
+// the left or top edge to 1 at the right or bottom; only one of them moves
+// anything, depending on whether the target is narrower or wider
+export const DEFAULT_REFRAME = { mode: 'pad', x: 0.5, y: 0.5, keyframes: [] };
+
+const ANIMATED = ['x', 'y'];
+
+let keyframeCounter = 0;
+
+const sortKeyframes = (keyframes) => [...keyframes].sort((a, b) => a.time - b.time);
+
+const pick = (keyframe) => ({ x: keyframe.x, y: keyframe.y });
+
+// The pan position at a timeline time, interpolated between keyframes the
+// same way overlay layers are
+export const getPanAt = (reframe, time) => {
+  const keyframes = sortKeyframes(reframe.keyframes);
+  if (keyframes.length === 0) return pick(reframe);
+  const nextIndex = keyframes.findIndex((keyframe) => keyframe.time > time);
+  if (nextIndex === 0) return pick(keyframes[0]);
+  if (nextIndex === -1) return pick(keyframes[keyframes.length - 1]);
+  const a = keyframes[nextIndex - 1];
+  const b = keyframes[nextIndex];
+  const progress = (time - a.time) / (b.time - a.time);
+  return Object.fromEntries(ANIMATED.map((key) => [key, a[key] + (b[key] - a[key]) * progress]));
+};
+
+// Without keyframes the window moves as a whole; once it is animated the
+// move lands on the keyframe at the playhead, creating one if needed
+export const setPanAt = (reframe, time, patch) => {
+  if (reframe.keyframes.length === 0) {
+    return { ...reframe, ...patch };
+  }
+  const existing = findKeyframe(reframe, time);
+  const keyframe = { ...getPanAt(reframe, time), ...patch, time: existing ? existing.time : time };
+  const others = reframe.keyframes.filter((k) => k !== existing);
+  return { ...reframe, keyframes: sortKeyframes([...others, { id: existing?.id || `pan-${Date.now()}-${keyframeCounter++}`, ...keyframe }]) };
+};
+
+export const addPanKeyframe = (reframe, time) => {
+  if (findKeyframe(reframe, time)) return reframe;
+  const keyframe = { id: `pan-${Date.now()}-${keyframeCounter++}`, time, ...getPanAt(reframe, time) };
+  return { ...reframe, keyframes: sortKeyframes([...reframe.keyframes, keyframe]) };
+};
+
+export const removePanKeyframe = (reframe, id) => ({
+  ...reframe,
+  keyframes: reframe.keyframes.filter((keyframe) => keyframe.id !== id)
+});
+
+// Whether the preview shows the frame cropped to fill the target, and where
+// the crop sits
+export const getPreviewFill = (reframe, time) => {
+  if (reframe.mode === 'fill') return { x: 0.5, y: 0.5 };
+  if (reframe.mode === 'pan') return getPanAt(reframe, time);
+  return null;
+};
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Filters fitting the frame into width x height. Labels get suffix so
+// several copies can share one graph. time fixes the pan position for a
+// single frame, whose own timestamp says nothing about the timeline.
+export const getReframeFilter = (reframe, { width, height }, { time = null, suffix = '' } = {}) => {
+  switch (reframe.mode) {
+    case 'blur': {
+      // Blurring a quarter-size copy looks the same and costs far less
+      const small = { width: even(width / 4), height: even(height / 4) };
+      const [background, foreground, blurred, fitted] = ['bg', 'fg', 'blur', 'fit'].map((name) => `reframe_${name}${suffix}`);
+      return [
+        `split[${background}][${foreground}]`,
+        `[${background}]scale=${small.width}:${small.height}:force_original_aspect_ratio=increase,crop=${small.width}:${small.height},boxblur=10:2,scale=${width}:${height},setsar=1[${blurred}]`,
+        `[${foreground}]scale=${width}:${height}:force_original_aspect_ratio=decrease,setsar=1[${fitted}]`,
+        `[${blurred}][${fitted}]overlay=(W-w)/2:(H-h)/2`
+      ].join(';');
+    }
+    case 'fill':
+      return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+    case 'pan': {
+      // The largest window of the target's shape, slid across the frame
+      const position = time === null ? null : getPanAt(reframe, time);
+      const [x, y] = ANIMATED.map((key) => (position ? String(Number(position[key].toFixed(4))) : getKeyframeExpression(reframe, key)));
+      return `crop=w='min(iw,ih*${width}/${height})':h='min(ih,iw*${height}/${width})':x='(iw-ow)*(${x})':y='(ih-oh)*(${y})',scale=${width}:${height},setsar=1`;
+    }
+    default:
+      return `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+  }
+};
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_REFRAME, addPanKeyframe, getPanAt, getPreviewFill, getReframeFilter, removePanKeyframe, setPanAt } from './reframe';
+import { clampOutputSize, getAspectRatioFilter, getAspectSize, getOutputFrameSize } from './filters';
+
+const SIZE = { width: 1080, height: 1920 };
+
+const panning = (keyframes) => ({ ...DEFAULT_REFRAME, mode: 'pan', keyframes });
+
+describe('getReframeFilter', () => {
+  it('letterboxes by default', () => {
+    expect(getReframeFilter(DEFAULT_REFRAME, SIZE)).toBe('scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2');
+  });
+
+  it('crops to fill the target', () => {
+    expect(getReframeFilter({ ...DEFAULT_REFRAME, mode: 'fill' }, SIZE)).toBe('scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920,setsar=1');
+  });
+
+  it('fits the frame over a blurred copy, with labels kept apart by suffix', () => {
+    const filter = getReframeFilter({ ...DEFAULT_REFRAME, mode: 'blur' }, SIZE, { suffix: 3 });
+    expect(filter.split(';')).toEqual([
+      'split[reframe_bg3][reframe_fg3]',
+      '[reframe_bg3]scale=270:480:force_original_aspect_ratio=increase,crop=270:480,boxblur=10:2,scale=1080:1920,setsar=1[reframe_blur3]',
+      '[reframe_fg3]scale=1080:1920:force_original_aspect_ratio=decrease,setsar=1[reframe_fit3]',
+      '[reframe_blur3][reframe_fit3]overlay=(W-w)/2:(H-h)/2'
+    ]);
+  });
+
+  it('slides a pan window along keyframes, or fixes it for one frame', () => {
+    const reframe = panning([{ id: 'a', time: 0, x: 0, y: 0.5 }, { id: 'b', time: 2, x: 1, y: 0.5 }]);
+    expect(getReframeFilter(reframe, SIZE)).toBe(
+      "crop=w='min(iw,ih*1080/1920)':h='min(ih,iw*1920/1080)':x='(iw-ow)*(if(lt(t,0),0,if(lt(t,2),0+0.5*(t-0),1)))':y='(ih-oh)*(if(lt(t,0),0.5,if(lt(t,2),0.5+0*(t-0),0.5)))',scale=1080:1920,setsar=1"
+    );
+    expect(getReframeFilter(reframe, SIZE, { time: 1 })).toContain("x='(iw-ow)*(0.5)'");
+  });
+});
+
+describe('pan keyframes', () => {
+  it('interpolates between keyframes and holds past the ends', () => {
+    const reframe = panning([{ id: 'a', time: 1, x: 0.2, y: 0.5 }, { id: 'b', time: 3, x: 0.8, y: 0.5 }]);
+    expect(getPanAt(reframe, 0)).toEqual({ x: 0.2, y: 0.5 });
+    expect(getPanAt(reframe, 2).x).toBeCloseTo(0.5);
+    expect(getPanAt(reframe, 5)).toEqual({ x: 0.8, y: 0.5 });
+  });
+
+  it('moves a static window as a whole and an animated one at the playhead', () => {
+    expect(setPanAt(panning([]), 4, { x: 0.1 })).toMatchObject({ x: 0.1, keyframes: [] });
+    const animated = addPanKeyframe(panning([]), 0);
+    const moved = setPanAt(animated, 2, { x: 1 });
+    expect(moved.keyframes.map(({ time, x }) => [time, x])).toEqual([[0, 0.5], [2, 1]]);
+    expect(removePanKeyframe(moved, moved.keyframes[0].id).keyframes).toHaveLength(1);
+  });
+
+  it('only shows a cropped preview when the frame fills the target', () => {
+    expect(getPreviewFill(DEFAULT_REFRAME, 0)).toBeNull();
+    expect(getPreviewFill({ ...DEFAULT_REFRAME, mode: 'blur' }, 0)).toBeNull();
+    expect(getPreviewFill({ ...DEFAULT_REFRAME, mode: 'fill', x: 0 }, 0)).toEqual({ x: 0.5, y: 0.5 });
+    expect(getPreviewFill({ ...DEFAULT_REFRAME, mode: 'pan', x: 0 }, 0)).toEqual({ x: 0, y: 0.5 });
+  });
+});
+
+describe('output size', () => {
+  it('uses a custom size per target, falling back to the defaults', () => {
+    expect(getAspectSize('9:16', { '9:16': { width: 720, height: 1280 } })).toEqual({ width: 720, height: 1280 });
+    expect(getAspectSize('1:1')).toEqual({ width: 1080, height: 1080 });
+    expect(getAspectSize('original')).toBeNull();
+    expect(getOutputFrameSize('original', { width: 640, height: 360 }, {})).toEqual({ width: 640, height: 360 });
+    expect(getAspectRatioFilter('16:9', { aspectSizes: { '16:9': { width: 1280, height: 720 } } })).toContain('pad=1280:720');
+  });
+
+  it('keeps sizes even and within encoder limits', () => {
+    expect(clampOutputSize({ width: 1279, height: 3 })).toEqual({ width: 1280, height: 16 });
+    expect(clampOutputSize({ width: 20000, height: 'abc' })).toEqual({ width: 8192, height: 16 });
+  });
+});
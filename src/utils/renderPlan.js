@@ -0,0 +1,306 @@
+import { getAudioMixChains, getFadeFilters, isAudioMixActive } from './audio';
+import { getClipRange, getConcatTarget, getTimelineDuration } from './clips';
+import { DEFAULT_COMPOSITE, getCompositeAudioChains, getCompositeChains, getCompositeInputArgs } from './composite';
+import { DEFAULT_CORRECTION, TRANSFORMS_NAME, getLensFilters, getStabiliseDetectFilter, getStabiliseFilters, getStabiliser } from './correction';
+import { EXPORT_FORMATS, getPresetCodecArgs, getPresetFilters } from './exportPresets';
+import { GRADE_LUT_NAME, getAspectRatioFilter, getFrameFilters, getNormaliseFilters, usesGradeLut } from './filters';
+import { getFileExtension } from './media';
+import { getOverlayGraph, getOverlaySteps } from './overlays';
+import { getClipOutputLength, getRetimeChains, isRetimed } from './retime';
+import { getEdgeFades, getJoinChains, getSequence, getSequenceJoins, hasTransitions } from './sequence';
+import { serializeSrt } from './subtitles';
+import { DEFAULT_FPS } from './time';
+
+// Only a probe can tell that a file has no audio. The editor probes every
+// source before it builds a plan, so the assumption that an unprobed file
+// has some only holds for plans built without mediaInfo.
+const hasSourceAudio = (clip, probes = {}) => probes[clip.hash]?.info?.audio.length !== 0;
+
+// Everything a render needs, worked out from a snapshot of the edit without
+// touching FFmpeg: the arguments, and the files that must be in its virtual
+// filesystem first. editState is the edit with the job's preset and aspect
+// target; mediaInfo holds facts only probing the sources reveals, and
+// whether the engine has vidstab. Each file has a name and one of file (a
+// File or Blob), url or data.
+//
+// A vidstab render reads TRANSFORMS_NAME, which its analysis plan writes as
+// its output: that plan, built with analyse set, decodes the same frames up
+// to where the stabiliser goes and stops there.
+export const buildRenderPlan = (editState, mediaInfo = {}, { analyse = false } = {}) => {
+  const { clips, bumpers, transitions, cropPixels, correction = DEFAULT_CORRECTION, grade, audioMode, audioMix, music, secondVideo = null, composite = DEFAULT_COMPOSITE, subtitleCues, subtitleMode, overlays, preset, aspectRatio } = editState;
+  const sequence = getSequence(editState);
+  const format = EXPORT_FORMATS[preset.format];
+  const duration = getTimelineDuration(editState);
+  // Stream copy keeps the source container, since the codecs are untouched
+  const extension = format.streamCopy ? getFileExtension(clips[0].name) : format.extension;
+  const mimeType = format.streamCopy ? clips[0].type || 'video/mp4' : format.mimeType;
+  const outputName = `output.${extension}`;
+  const files = [];
+
+  // Inputs keep each clip's container extension; the intro and outro are
+  // inputs like any clip, in playing order
+  const inputNames = sequence.map((item, i) => `input${i}.${getFileExtension(item.name)}`);
+  sequence.forEach((item, i) => files.push({ name: inputNames[i], file: item.file }));
+  const withMusic = Boolean(music) && format.audio && audioMode !== 'mute' && !analyse;
+  const musicName = withMusic ? `music.${getFileExtension(music.name, 'mp3')}` : null;
+  if (withMusic) {
+    files.push({ name: musicName, file: music.file });
+  }
+  const withSecond = Boolean(secondVideo) && !analyse;
+  const secondName = withSecond ? `second.${getFileExtension(secondVideo.name)}` : null;
+  if (withSecond) {
+    files.push({ name: secondName, file: secondVideo.file });
+  }
+
+  // Build filter complex
+  if (format.video && !analyse && usesGradeLut(editState)) {
+    files.push({ name: GRADE_LUT_NAME, data: grade.lut.text });
+  }
+  // The stabiliser sees the joined clips, at the size they are normalised to
+  const stabiliser = format.video ? getStabiliser(correction, mediaInfo) : null;
+  const joinedFrame = clips.length > 1 ? getConcatTarget(clips) : clips[0];
+  const filters = !format.video
+    ? []
+    : analyse
+      ? [...getLensFilters(correction), getStabiliseDetectFilter(correction)]
+      : getFrameFilters(editState, GRADE_LUT_NAME, getStabiliseFilters(correction, stabiliser, joinedFrame));
+
+  // Overlays are placed on the cropped frame before any letterboxing,
+  // which is the frame the preview shows them on
+  const overlaySteps = format.video && !analyse
+    ? getOverlaySteps(overlays.filter((layer) => layer.end > layer.start && (layer.type !== 'text' || layer.text.trim())), cropPixels)
+    : [];
+  const overlayFiles = new Map(overlaySteps.flatMap((step) => step.files).map((file) => [file.name, file]));
+  files.push(...overlayFiles.values());
+  const imageSteps = overlaySteps.filter((step) => step.image);
+  const afterOverlays = [];
+
+  // Fades from and to a colour cover the whole frame, overlays included
+  const edgeFades = getEdgeFades(transitions, duration);
+  if (format.video && !analyse) {
+    afterOverlays.push(...edgeFades.video);
+  }
+
+  // Aspect ratio filter
+  const aspectFilter = !analyse && getAspectRatioFilter(aspectRatio, editState);
+  if (aspectFilter) {
+    afterOverlays.push(aspectFilter);
+  }
+
+  // Subtitles: inputs are trimmed with input seeking, so timestamps start
+  // at zero and the cues line up with the joined output as they are
+  const hasSubtitles = format.video && !analyse && subtitleCues.some((cue) => cue.text.trim());
+  const softSubtitles = hasSubtitles && subtitleMode === 'soft' && Boolean(format.subtitleCodec);
+  if (hasSubtitles) {
+    files.push({ name: 'subtitles.srt', data: serializeSrt(subtitleCues) });
+    if (!softSubtitles) {
+      afterOverlays.push("subtitles=subtitles.srt:force_style='FontSize=24,PrimaryColour=&HFFFFFF&,OutlineColour=&H000000&,BorderStyle=3'");
+    }
+  }
+
+  // Preset scaling, frame rate and GIF palette go last
+  if (!analyse) {
+    afterOverlays.push(...getPresetFilters(preset));
+  }
+
+  // Text layers are plain filters, so without images the whole video
+  // chain stays linear
+  const filterComplex = [...filters, ...overlaySteps.filter((step) => step.filter).map((step) => step.filter), ...afterOverlays].join(',');
+  const withVideo = format.video;
+  const withAudio = format.audio && audioMode !== 'mute' && !analyse;
+  const mixAudio = withAudio && isAudioMixActive(audioMix, music);
+  const secondAudio = withSecond && withAudio && composite.audio !== 'main' && hasSourceAudio(secondVideo, mediaInfo.probes);
+  if (format.streamCopy && (filterComplex || imageSteps.length > 0 || mixAudio || withSecond || sequence.length > 1 || isRetimed(clips[0]) || hasTransitions(sequence, transitions))) {
+    throw new Error('Fast trim copies streams as-is and cannot apply filters.');
+  }
+
+  // Build ffmpeg command; -ss/-t before each -i seek the input directly
+  // instead of decoding and discarding everything before the in point
+  const args = [];
+  sequence.forEach((clip, i) => {
+    const { start, end, length } = getClipRange(clip);
+    if (start > 0) {
+      args.push('-ss', start.toFixed(3));
+    }
+    if (end < clip.duration) {
+      args.push('-t', length.toFixed(3));
+    }
+    args.push('-i', inputNames[i]);
+  });
+  if (withMusic) {
+    // Looped so a short track still covers the timeline, then cut to it
+    args.push('-stream_loop', '-1', '-ss', audioMix.musicStart.toFixed(3), '-t', duration.toFixed(3), '-i', musicName);
+  }
+  // Still images are looped into streams as long as the timeline
+  const firstImageInput = sequence.length + (withMusic ? 1 : 0);
+  imageSteps.forEach((step) => {
+    args.push('-loop', '1', '-t', duration.toFixed(3), '-i', step.image);
+  });
+  if (softSubtitles) {
+    args.push('-i', 'subtitles.srt');
+  }
+  const subtitleIndex = firstImageInput + imageSteps.length;
+  // The second source comes last, so it shifts no other input
+  const secondInput = subtitleIndex + (softSubtitles ? 1 : 0);
+  if (withSecond) {
+    args.push(...getCompositeInputArgs(composite, secondName));
+  }
+  const clipFades = (clip) => getFadeFilters(getClipOutputLength(clip), audioMix.fadeIn, audioMix.fadeOut);
+  const videoChains = (sourceLabel, before) =>
+    getOverlayGraph({ sourceLabel, before, steps: overlaySteps, after: afterOverlays, firstImageInput });
+
+  if (sequence.length === 1 && !mixAudio && !withSecond && imageSteps.length === 0 && !isRetimed(clips[0])) {
+    // Apply filters
+    if (withVideo && filterComplex) {
+      args.push('-vf', filterComplex);
+    }
+    if (withAudio && edgeFades.audio.length > 0) {
+      args.push('-af', edgeFades.audio.join(','));
+    }
+    if (softSubtitles) {
+      args.push('-map', '0:v:0', '-map', '0:a?');
+    }
+  } else {
+    // Rebuild retimed clips from their pieces, normalise several clips to
+    // a common frame size and rate and join them, then run the shared
+    // filters; fades apply at every clip's own trim points
+    const { width, height, fps } = getConcatTarget(clips);
+    const [frameWidth, frameHeight] = [cropPixels.width, cropPixels.height];
+    const introCount = bumpers.intro ? 1 : 0;
+    const joins = getSequenceJoins(sequence, transitions);
+    // A lone clip that only needs its video composited keeps its audio
+    // out of the graph, so sources without sound still render
+    const graphAudio = withAudio && (sequence.length > 1 || mixAudio || secondAudio || isRetimed(clips[0]));
+    const graph = [];
+    const streams = sequence.map((item, i) => {
+      const isBumper = item === bumpers.intro || item === bumpers.outro;
+      const hasAudio = isBumper ? item.hasAudio : hasSourceAudio(item, mediaInfo.probes);
+      const length = getClipOutputLength(item);
+      const retimed = getRetimeChains(item, i, { withVideo, withAudio: graphAudio && hasAudio, fps: item.fps || DEFAULT_FPS });
+      graph.push(...retimed.chains);
+      if (withVideo) {
+        // Bumpers skip the clips' flip, rotate, grade and crop, so they
+        // are fitted straight into the frame those produce
+        const normalise = isBumper
+          ? getNormaliseFilters({ width: frameWidth, height: frameHeight, fps })
+          : clips.length > 1
+            ? getNormaliseFilters({ width, height, fps })
+            : [];
+        graph.push(`[${retimed.video}]${['setpts=PTS-STARTPTS', ...normalise].join(',')}[v${i}]`);
+      }
+      if (graphAudio) {
+        if (!hasAudio) {
+          graph.push(`aevalsrc=0:c=stereo:s=48000:d=${length.toFixed(3)}[a${i}]`);
+        } else {
+          graph.push(`[${retimed.audio}]${['asetpts=PTS-STARTPTS', 'aresample=48000', 'aformat=channel_layouts=stereo', ...(isBumper ? [] : clipFades(item))].join(',')}[a${i}]`);
+        }
+      }
+      return { video: `v${i}`, audio: `a${i}`, length };
+    });
+
+    const main = getJoinChains({
+      items: streams.slice(introCount, introCount + clips.length),
+      joins: joins.slice(introCount, introCount + clips.length - 1),
+      prefix: 'm',
+      withVideo,
+      withAudio: graphAudio
+    });
+    graph.push(...main.chains);
+    let joinedVideo = main.video;
+    let joinedAudio = main.audio;
+    let mainFilters = filters;
+    // The second source goes onto the clips' edited frame, under the
+    // overlays and before any bumpers join, and lines up with the clips
+    if (withVideo && withSecond) {
+      graph.push(`[${main.video}]${filters.join(',') || 'null'}[vframe]`);
+      graph.push(...getCompositeChains({ sourceLabel: 'vframe', secondInput, composite, frame: cropPixels, source: secondVideo, duration: main.length, outputLabel: 'vcomposite' }));
+      joinedVideo = 'vcomposite';
+      mainFilters = [];
+    }
+    if (secondAudio) {
+      graph.push(...getCompositeAudioChains({ sourceLabel: main.audio, secondInput, composite, duration: main.length, outputLabel: 'acomposite' }));
+      joinedAudio = 'acomposite';
+    }
+    if (sequence.length > clips.length) {
+      // The clips get their filters before the bumpers join them, and
+      // leave at the exact frame size, rate and timebase of the bumpers
+      if (withVideo) {
+        graph.push(`[${joinedVideo}]${[...mainFilters, `scale=${frameWidth}:${frameHeight}`, 'setsar=1', `fps=${fps}`, 'format=yuv420p', 'settb=AVTB'].join(',')}[vmain]`);
+      }
+      const outer = getJoinChains({
+        items: [
+          ...(bumpers.intro ? [streams[0]] : []),
+          { video: 'vmain', audio: joinedAudio, length: main.length },
+          ...(bumpers.outro ? [streams[streams.length - 1]] : [])
+        ],
+        joins: [...(bumpers.intro ? [joins[0]] : []), ...(bumpers.outro ? [joins[joins.length - 1]] : [])],
+        prefix: 's',
+        withVideo,
+        withAudio: graphAudio
+      });
+      graph.push(...outer.chains);
+      joinedVideo = outer.video;
+      joinedAudio = outer.audio;
+    }
+    if (withVideo) {
+      graph.push(...videoChains(joinedVideo, sequence.length > clips.length ? [] : mainFilters));
+    }
+    let finalAudio = joinedAudio;
+    if (mixAudio) {
+      graph.push(...getAudioMixChains({ sourceLabel: joinedAudio, musicLabel: withMusic ? `${sequence.length}:a` : null, mix: audioMix, duration }));
+      finalAudio = 'aout';
+    }
+    if (graphAudio && edgeFades.audio.length > 0) {
+      graph.push(`[${finalAudio}]${edgeFades.audio.join(',')}[afaded]`);
+      finalAudio = 'afaded';
+    }
+
+    args.push('-filter_complex', graph.join(';'));
+    if (withVideo) {
+      args.push('-map', '[vout]');
+    }
+    if (graphAudio) {
+      args.push('-map', `[${finalAudio}]`);
+    } else if (withAudio) {
+      args.push('-map', '0:a?');
+      if (edgeFades.audio.length > 0) {
+        args.push('-af', edgeFades.audio.join(','));
+      }
+    }
+  }
+  if (softSubtitles) {
+    args.push('-map', `${subtitleIndex}:0`);
+  }
+
+  // Audio handling
+  if (!withAudio) {
+    args.push('-an');
+  } else if (audioMode === 'mono') {
+    args.push('-ac', '1');
+  }
+
+  // The analysis only leaves its transforms file behind
+  if (analyse) {
+    args.push('-f', 'null', '-');
+    return { args, files, outputName: TRANSFORMS_NAME, mimeType: 'text/plain', duration };
+  }
+
+  // Output settings
+  args.push(...getPresetCodecArgs(preset, withAudio));
+  if (softSubtitles) {
+    args.push('-c:s', format.subtitleCodec);
+  }
+  args.push(outputName);
+
+  const baseName = clips[0].name.replace(/\.[^.]+$/, '');
+  const aspectSuffix = aspectRatio === 'original' ? '' : `_${aspectRatio.replace(':', 'x')}`;
+  return {
+    args,
+    files,
+    outputName,
+    mimeType,
+    filename: `edited_${baseName}${aspectSuffix}.${extension}`,
+    duration,
+    analysis: stabiliser === 'vidstab' ? buildRenderPlan(editState, mediaInfo, { analyse: true }) : null
+  };
+};
@@ -0,0 +1,281 @@
+import { describe, expect, it } from 'vitest';
+import { buildRenderPlan } from './renderPlan';
+import { DEFAULT_AUDIO_MIX } from './audio';
+import { getConcatTarget } from './clips';
+import { DEFAULT_GRADE } from './color';
+import { DEFAULT_COMPOSITE } from './composite';
+import { DEFAULT_CORRECTION } from './correction';
+import { FULL_CROP, getCropPixels, getOrientedSize } from './crop';
+import { DEFAULT_PRESETS, FAST_TRIM_PRESET } from './exportPresets';
+import { DEFAULT_TRANSITIONS, NO_BUMPERS, createTransition } from './sequence';
+
+const preset = (id) => DEFAULT_PRESETS.find((p) => p.id === id);
+
+const createTestClip = (id, overrides = {}) => ({
+  id,
+  file: { name: `${id}.mp4` },
+  url: '',
+  name: `${id}.mp4`,
+  size: 1000,
+  type: 'video/mp4',
+  hash: `hash-${id}`,
+  duration: 10,
+  width: 1920,
+  height: 1080,
+  fps: 30,
+  trimStart: 0,
+  trimEnd: 10,
+  retimes: [],
+  splits: [],
+  cuts: [],
+  missing: false,
+  ...overrides
+});
+
+// The edit snapshot the render queue takes, with cropPixels worked out from
+// the clips the way the editor does
+const createEditState = (overrides = {}) => {
+  const state = {
+    clips: [createTestClip('clip')],
+    bumpers: NO_BUMPERS,
+    transitions: DEFAULT_TRANSITIONS,
+    flipHorizontal: false,
+    flipVertical: false,
+    rotation: 0,
+    grade: DEFAULT_GRADE,
+    cropSettings: FULL_CROP,
+    audioMode: 'stereo',
+    audioMix: DEFAULT_AUDIO_MIX,
+    music: null,
+    subtitleCues: [],
+    subtitleMode: 'burn',
+    overlays: [],
+    preset: preset('mp4'),
+    aspectRatio: 'original',
+    ...overrides
+  };
+  const frame = state.clips.length > 1 ? getConcatTarget(state.clips) : state.clips[0];
+  const oriented = getOrientedSize(frame.width, frame.height, state.rotation);
+  return { cropPixels: getCropPixels(state.cropSettings, oriented.width, oriented.height), ...state };
+};
+
+// Files hold File objects, so snapshots describe them by name and kind
+const describePlan = (plan) => ({
+  ...plan,
+  files: plan.files.map(({ name, file, url, data }) => ({ name, from: file ? `file:${file.name}` : url ? 'url' : `data:${data.length}` }))
+});
+
+// ffmpeg refuses a graph with a labelled output that no chain or -map reads
+const getUnconnectedOutputs = (args) => {
+  const chains = args[args.indexOf('-filter_complex') + 1].split(';');
+  const labels = (match) => (match ? match[0].match(/[^[\]]+/g) : []);
+  const outputs = chains.flatMap((chain) => labels(chain.match(/(\[[^\]]+\])+$/)));
+  const read = new Set([
+    ...chains.flatMap((chain) => labels(chain.match(/^(\[[^\]]+\])+/))),
+    ...args.filter((_arg, i) => args[i - 1] === '-map').map((arg) => arg.replace(/^\[|\]$/g, ''))
+  ]);
+  return outputs.filter((label) => !read.has(label));
+};
+
+const CROP = { x: 10, y: 5, width: 60, height: 80 };
+
+describe('buildRenderPlan', () => {
+  describe('flip, rotation and crop', () => {
+    const combinations = [];
+    for (const flip of ['none', 'horizontal', 'vertical', 'both']) {
+      for (const rotation of [0, 90, 180, 270]) {
+        for (const crop of [false, true]) {
+          combinations.push({ flip, rotation, crop });
+        }
+      }
+    }
+
+    it.each(combinations)('flip $flip, rotation $rotation, crop $crop', ({ flip, rotation, crop }) => {
+      const plan = buildRenderPlan(createEditState({
+        flipHorizontal: flip === 'horizontal' || flip === 'both',
+        flipVertical: flip === 'vertical' || flip === 'both',
+        rotation,
+        cropSettings: crop ? CROP : FULL_CROP
+      }));
+      expect(plan.args).toMatchSnapshot();
+    });
+
+    it('treats a full turn as no rotation', () => {
+      const upright = buildRenderPlan(createEditState({ rotation: 0 }));
+      expect(buildRenderPlan(createEditState({ rotation: 360 })).args).toEqual(upright.args);
+      expect(buildRenderPlan(createEditState({ rotation: 720 })).args).toEqual(upright.args);
+    });
+
+    it('maps negative and overflowing turns to the turn they look like', () => {
+      const quarter = buildRenderPlan(createEditState({ rotation: 270 }));
+      expect(buildRenderPlan(createEditState({ rotation: -90 })).args).toEqual(quarter.args);
+      expect(buildRenderPlan(createEditState({ rotation: 630 })).args).toEqual(quarter.args);
+    });
+  });
+
+  describe('aspect targets', () => {
+    it.each(['original', '16:9', '9:16', '1:1', '4:3'])('%s', (aspectRatio) => {
+      const plan = buildRenderPlan(createEditState({ aspectRatio }));
+      expect(plan.args).toMatchSnapshot();
+      expect(plan.filename).toBe(aspectRatio === 'original' ? 'edited_clip.mp4' : `edited_clip_${aspectRatio.replace(':', 'x')}.mp4`);
+    });
+  });
+
+  describe('trim', () => {
+    it.each([
+      ['whole clip', 0, 10],
+      ['trimmed start', 2.5, 10],
+      ['trimmed end', 0, 7.25],
+      ['trimmed both ends', 1.2, 8.4]
+    ])('%s', (_, trimStart, trimEnd) => {
+      const plan = buildRenderPlan(createEditState({ clips: [createTestClip('clip', { trimStart, trimEnd })] }));
+      expect(plan.args).toMatchSnapshot();
+      expect(plan.duration).toBeCloseTo(trimEnd - trimStart);
+    });
+  });
+
+  describe('presets and audio modes', () => {
+    const combinations = [];
+    for (const id of ['mp4', 'webm', 'gif', 'webp', 'mp3', 'm4a']) {
+      for (const audioMode of ['stereo', 'mono', 'mute']) {
+        combinations.push({ id, audioMode });
+      }
+    }
+
+    it.each(combinations)('$id with $audioMode audio', ({ id, audioMode }) => {
+      expect(describePlan(buildRenderPlan(createEditState({ preset: preset(id), audioMode })))).toMatchSnapshot();
+    });
+
+    it('copies streams for a fast trim', () => {
+      const plan = buildRenderPlan(createEditState({ preset: FAST_TRIM_PRESET, clips: [createTestClip('clip', { trimStart: 1, trimEnd: 4, name: 'clip.mov', type: 'video/quicktime' })] }));
+      expect(describePlan(plan)).toMatchSnapshot();
+      expect(plan.mimeType).toBe('video/quicktime');
+    });
+
+    it('refuses a fast trim that needs filters', () => {
+      expect(() => buildRenderPlan(createEditState({ preset: FAST_TRIM_PRESET, rotation: 90 }))).toThrow('cannot apply filters');
+    });
+  });
+
+  describe('timeline', () => {
+    it('joins several clips at a common frame size', () => {
+      const clips = [createTestClip('a'), createTestClip('b', { width: 1280, height: 720, trimStart: 2 })];
+      expect(describePlan(buildRenderPlan(createEditState({ clips })))).toMatchSnapshot();
+    });
+
+    it('joins clips at the first clip\'s frame rate', () => {
+      const clips = [createTestClip('a', { fps: 25 }), createTestClip('b', { fps: 60 })];
+      const plan = buildRenderPlan(createEditState({ clips }));
+      expect(plan.args.join(' ')).toContain('fps=25');
+      expect(plan.args.join(' ')).not.toContain('fps=30');
+    });
+
+    it('crossfades clips at a transition', () => {
+      const clips = [createTestClip('a'), createTestClip('b')];
+      const transitions = { ...DEFAULT_TRANSITIONS, start: createTransition('fadeblack', 0.5), joins: { b: createTransition('fade', 1) } };
+      expect(describePlan(buildRenderPlan(createEditState({ clips, transitions })))).toMatchSnapshot();
+    });
+
+    it('rebuilds a retimed clip from its pieces', () => {
+      const clips = [createTestClip('clip', { retimes: [{ id: 'r', start: 2, end: 4, mode: 'speed', speed: 2, hold: 2 }], cuts: [{ start: 6, end: 7, ripple: true }] })];
+      expect(describePlan(buildRenderPlan(createEditState({ clips })))).toMatchSnapshot();
+    });
+
+    it('fills a clip without audio with silence once a probe shows it has none', () => {
+      const clips = [createTestClip('a'), createTestClip('b')];
+      const probes = { 'hash-b': { status: 'done', info: { audio: [] } } };
+      const plan = buildRenderPlan(createEditState({ clips }), { probes });
+      expect(plan.args.join(' ')).toContain('aevalsrc=0:c=stereo:s=48000:d=10.000[a1]');
+      expect(plan.args.join(' ')).not.toContain('[1:a]');
+    });
+
+    it('mixes music under the clip', () => {
+      const music = { id: 'music', file: { name: 'song.mp3' }, name: 'song.mp3', duration: 30 };
+      const plan = buildRenderPlan(createEditState({ music, audioMix: { ...DEFAULT_AUDIO_MIX, musicStart: 4 } }));
+      expect(describePlan(plan)).toMatchSnapshot();
+    });
+
+    it('burns or muxes subtitles', () => {
+      const subtitleCues = [{ id: 'cue', start: 1, end: 3, text: 'Hello' }];
+      expect(describePlan(buildRenderPlan(createEditState({ subtitleCues })))).toMatchSnapshot();
+      expect(describePlan(buildRenderPlan(createEditState({ subtitleCues, subtitleMode: 'soft' })))).toMatchSnapshot();
+    });
+  });
+
+  it('lists the LUT it reads as a file', () => {
+    const grade = { ...DEFAULT_GRADE, lut: { name: 'look.cube', text: 'LUT_3D_SIZE 2' } };
+    const plan = buildRenderPlan(createEditState({ grade }));
+    expect(plan.files).toContainEqual({ name: 'grade.cube', data: 'LUT_3D_SIZE 2' });
+  });
+
+  describe('corrections', () => {
+    const correction = { ...DEFAULT_CORRECTION, stabilise: true, zoom: 10, k1: -0.3, k2: 0.08 };
+
+    it('corrects the lens and steadies with deshake before the rest of the edit', () => {
+      const plan = buildRenderPlan(createEditState({ correction, flipHorizontal: true }));
+      expect(plan.args[plan.args.indexOf('-vf') + 1]).toBe(
+        'lenscorrection=k1=-0.3:k2=0.08,deshake=rx=48:ry=48:edge=mirror,crop=iw/1.1:ih/1.1,scale=1920:1080,hflip'
+      );
+      expect(plan.analysis).toBeNull();
+    });
+
+    it('analyses the same frames first when the engine has vidstab', () => {
+      const clips = [createTestClip('a', { trimStart: 2 }), createTestClip('b', { width: 1280, height: 720 })];
+      const plan = buildRenderPlan(createEditState({ clips, correction }), { vidstab: true });
+      expect(describePlan(plan.analysis)).toMatchSnapshot();
+      expect(plan.args.join(' ')).toContain('vidstabtransform=input=transforms.trf');
+    });
+  });
+
+  describe('second source', () => {
+    const secondVideo = createTestClip('second', { file: { name: 'webcam.mov' }, name: 'webcam.mov', width: 1280, height: 720 });
+
+    it('lays a picture-in-picture window onto the frame under the overlays', () => {
+      const composite = { ...DEFAULT_COMPOSITE, offset: 1.5 };
+      expect(describePlan(buildRenderPlan(createEditState({ secondVideo, composite })))).toMatchSnapshot();
+    });
+
+    it('stacks the sources side by side and takes the picked audio', () => {
+      const composite = { ...DEFAULT_COMPOSITE, layout: 'side', swap: true, offset: -2, audio: 'both' };
+      expect(describePlan(buildRenderPlan(createEditState({ secondVideo, composite, subtitleCues: [{ id: 'cue', start: 1, end: 3, text: 'Hi' }], subtitleMode: 'soft' })))).toMatchSnapshot();
+    });
+
+    it('times the second source from the start of the clips, after an intro', () => {
+      const intro = createTestClip('intro', { duration: 3, trimEnd: 3, hasAudio: true });
+      const composite = { ...DEFAULT_COMPOSITE, offset: 1, audio: 'second' };
+      const plan = buildRenderPlan(createEditState({ secondVideo, composite, bumpers: { ...NO_BUMPERS, intro } }));
+      const graph = plan.args.join(' ');
+      expect(graph).toContain('setpts=PTS-STARTPTS+1.000/TB[composite_pip]');
+      expect(graph).toContain('adelay=1000:all=1');
+      expect(graph).toContain('[vcomposite]scale=1920:1080');
+      expect(getUnconnectedOutputs(plan.args)).toEqual([]);
+    });
+
+    const intro = createTestClip('intro', { duration: 3, trimEnd: 3, hasAudio: true });
+    const combinations = [];
+    for (const layout of ['pip', 'side']) {
+      for (const audio of ['main', 'second', 'both']) {
+        for (const timeline of ['one clip', 'two clips', 'intro']) {
+          combinations.push({ layout, audio, timeline });
+        }
+      }
+    }
+
+    it.each(combinations)('connects every output: $layout, audio from $audio, $timeline', ({ layout, audio, timeline }) => {
+      const composite = { ...DEFAULT_COMPOSITE, layout, audio };
+      const clips = timeline === 'two clips' ? [createTestClip('a'), createTestClip('b')] : [createTestClip('clip')];
+      const bumpers = timeline === 'intro' ? { ...NO_BUMPERS, intro } : NO_BUMPERS;
+      for (const id of ['mp4', 'mp3']) {
+        const plan = buildRenderPlan(createEditState({ clips, bumpers, secondVideo, composite, preset: preset(id) }));
+        expect(getUnconnectedOutputs(plan.args)).toEqual([]);
+      }
+    });
+
+    it('leaves the second source out of a vidstab analysis and a fast trim', () => {
+      const correction = { ...DEFAULT_CORRECTION, stabilise: true };
+      const plan = buildRenderPlan(createEditState({ secondVideo, correction }), { vidstab: true });
+      expect(plan.analysis.args).not.toContain('second.mov');
+      expect(() => buildRenderPlan(createEditState({ secondVideo, preset: FAST_TRIM_PRESET }))).toThrow('cannot apply filters');
+    });
+  });
+});
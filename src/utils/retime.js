@@ -0,0 +1,169 @@
+export const RETIME_MODES = ['speed', 'reverse', 'freeze'];
+export const SPEED_STEPS = [0.25, 0.5, 0.75, 1.25, 1.5, 2, 3, 4];
+export const MIN_SPEED = 0.25;
+export const MAX_SPEED = 4;
+
+let retimeCounter = 0;
+
+export const createRetime = (start, end, mode = 'speed') => ({
+  id: `retime-${Date.now()}-${retimeCounter++}`,
+  start,
+  end,
+  mode,
+  speed: mode === 'speed' ? 0.5 : 1,
+  hold: 2
+});
+
+// Takes a cut range out of a piece. A freeze only ever shows its first
+// frame, so it survives as long as that frame is not cut.
+const cutPiece = (piece, cut) => {
+  if (cut.end <= piece.start || cut.start >= piece.end) return [piece];
+  if (piece.mode === 'freeze') return cut.start <= piece.start ? [] : [piece];
+  return [
+    ...(cut.start > piece.start ? [{ ...piece, end: cut.start }] : []),
+    ...(cut.end < piece.end ? [{ ...piece, start: cut.end }] : [])
+  ];
+};
+
+// Splits the kept part of a clip into consecutive pieces: untouched stretches
+// between the retimed ranges, and the ranges themselves clipped to the trim.
+// Overlapping ranges lose whatever the previous one already covers. Cut
+// segments are then taken out; a ripple cut leaves nothing behind, while a
+// plain cut leaves a gap of black and silence as long as the segment.
+export const getClipPieces = (clip) => {
+  const retimes = [...(clip.retimes || [])].sort((a, b) => a.start - b.start);
+  const pieces = [];
+  let cursor = clip.trimStart;
+  for (const retime of retimes) {
+    const start = Math.max(retime.start, cursor);
+    const end = Math.min(retime.end, clip.trimEnd);
+    if (end <= start) continue;
+    if (start > cursor) {
+      pieces.push({ mode: 'normal', start: cursor, end: start, speed: 1 });
+    }
+    pieces.push({ ...retime, start, end });
+    cursor = end;
+  }
+  if (cursor < clip.trimEnd || pieces.length === 0) {
+    pieces.push({ mode: 'normal', start: cursor, end: clip.trimEnd, speed: 1 });
+  }
+
+  const cuts = (clip.cuts || [])
+    .map((cut) => ({ ...cut, start: Math.max(cut.start, clip.trimStart), end: Math.min(cut.end, clip.trimEnd) }))
+    .filter((cut) => cut.end > cut.start);
+  const kept = cuts.reduce((remaining, cut) => remaining.flatMap((piece) => cutPiece(piece, cut)), pieces);
+  const gaps = cuts
+    .filter((cut) => !cut.ripple)
+    .map((cut) => ({ mode: 'gap', start: cut.start, end: cut.end, speed: 1 }));
+  return [...kept, ...gaps].sort((a, b) => a.start - b.start);
+};
+
+// Whether the clip has to be rebuilt from its pieces rather than played
+// straight through from its trim points
+export const isRetimed = (clip) => {
+  const pieces = getClipPieces(clip);
+  return pieces.length !== 1 ||
+    pieces[0].mode !== 'normal' ||
+    pieces[0].start !== clip.trimStart ||
+    pieces[0].end !== clip.trimEnd;
+};
+
+export const getPieceLength = (piece) =>
+  piece.mode === 'freeze' ? piece.hold : (piece.end - piece.start) / (piece.speed || 1);
+
+export const getClipOutputLength = (clip) =>
+  getClipPieces(clip).reduce((total, piece) => total + getPieceLength(piece), 0);
+
+// Maps a source time inside the clip to time in the clip's own output
+export const sourceToOutput = (clip, sourceTime) => {
+  const pieces = getClipPieces(clip);
+  let output = 0;
+  for (const [i, piece] of pieces.entries()) {
+    if (sourceTime < piece.end || i === pieces.length - 1) {
+      const into = Math.min(Math.max(sourceTime - piece.start, 0), piece.end - piece.start);
+      if (piece.mode === 'freeze') return output;
+      if (piece.mode === 'reverse') return output + (piece.end - piece.start - into) / piece.speed;
+      return output + into / piece.speed;
+    }
+    output += getPieceLength(piece);
+  }
+  return output;
+};
+
+export const getPieceAt = (clip, sourceTime) =>
+  getClipPieces(clip).find((piece) => sourceTime >= piece.start && sourceTime < piece.end) || null;
+
+export const getRippleCutAt = (clip, sourceTime) =>
+  (clip.cuts || []).find((cut) => cut.ripple && sourceTime >= cut.start && sourceTime < cut.end) || null;
+
+// atempo only accepts 0.5 to 2, so bigger changes are chained
+export const getAtempoFilters = (speed) => {
+  const filters = [];
+  let remaining = speed;
+  while (remaining > 2) {
+    filters.push('atempo=2');
+    remaining /= 2;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  if (Math.abs(remaining - 1) > 1e-6) {
+    filters.push(`atempo=${Number(remaining.toFixed(4))}`);
+  }
+  return filters;
+};
+
+// Filter chains rebuilding one input-seeked clip from its pieces. Reversed
+// and frozen pieces get silence, since backwards or held audio is just noise,
+// and gaps are the cut frames painted black. Returns the labels to use in
+// place of the clip's own streams.
+export const getRetimeChains = (clip, index, { withVideo, withAudio, fps }) => {
+  if (!isRetimed(clip)) {
+    return { chains: [], video: `${index}:v`, audio: `${index}:a` };
+  }
+  const pieces = getClipPieces(clip);
+
+  // The input is seeked to the trim start, so its clock starts there
+  const at = (time) => (time - clip.trimStart).toFixed(3);
+  const chains = [];
+  const outputs = pieces.map(() => '');
+
+  if (withVideo) {
+    chains.push(`[${index}:v]split=${pieces.length}${pieces.map((_, j) => `[c${index}vin${j}]`).join('')}`);
+    pieces.forEach((piece, j) => {
+      const filters = piece.mode === 'freeze'
+        ? [`trim=start=${at(piece.start)}:duration=${(1 / fps).toFixed(4)}`, 'setpts=PTS-STARTPTS', `tpad=stop_mode=clone:stop_duration=${piece.hold}`, `trim=duration=${piece.hold}`]
+        : [`trim=start=${at(piece.start)}:end=${at(piece.end)}`, 'setpts=PTS-STARTPTS'];
+      if (piece.mode === 'reverse') {
+        filters.push('reverse');
+      }
+      if (piece.mode === 'gap') {
+        filters.push('drawbox=x=0:y=0:w=iw:h=ih:color=black:t=fill');
+      }
+      if (piece.mode !== 'freeze' && piece.speed !== 1) {
+        filters.push(`setpts=PTS/${piece.speed}`);
+      }
+      chains.push(`[c${index}vin${j}]${filters.join(',')}[c${index}v${j}]`);
+      outputs[j] += `[c${index}v${j}]`;
+    });
+  }
+
+  if (withAudio) {
+    const audible = pieces.filter((piece) => piece.mode === 'normal' || piece.mode === 'speed');
+    if (audible.length > 0) {
+      chains.push(`[${index}:a]asplit=${audible.length}${audible.map((_, k) => `[c${index}ain${k}]`).join('')}`);
+    }
+    let next = 0;
+    pieces.forEach((piece, j) => {
+      const filters = piece.mode === 'normal' || piece.mode === 'speed'
+        ? [`[c${index}ain${next++}]atrim=start=${at(piece.start)}:end=${at(piece.end)}`, 'asetpts=PTS-STARTPTS', 'aresample=48000', 'aformat=channel_layouts=stereo', ...getAtempoFilters(piece.speed)]
+        : [`aevalsrc=0:c=stereo:s=48000:d=${getPieceLength(piece).toFixed(3)}`];
+      chains.push(`${filters.join(',')}[c${index}a${j}]`);
+      outputs[j] += `[c${index}a${j}]`;
+    });
+  }
+
+  chains.push(`${outputs.join('')}concat=n=${pieces.length}:v=${withVideo ? 1 : 0}:a=${withAudio ? 1 : 0}${withVideo ? `[c${index}v]` : ''}${withAudio ? `[c${index}a]` : ''}`);
+  return { chains, video: `c${index}v`, audio: `c${index}a` };
+};
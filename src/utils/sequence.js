@@ -0,0 +1,149 @@
+import { getClipOutputLength } from './retime';
+
+// Names are the xfade transition names; the fades to a colour also work at
+// the start and end of the output, where there is nothing to cross with
+export const TRANSITIONS = {
+  fade: { label: 'Crossfade' },
+  fadeblack: { label: 'Dip to black', color: 'black' },
+  fadewhite: { label: 'Dip to white', color: 'white' },
+  slideleft: { label: 'Slide left' },
+  slideright: { label: 'Slide right' },
+  slideup: { label: 'Slide up' },
+  slidedown: { label: 'Slide down' },
+  wipeleft: { label: 'Wipe left' },
+  wiperight: { label: 'Wipe right' },
+  wipeup: { label: 'Wipe up' },
+  wipedown: { label: 'Wipe down' }
+};
+export const EDGE_TRANSITIONS = ['fadeblack', 'fadewhite'];
+export const MAX_TRANSITION = 5;
+
+// Joins are keyed by the id of the clip or bumper they lead into, so a
+// transition moves with its clip when the timeline is reordered
+export const DEFAULT_TRANSITIONS = { start: null, end: null, joins: {} };
+export const NO_BUMPERS = { intro: null, outro: null };
+
+export const createTransition = (type, duration = 1) => ({ type, duration });
+
+let bumperCounter = 0;
+
+export const createBumper = (file, metadata) => ({
+  id: `bumper-${Date.now()}-${bumperCounter++}`,
+  file,
+  url: URL.createObjectURL(file),
+  name: file.name,
+  size: file.size,
+  type: file.type,
+  hash: metadata.hash,
+  duration: metadata.duration,
+  width: metadata.width,
+  height: metadata.height,
+  fps: metadata.fps,
+  hasAudio: metadata.hasAudio,
+  trimStart: 0,
+  trimEnd: metadata.duration,
+  retimes: [],
+  missing: false
+});
+
+// Everything that is played in order: the intro, the clips and the outro
+export const getSequence = ({ clips, bumpers = NO_BUMPERS }) =>
+  [bumpers.intro, ...clips, bumpers.outro].filter(Boolean);
+
+// Each join overlaps at most half of either neighbour, so two transitions
+// on a short clip never run into each other
+export const getSequenceJoins = (sequence, transitions = DEFAULT_TRANSITIONS) =>
+  sequence.slice(1).map((item, i) => {
+    const transition = transitions.joins[item.id];
+    if (!transition) return null;
+    const limit = Math.min(getClipOutputLength(sequence[i]), getClipOutputLength(item)) / 2;
+    const duration = Math.min(transition.duration, limit);
+    return duration > 0 ? { ...transition, duration } : null;
+  });
+
+export const getSequenceDuration = (sequence, transitions) => {
+  const overlap = getSequenceJoins(sequence, transitions).reduce((total, join) => total + (join?.duration || 0), 0);
+  return sequence.reduce((total, item) => total + getClipOutputLength(item), 0) - overlap;
+};
+
+export const getSequenceOffset = (sequence, transitions, id) => {
+  const joins = getSequenceJoins(sequence, transitions);
+  let offset = 0;
+  for (const [i, item] of sequence.entries()) {
+    if (i > 0) offset -= joins[i - 1]?.duration || 0;
+    if (item.id === id) return offset;
+    offset += getClipOutputLength(item);
+  }
+  return offset;
+};
+
+export const hasTransitions = (sequence, transitions = DEFAULT_TRANSITIONS) =>
+  Boolean(transitions.start || transitions.end) || getSequenceJoins(sequence, transitions).some(Boolean);
+
+// Fades from and to a colour at the very start and end, capped like the
+// joins at half the output
+export const getEdgeFades = (transitions, duration) => {
+  const video = [];
+  const audio = [];
+  const { start, end } = transitions;
+  if (start) {
+    const length = Math.min(start.duration, duration / 2).toFixed(3);
+    video.push(`fade=t=in:st=0:d=${length}:c=${TRANSITIONS[start.type].color}`);
+    audio.push(`afade=t=in:st=0:d=${length}`);
+  }
+  if (end) {
+    const length = Math.min(end.duration, duration / 2);
+    const from = (duration - length).toFixed(3);
+    video.push(`fade=t=out:st=${from}:d=${length.toFixed(3)}:c=${TRANSITIONS[end.type].color}`);
+    audio.push(`afade=t=out:st=${from}:d=${length.toFixed(3)}`);
+  }
+  return { video, audio };
+};
+
+// Joins labelled streams in order. Runs of items without a transition
+// between them go through a single concat, and the runs are then overlapped
+// with xfade and acrossfade, each offset to start the transition where the
+// output so far ends minus its duration. Inputs must already share frame
+// size, rate, timebase and audio format.
+export const getJoinChains = ({ items, joins, prefix, withVideo, withAudio }) => {
+  const runs = [];
+  items.forEach((item, i) => {
+    if (i === 0 || joins[i - 1]) {
+      runs.push({ join: i === 0 ? null : joins[i - 1], items: [] });
+    }
+    runs[runs.length - 1].items.push(item);
+  });
+
+  const chains = [];
+  let video = items[0]?.video;
+  let audio = items[0]?.audio;
+  let length = 0;
+  runs.forEach((run, r) => {
+    let runVideo = run.items[0].video;
+    let runAudio = run.items[0].audio;
+    if (run.items.length > 1) {
+      runVideo = `${prefix}${r}v`;
+      runAudio = `${prefix}${r}a`;
+      const inputs = run.items.map((item) => `${withVideo ? `[${item.video}]` : ''}${withAudio ? `[${item.audio}]` : ''}`).join('');
+      chains.push(`${inputs}concat=n=${run.items.length}:v=${withVideo ? 1 : 0}:a=${withAudio ? 1 : 0}${withVideo ? `[${runVideo}]` : ''}${withAudio ? `[${runAudio}]` : ''}`);
+    }
+    const runLength = run.items.reduce((total, item) => total + item.length, 0);
+    if (!run.join) {
+      video = runVideo;
+      audio = runAudio;
+      length = runLength;
+      return;
+    }
+    const { type, duration } = run.join;
+    if (withVideo) {
+      chains.push(`[${video}][${runVideo}]xfade=transition=${type}:duration=${duration.toFixed(3)}:offset=${(length - duration).toFixed(3)}[${prefix}x${r}v]`);
+      video = `${prefix}x${r}v`;
+    }
+    if (withAudio) {
+      chains.push(`[${audio}][${runAudio}]acrossfade=d=${duration.toFixed(3)}[${prefix}x${r}a]`);
+      audio = `${prefix}x${r}a`;
+    }
+    length += runLength - duration;
+  });
+  return { chains, video, audio, length };
+};
@@ -0,0 +1,95 @@
+// Every action a key can trigger, with its default keys. A key is written as
+// its modifiers and name joined by +, e.g. 'Shift+ArrowLeft' or 'Ctrl+Z';
+// Cmd on a Mac counts as Ctrl.
+export const SHORTCUT_ACTIONS = [
+  { id: 'playPause', group: 'Playback', label: 'Play / pause', keys: ['Space'] },
+  { id: 'shuttleReverse', group: 'Playback', label: 'Play backwards, faster on each press', keys: ['J'] },
+  { id: 'shuttleStop', group: 'Playback', label: 'Stop', keys: ['K'] },
+  { id: 'shuttleForward', group: 'Playback', label: 'Play forwards, faster on each press', keys: ['L'] },
+  { id: 'previousFrame', group: 'Navigate', label: 'Previous frame', keys: ['ArrowLeft'] },
+  { id: 'nextFrame', group: 'Navigate', label: 'Next frame', keys: ['ArrowRight'] },
+  { id: 'backTenFrames', group: 'Navigate', label: 'Back 10 frames', keys: ['Shift+ArrowLeft'] },
+  { id: 'forwardTenFrames', group: 'Navigate', label: 'Forward 10 frames', keys: ['Shift+ArrowRight'] },
+  { id: 'goToStart', group: 'Navigate', label: 'Go to start', keys: ['Home'] },
+  { id: 'goToEnd', group: 'Navigate', label: 'Go to end', keys: ['End'] },
+  { id: 'goToIn', group: 'Navigate', label: 'Go to trim in', keys: ['Shift+I'] },
+  { id: 'goToOut', group: 'Navigate', label: 'Go to trim out', keys: ['Shift+O'] },
+  { id: 'markIn', group: 'Edit', label: 'Set trim in at playhead', keys: ['I'] },
+  { id: 'markOut', group: 'Edit', label: 'Set trim out at playhead', keys: ['O'] },
+  { id: 'split', group: 'Edit', label: 'Split clip at playhead', keys: ['S'] },
+  { id: 'undo', group: 'Edit', label: 'Undo', keys: ['Ctrl+Z'] },
+  { id: 'redo', group: 'Edit', label: 'Redo', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'showShortcuts', group: 'General', label: 'Show keyboard shortcuts', keys: ['?'] }
+];
+
+export const SHORTCUT_GROUPS = ['Playback', 'Navigate', 'Edit', 'General'];
+
+export const DEFAULT_BINDINGS = Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, action.keys]));
+
+// Shuttle rates for each press of J or L
+export const SHUTTLE_SPEEDS = [1, 2, 4, 8];
+
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta'];
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓'
+};
+
+// The name of the key a keydown event is for, or null for a bare modifier.
+// Letters come from the physical key, since J/K/L are about where the hand
+// rests and Alt changes the character on a Mac. Shifted symbols such as ?
+// already name the key, so they drop the Shift.
+export const getKeyName = ({ key, code, ctrlKey, metaKey, altKey, shiftKey }) => {
+  if (!key || MODIFIER_KEYS.includes(key)) return null;
+  const letter = /^Key[A-Z]$/.test(code) ? code.slice(3) : null;
+  const name = letter || (key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key);
+  const symbol = !letter && key.length === 1 && key !== ' ';
+  return [
+    ...(ctrlKey || metaKey ? ['Ctrl'] : []),
+    ...(altKey ? ['Alt'] : []),
+    ...(shiftKey && !symbol ? ['Shift'] : []),
+    name
+  ].join('+');
+};
+
+export const formatKey = (keyName) => keyName.split('+').map((part) => KEY_LABELS[part] || part).join(' + ');
+
+// Saved bindings only replace the actions they name, so actions added later
+// start out on their defaults
+export const loadBindings = (saved) => ({
+  ...DEFAULT_BINDINGS,
+  ...Object.fromEntries(Object.entries(saved || {}).filter(([id, keys]) => id in DEFAULT_BINDINGS && Array.isArray(keys)))
+});
+
+export const getKeymap = (bindings) => {
+  const keymap = new Map();
+  Object.entries(bindings).forEach(([id, keys]) => keys.forEach((key) => keymap.set(key, id)));
+  return keymap;
+};
+
+// Binds a key to an action, taking it from whichever action had it
+export const bindKey = (bindings, actionId, keyName) => Object.fromEntries(Object.entries(bindings).map(([id, keys]) => {
+  const rest = keys.filter((key) => key !== keyName);
+  return [id, id === actionId ? [...rest, keyName] : rest];
+}));
+
+export const unbindKey = (bindings, actionId, keyName) => ({
+  ...bindings,
+  [actionId]: bindings[actionId].filter((key) => key !== keyName)
+});
+
+export const findKeyOwner = (bindings, keyName) => Object.keys(bindings).find((id) => bindings[id].includes(keyName)) || null;
+
+// The next shuttle rate after pressing J (direction -1) or L (direction 1):
+// the first press plays at normal speed, each further press in the same
+// direction goes faster, and the opposite key turns straight round
+export const getShuttleRate = (rate, direction) => {
+  if (Math.sign(rate) !== direction) return direction;
+  const index = SHUTTLE_SPEEDS.indexOf(Math.abs(rate));
+  return direction * SHUTTLE_SPEEDS[Math.min(index + 1, SHUTTLE_SPEEDS.length - 1)];
+};
+
+export const formatShuttleRate = (rate) => (rate < 0 ? `◀◀ ${-rate}×` : `▶▶ ${rate}×`);
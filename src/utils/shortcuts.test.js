@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_BINDINGS, bindKey, findKeyOwner, formatKey, getKeyName, getKeymap, getShuttleRate, loadBindings, unbindKey } from './shortcuts';
+
+const keydown = (key, code = '', modifiers = {}) => ({ key, code, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers });
+
+describe('getKeyName', () => {
+  it('names letters by their physical key', () => {
+    expect(getKeyName(keydown('j', 'KeyJ'))).toBe('J');
+    expect(getKeyName(keydown('∆', 'KeyJ', { altKey: true }))).toBe('Alt+J');
+    expect(getKeyName(keydown('I', 'KeyI', { shiftKey: true }))).toBe('Shift+I');
+  });
+
+  it('names special keys and combinations', () => {
+    expect(getKeyName(keydown(' ', 'Space'))).toBe('Space');
+    expect(getKeyName(keydown('ArrowLeft', 'ArrowLeft', { shiftKey: true }))).toBe('Shift+ArrowLeft');
+    expect(getKeyName(keydown('z', 'KeyZ', { metaKey: true, shiftKey: true }))).toBe('Ctrl+Shift+Z');
+  });
+
+  it('leaves Shift out of shifted symbols', () => {
+    expect(getKeyName(keydown('?', 'Slash', { shiftKey: true }))).toBe('?');
+  });
+
+  it('ignores a bare modifier', () => {
+    expect(getKeyName(keydown('Shift', 'ShiftLeft', { shiftKey: true }))).toBeNull();
+  });
+});
+
+describe('bindings', () => {
+  it('maps every default key to its action', () => {
+    const keymap = getKeymap(DEFAULT_BINDINGS);
+    expect(keymap.get('K')).toBe('shuttleStop');
+    expect(keymap.get('Ctrl+Y')).toBe('redo');
+  });
+
+  it('takes a key from the action that had it', () => {
+    const bindings = bindKey(DEFAULT_BINDINGS, 'split', 'K');
+    expect(bindings.split).toEqual(['S', 'K']);
+    expect(bindings.shuttleStop).toEqual([]);
+    expect(findKeyOwner(bindings, 'K')).toBe('split');
+  });
+
+  it('removes a key', () => {
+    expect(unbindKey(DEFAULT_BINDINGS, 'redo', 'Ctrl+Y').redo).toEqual(['Ctrl+Shift+Z']);
+  });
+
+  it('fills actions missing from saved bindings with their defaults', () => {
+    const bindings = loadBindings({ split: ['X'], retired: ['Q'] });
+    expect(bindings.split).toEqual(['X']);
+    expect(bindings.markIn).toEqual(['I']);
+    expect(bindings).not.toHaveProperty('retired');
+    expect(loadBindings(null)).toEqual(DEFAULT_BINDINGS);
+  });
+
+  it('formats keys for display', () => {
+    expect(formatKey('Shift+ArrowLeft')).toBe('Shift + ←');
+  });
+});
+
+describe('getShuttleRate', () => {
+  it('speeds up on each press in the same direction, up to the top speed', () => {
+    expect(getShuttleRate(0, 1)).toBe(1);
+    expect(getShuttleRate(1, 1)).toBe(2);
+    expect(getShuttleRate(4, 1)).toBe(8);
+    expect(getShuttleRate(8, 1)).toBe(8);
+    expect(getShuttleRate(-2, -1)).toBe(-4);
+  });
+
+  it('turns straight round at normal speed', () => {
+    expect(getShuttleRate(8, -1)).toBe(-1);
+    expect(getShuttleRate(-4, 1)).toBe(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { getConcatTarget, toTimelineTime } from './clips';
+import { getClipPieces } from './retime';
+import { getAspectRatioFilter, getFitFilters, getFrameFilters, getOutputFrameSize } from './filters';
+
+export const STILL_FORMATS = {
+  png: { label: 'PNG', extension: 'png', mimeType: 'image/png', codecArgs: [] },
+  jpeg: { label: 'JPEG', extension: 'jpg', mimeType: 'image/jpeg', codecArgs: ['-q:v', '2'] }
+};
+
+export const SHEET_COUNTS = [6, 9, 12, 16, 20, 24];
+export const SHEET_COLUMNS = [2, 3, 4, 5, 6];
+export const SHEET_THUMB_WIDTH = 320;
+const SHEET_SPACING = 8;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// A source frame taken through the same edit the render applies: several
+// clips are first fitted to their common size, as they are before concat.
+// Bumpers skip the edit in renders, so stills never sample them. A seeked
+// frame's timestamp is not its timeline time, so that is passed in for pan
+// and scan; suffix keeps graph labels apart when several frames share one.
+const getEditedFrameFilters = (edit, aspectRatio, timelineTime, suffix = '') => [
+  ...(edit.clips.length > 1 ? getFitFilters(getConcatTarget(edit.clips)) : []),
+  ...getFrameFilters(edit),
+  ...[getAspectRatioFilter(aspectRatio, edit, { time: timelineTime, suffix })].filter(Boolean)
+];
+
+export const getFrameGrabArgs = ({ edit, aspectRatio, time, timelineTime = 0, format, inputName, outputName }) => {
+  const filters = getEditedFrameFilters(edit, aspectRatio, timelineTime);
+  return [
+    '-ss', time.toFixed(3),
+    '-i', inputName,
+    '-frames:v', '1',
+    ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+    ...STILL_FORMATS[format].codecArgs,
+    outputName
+  ];
+};
+
+// Evenly spaced source frames across everything the clips keep, one from the
+// middle of each of count equal stretches. Gaps have no picture to show.
+export const getContactSheetTimes = (clips, count) => {
+  const ranges = clips.flatMap((clip) =>
+    getClipPieces(clip)
+      .filter((piece) => piece.mode !== 'gap')
+      .map((piece) => ({ clip, start: piece.start, end: piece.end }))
+  );
+  const total = ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+  if (total <= 0) return [];
+
+  return Array.from({ length: count }, (_, i) => {
+    let remaining = ((i + 0.5) / count) * total;
+    const range = ranges.find((candidate) => {
+      if (remaining <= candidate.end - candidate.start) return true;
+      remaining -= candidate.end - candidate.start;
+      return false;
+    }) || ranges[ranges.length - 1];
+    return { clip: range.clip, time: Math.min(range.start + remaining, range.end) };
+  });
+};
+
+export const getContactSheetSize = ({ edit, aspectRatio, count, columns, thumbWidth = SHEET_THUMB_WIDTH }) => {
+  const frame = getOutputFrameSize(aspectRatio, edit.cropPixels, edit.aspectSizes);
+  const thumbHeight = even((thumbWidth * frame.height) / frame.width);
+  const rows = Math.ceil(count / columns);
+  return {
+    thumbWidth,
+    thumbHeight,
+    columns,
+    rows,
+    width: columns * thumbWidth + (columns + 1) * SHEET_SPACING,
+    height: rows * thumbHeight + (rows + 1) * SHEET_SPACING
+  };
+};
+
+// One seeked input per thumbnail, each cut to its first frame, edited and
+// shrunk, then laid out in a grid by the tile filter. inputNames maps a
+// clip id to the file it was written to.
+export const getContactSheetArgs = ({ edit, aspectRatio, samples, columns, format, inputNames, outputName }) => {
+  const size = getContactSheetSize({ edit, aspectRatio, count: samples.length, columns });
+  const thumbFilters = ({ clip, time }, i) => [
+    'trim=end_frame=1',
+    'setpts=PTS-STARTPTS',
+    ...getEditedFrameFilters(edit, aspectRatio, toTimelineTime(edit, clip.id, time), i),
+    ...getFitFilters({ width: size.thumbWidth, height: size.thumbHeight })
+  ].join(',');
+
+  const args = [];
+  samples.forEach(({ clip, time }) => {
+    args.push('-ss', time.toFixed(3), '-i', inputNames[clip.id]);
+  });
+  const graph = samples.map((sample, i) => `[${i}:v]${thumbFilters(sample, i)}[t${i}]`);
+  graph.push(
+    `${samples.map((_, i) => `[t${i}]`).join('')}concat=n=${samples.length}:v=1:a=0,` +
+    `tile=${size.columns}x${size.rows}:padding=${SHEET_SPACING}:margin=${SHEET_SPACING}:color=0x1e1b4b[sheet]`
+  );
+  args.push(
+    '-filter_complex', graph.join(';'),
+    '-map', '[sheet]',
+    '-frames:v', '1',
+    ...STILL_FORMATS[format].codecArgs,
+    outputName
+  );
+  return args;
+};
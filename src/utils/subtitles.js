@@ -0,0 +1,68 @@
+let cueCounter = 0;
+
+export const createCue = (start, end, text = '') => ({
+  id: `cue-${Date.now()}-${cueCounter++}`,
+  start,
+  end,
+  text
+});
+
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+
+export const parseTimestamp = (value) => {
+  const match = TIMESTAMP.exec(value.trim());
+  if (!match) return null;
+  const [, hours = '0', mins, secs, millis] = match;
+  return Number(hours) * 3600 + Number(mins) * 60 + Number(secs) + Number(millis.padEnd(3, '0')) / 1000;
+};
+
+export const formatTimestamp = (seconds, separator = ',') => {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const mins = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+};
+
+// SRT and WebVTT share the "start --> end" cue line, so one block parser
+// handles both; VTT headers, NOTE/STYLE/REGION blocks and cue settings are
+// skipped.
+export const parseSubtitles = (content) => {
+  const blocks = content.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '').split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [startPart, endPart] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startPart);
+    const end = parseTimestamp(endPart.trim().split(/\s+/)[0]);
+    if (start === null || end === null) continue;
+
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+    cues.push(createCue(start, end, text));
+  }
+
+  return sortCues(cues);
+};
+
+export const sortCues = (cues) => [...cues].sort((a, b) => a.start - b.start);
+
+export const serializeSrt = (cues, offset = 0) =>
+  sortCues(cues)
+    .filter((cue) => cue.text.trim())
+    .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start + offset)} --> ${formatTimestamp(cue.end + offset)}\n${cue.text.trim()}\n`)
+    .join('\n');
+
+export const serializeVtt = (cues) =>
+  'WEBVTT\n\n' +
+  sortCues(cues)
+    .filter((cue) => cue.text.trim())
+    .map((cue) => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text.trim()}\n`)
+    .join('\n');
+
+export const getActiveCue = (cues, time) =>
+  cues.find((cue) => time >= cue.start && time < cue.end && cue.text.trim()) || null;
@@ -0,0 +1,33 @@
+export const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+export const DEFAULT_FPS = 30;
+
+export const snapToFrame = (seconds, fps = DEFAULT_FPS) => Math.round(seconds * fps) / fps;
+
+// HH:MM:SS.fff, precise enough to address single frames
+export const formatTimecode = (seconds) => {
+  const totalMillis = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMillis / 3600000);
+  const mins = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+};
+
+// Accepts HH:MM:SS.fff, MM:SS.fff or plain seconds; returns null if invalid
+export const parseTimecode = (text) => {
+  const parts = text.trim().split(':');
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) return null;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+// ffmpeg reports encoder position as "time=HH:MM:SS.ss" in its stats lines
+export const parseFFmpegTime = (message) => {
+  const match = /time=\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(message);
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
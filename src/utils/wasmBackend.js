@@ -0,0 +1,53 @@
+import { FFmpeg } from '@ffmpeg/ffmpeg';
+import { getCoreConfig } from './ffmpegCore';
+import { probeMedia } from './probe';
+
+// The job service backend for the browser: ffmpeg.wasm in its own worker,
+// with a fresh instance loaded after every terminate
+export const createWasmBackend = () => {
+  let ffmpeg = null;
+  let logListener = null;
+
+  const start = async (config) => {
+    const instance = new FFmpeg();
+    instance.on('log', ({ message }) => logListener?.(message));
+    ffmpeg = instance;
+    await instance.load(config);
+    return instance;
+  };
+
+  return {
+    load: async () => {
+      // Fall back to the single-threaded core if the multithreaded one fails
+      // to start, e.g. when a browser reports isolation but limits threads
+      const { multiThread, config } = getCoreConfig();
+      try {
+        await start(config);
+        return { multiThreaded: multiThread };
+      } catch (err) {
+        if (!multiThread) throw err;
+        console.warn('Multithreaded FFmpeg core failed to load, using single-threaded core:', err);
+        ffmpeg.terminate();
+        await start(getCoreConfig(false).config);
+        return { multiThreaded: false };
+      }
+    },
+    writeFile: (name, data) => ffmpeg.writeFile(name, data),
+    readFile: (name) => ffmpeg.readFile(name),
+    deleteFile: (name) => ffmpeg.deleteFile(name),
+    exec: async (args, onLog) => {
+      logListener = onLog;
+      try {
+        return await ffmpeg.exec(args);
+      } finally {
+        logListener = null;
+      }
+    },
+    probe: (file) => probeMedia(ffmpeg, file),
+    terminate: () => {
+      logListener = null;
+      ffmpeg?.terminate();
+      ffmpeg = null;
+    }
+  };
+};
@@ -0,0 +1,75 @@
+// Rendered video is already compressed, so entries are stored as-is and the
+// archive only needs the ZIP headers around them
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields, which have two-second precision
+const toDosTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const header = (size, fields) => {
+  const view = new DataView(new ArrayBuffer(size));
+  fields.forEach(([offset, value, bytes]) => {
+    if (bytes === 4) {
+      view.setUint32(offset, value, true);
+    } else {
+      view.setUint16(offset, value, true);
+    }
+  });
+  return new Uint8Array(view.buffer);
+};
+
+// Two outputs can share a name when sources from different folders do, so
+// later ones get a numbered suffix
+export const getUniqueNames = (names) => {
+  const used = new Set();
+  return names.map((name) => {
+    let candidate = name;
+    for (let n = 2; used.has(candidate); n++) {
+      candidate = name.replace(/(\.[^.]+)?$/, (extension) => `_${n}${extension}`);
+    }
+    used.add(candidate);
+    return candidate;
+  });
+};
+
+// entries: [{ name, data: Uint8Array }] -> Blob of a stored (uncompressed) ZIP
+export const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    // Bit 11 marks the name as UTF-8
+    const common = [[6, 0x0800, 2], [8, 0, 2], [10, time, 2], [12, date, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, nameBytes.length, 2]];
+    parts.push(header(30, [[0, 0x04034b50, 4], [4, 20, 2], ...common]), nameBytes, data);
+    central.push(
+      header(46, [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], ...common.map(([at, value, bytes]) => [at + 2, value, bytes]), [42, offset, 4]]),
+      nameBytes
+    );
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((total, part) => total + part.length, 0);
+  const end = header(22, [[0, 0x06054b50, 4], [8, entries.length, 2], [10, entries.length, 2], [12, centralSize, 4], [16, offset, 4]]);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
@@ -1,16 +1,55 @@
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Cross-origin isolation unlocks SharedArrayBuffer for the multithreaded
+// FFmpeg core; keep in sync with vercel.json
+const isolationHeaders = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+}
+
+// Emits the service worker with the list of files to precache and a cache
+// name that changes with them. The FFmpeg core WASM stays out of the list:
+// the page asks for the build it uses rather than downloading both.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_options, bundle) {
+    const files = Object.keys(bundle).filter((name) => !/\.(map|html|wasm)$/.test(name)).sort()
+    const urls = ['/', ...files.map((name) => `/${name}`)]
+    const hash = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync('src/sw.js', 'utf8')
+      .replace('__BUILD_HASH__', hash)
+      .replace('__PRECACHE_URLS__', JSON.stringify(urls))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  }
+})
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   root: '.', // Explicitly set root
   publicDir: 'public', // Explicitly set public directory
   server: {
-    port: 3000
+    port: 3000,
+    headers: isolationHeaders
+  },
+  preview: {
+    headers: isolationHeaders
+  },
+  optimizeDeps: {
+    // The FFmpeg packages spawn workers relative to their own module URLs,
+    // which pre-bundling would break
+    exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util']
   },
   build: {
     outDir: 'dist',
-    sourcemap: true
+    sourcemap: true,
+    // Workers cannot start from data: URLs, so the FFmpeg thread worker has
+    // to stay a real file even though it is under the inline size limit
+    assetsInlineLimit: (filePath) => (filePath.endsWith('ffmpeg-core.worker.js') ? false : undefined)
   },
   define: {
     // Enable environment variables